@@ -14,6 +14,7 @@ const stripCreds = /Credential=([\w-/0-9a-zA-Z]+),/
 
 /** @typedef {AWS.Lambda.Types.FunctionConfiguration} FunctionConfiguration */
 /** @typedef {{ (err?: Error): void; }} Callback */
+/** @typedef {(payload: unknown) => unknown} FunctionHandler */
 
 class FakeLambdaAPI {
   /**
@@ -44,6 +45,9 @@ class FakeLambdaAPI {
     /** @type {Map<string, FunctionConfiguration[]>} */
     this._functions = new Map()
 
+    /** @type {Map<string, FunctionHandler>} */
+    this._handlers = new Map()
+
     /**
      * This maps from a profileName to an accountId, this is
      * necessary for handling ARNs.
@@ -239,6 +243,40 @@ class FakeLambdaAPI {
     this._functions.set(key, funcs)
   }
 
+  /**
+   * Sets the code that runs when a function is invoked.
+   *
+   * @param {string} functionName
+   * @param {FunctionHandler} handler
+   * @returns {void}
+   */
+  setFunctionHandler (functionName, handler) {
+    this._handlers.set(functionName, handler)
+  }
+
+  /**
+   * Invokes the handler of a function by name or ARN.
+   *
+   * @param {string} functionName
+   * @param {unknown} payload
+   * @returns {Promise<unknown>}
+   */
+  async invokeFunction (functionName, payload) {
+    // arn:aws:lambda:region:account:function:name[:qualifier]
+    const name = functionName.startsWith('arn:')
+      ? functionName.split(':')[6]
+      : functionName
+
+    const handler = this._handlers.get(name)
+    if (!handler) {
+      const err = new Error(`Function not found: ${functionName}`)
+      err.name = 'ResourceNotFoundException'
+      throw err
+    }
+    const result = await handler(payload)
+    return result
+  }
+
   /**
    * @param {http.IncomingMessage} req
    * @param {http.ServerResponse} res
@@ -254,7 +292,12 @@ class FakeLambdaAPI {
       const bodyBuf = Buffer.concat(buffers)
       const url = req.url || '/'
 
-      if (req.method === 'GET' &&
+      if (req.method === 'POST' &&
+          url.startsWith('/2015-03-31/functions/') &&
+          url.split('?')[0].endsWith('/invocations')
+      ) {
+        this._handleInvoke(req, bodyBuf, res)
+      } else if (req.method === 'GET' &&
           url.startsWith('/2015-03-31/functions/')
       ) {
         const respBody = this._handleListFunctions(req, bodyBuf)
@@ -279,6 +322,69 @@ class FakeLambdaAPI {
     })
   }
 
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {Buffer} bodyBuf
+   * @param {http.ServerResponse} res
+   * @returns {void}
+   */
+  _handleInvoke (req, bodyBuf, res) {
+    const url = /** @type {string} */ (req.url)
+    let functionName = ''
+    try {
+      functionName = decodeURIComponent(url.split('?')[0].split('/')[3])
+    } catch (_err) {
+      writeError(res, 400, 'InvalidParameterValueException',
+        'The function name is not a valid URI component.')
+      return
+    }
+
+    /** @type {unknown} */
+    let payload = null
+    try {
+      if (bodyBuf.length > 0) {
+        payload = /** @type {unknown} */ (
+          JSON.parse(bodyBuf.toString('utf8'))
+        )
+      }
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {Error} */ (maybeErr)
+      writeError(res, 400, 'InvalidRequestContentException',
+        'Could not parse request body into json: ' + err.message)
+      return
+    }
+
+    this.invokeFunction(functionName, payload).then((result) => {
+      let body = ''
+      try {
+        body = result === undefined ? '' : JSON.stringify(result)
+      } catch (maybeErr) {
+        /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+        const err = /** @type {Error} */ (maybeErr)
+        writeFunctionError(res, 'Runtime.MarshalError',
+          'Unable to marshal response: ' + err.message)
+        return
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'application/json'
+      })
+      res.end(body)
+    }, (/** @type {unknown} */ maybeErr) => {
+      // Functions can throw anything, not only an Error.
+      const err = maybeErr instanceof Error
+        ? maybeErr
+        : new Error(String(maybeErr))
+      if (err.name === 'ResourceNotFoundException') {
+        writeError(res, 404, err.name, err.message)
+        return
+      }
+
+      writeFunctionError(res, err.name, err.message)
+    })
+  }
+
   /**
    * @param {http.IncomingMessage} req
    * @returns {FunctionConfiguration[]}
@@ -371,3 +477,37 @@ function cuuid () {
     str.slice(12, 16) + '-' + str.slice(16, 20) + '-' +
     str.slice(20)
 }
+
+/**
+ * Writes a Lambda error response, the SDK reads the error code from
+ * the `x-amzn-ErrorType` header.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {string} errorType
+ * @param {string} message
+ * @returns {void}
+ */
+function writeError (res, statusCode, errorType, message) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'x-amzn-ErrorType': errorType
+  })
+  res.end(JSON.stringify({ message }))
+}
+
+/**
+ * Errors thrown by the function are a 200 like in AWS.
+ *
+ * @param {http.ServerResponse} res
+ * @param {string} errorType
+ * @param {string} errorMessage
+ * @returns {void}
+ */
+function writeFunctionError (res, errorType, errorMessage) {
+  res.writeHead(200, {
+    'Content-Type': 'application/json',
+    'X-Amz-Function-Error': 'Unhandled'
+  })
+  res.end(JSON.stringify({ errorType, errorMessage }))
+}
@@ -247,3 +247,120 @@ test('listing functions with Marker', async (harness, t) => {
 
   t.end()
 })
+
+test('invoking functions with a handler', async (harness, t) => {
+  const lambdaServer = harness.lambdaServer
+  const lambda = harness.getLambda()
+
+  lambdaServer.setFunctionHandler('echo', (payload) => {
+    return { received: payload }
+  })
+  lambdaServer.setFunctionHandler('broken', () => {
+    throw new Error('handler failed')
+  })
+
+  const resp = await lambda.invoke({
+    FunctionName: 'echo',
+    Payload: JSON.stringify({ hello: 'world' })
+  }).promise()
+  t.equal(resp.StatusCode, 200)
+  t.equal(resp.FunctionError, undefined)
+  t.deepEqual(JSON.parse(String(resp.Payload)), {
+    received: { hello: 'world' }
+  })
+
+  const byArn = await lambdaServer.invokeFunction(
+    'arn:aws:lambda:us-east-1:123456789012:function:echo', 1
+  )
+  t.deepEqual(byArn, { received: 1 })
+
+  const failed = await lambda.invoke({
+    FunctionName: 'broken'
+  }).promise()
+  t.equal(failed.FunctionError, 'Unhandled')
+  t.deepEqual(JSON.parse(String(failed.Payload)), {
+    errorType: 'Error',
+    errorMessage: 'handler failed'
+  })
+
+  try {
+    await lambda.invoke({ FunctionName: 'missing' }).promise()
+    t.fail('expected ResourceNotFoundException')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {{ code: string, statusCode: number }} */ (maybeErr)
+    t.equal(err.statusCode, 404)
+    t.equal(err.code, 'ResourceNotFoundException')
+  }
+
+  t.end()
+})
+
+test('invoking with a malformed request', async (harness, t) => {
+  harness.lambdaServer.setFunctionHandler('echo', (payload) => payload)
+
+  const badPayload = await harness.rawRequest(
+    'POST', '/2015-03-31/functions/echo/invocations', '{'
+  )
+  t.equal(badPayload.statusCode, 400)
+  t.equal(
+    badPayload.headers['x-amzn-errortype'], 'InvalidRequestContentException'
+  )
+  t.ok(badPayload.body.includes('Could not parse request body into json'))
+
+  const badName = await harness.rawRequest(
+    'POST', '/2015-03-31/functions/%E0/invocations', '{}'
+  )
+  t.equal(badName.statusCode, 400)
+  t.equal(
+    badName.headers['x-amzn-errortype'], 'InvalidParameterValueException'
+  )
+
+  const ok = await harness.rawRequest(
+    'POST', '/2015-03-31/functions/echo/invocations', '{"a":1}'
+  )
+  t.equal(ok.statusCode, 200)
+  t.equal(ok.body, '{"a":1}')
+
+  t.end()
+})
+
+test('invoking a function that throws a non-error', async (harness, t) => {
+  const thrown = [null, undefined, 'some message']
+  for (const value of thrown) {
+    harness.lambdaServer.setFunctionHandler('throws', () => {
+      /* eslint-disable-next-line @typescript-eslint/no-throw-literal */
+      throw value
+    })
+
+    const res = await harness.rawRequest(
+      'POST', '/2015-03-31/functions/throws/invocations', '{}'
+    )
+    t.equal(res.statusCode, 200)
+    t.equal(res.headers['x-amz-function-error'], 'Unhandled')
+    t.deepEqual(JSON.parse(res.body), {
+      errorType: 'Error', errorMessage: String(value)
+    })
+  }
+
+  t.end()
+})
+
+test('invoking with an unserializable result', async (harness, t) => {
+  /** @type {Record<string, unknown>} */
+  const circular = {}
+  circular.self = circular
+  const results = [circular, { big: BigInt(1) }]
+  for (const result of results) {
+    harness.lambdaServer.setFunctionHandler('bad', () => result)
+
+    const res = await harness.rawRequest(
+      'POST', '/2015-03-31/functions/bad/invocations', '{}'
+    )
+    t.equal(res.statusCode, 200)
+    t.equal(res.headers['x-amz-function-error'], 'Unhandled')
+    t.ok(res.body.includes('"errorType":"Runtime.MarshalError"'))
+  }
+
+  t.end()
+})
@@ -6,6 +6,7 @@ const AWS = require('aws-sdk')
 /** @type {import('@pre-bundled/tape')} */
 const tape = require('@pre-bundled/tape')
 const tapeCluster = require('tape-harness')
+const http = require('http')
 const path = require('path')
 const util = require('util')
 /** @type {import('@pre-bundled/rimraf')} */
@@ -13,6 +14,14 @@ const rimrafCb = require('@pre-bundled/rimraf')
 
 const FakeLambdaAPI = require('../index').FakeLambdaAPI
 
+/**
+ * @typedef {{
+ *    statusCode: number,
+ *    headers: import('http').IncomingHttpHeaders,
+ *    body: string
+ * }} RawResponse
+ */
+
 const rimraf = util.promisify(rimrafCb)
 const FIXTURES_DIR = path.join(__dirname, 'fixtures')
 
@@ -76,6 +85,37 @@ class TestHarness {
     }).promise()
   }
 
+  /**
+   * Sends a request the SDK would refuse to build, signatures are not
+   * verified.
+   *
+   * @param {string} method
+   * @param {string} path
+   * @param {string} body
+   * @returns {Promise<RawResponse>}
+   */
+  async rawRequest (method, path, body) {
+    const url = `http://${this.lambdaServer.hostPort}${path}`
+    return new Promise((resolve, reject) => {
+      const req = http.request(url, { method }, (res) => {
+        /** @type {Buffer[]} */
+        const chunks = []
+        res.on('data', (/** @type {Buffer} */ chunk) => {
+          chunks.push(chunk)
+        })
+        res.on('end', () => {
+          resolve({
+            statusCode: res.statusCode || 0,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString('utf8')
+          })
+        })
+      })
+      req.on('error', reject)
+      req.end(body)
+    })
+  }
+
   /** @returns {Promise<void>} */
   async close () {
     await this.lambdaServer.close()
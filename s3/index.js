@@ -10,6 +10,9 @@
  */
 
 const http = require('http')
+const https = require('https')
+const EventEmitter = require('events').EventEmitter
+const Readable = require('stream').Readable
 const util = require('util')
 const url = require('url')
 /** @type {import('assert')} */
@@ -22,18 +25,358 @@ const mkdirP = util.promisify(fs.mkdir)
 const writeFileP = util.promisify(fs.writeFile)
 const readFileP = util.promisify(fs.readFile)
 const readdirP = util.promisify(fs.readdir)
+const renameP = util.promisify(fs.rename)
+const unlinkP = util.promisify(fs.unlink)
+const rmdirP = util.promisify(fs.rmdir)
 
 const stripCreds = /Credential=([\w-/0-9a-zA-Z]+),/
 
+const MIN_PART_SIZE = 5 * 1024 * 1024
+const MAX_PART_NUMBER = 10000
+const MAX_METADATA_SIZE = 2 * 1024
+const MAX_DELETE_KEYS = 1000
+const MAX_OBJECT_TAGS = 10
+const MAX_BUCKET_TAGS = 50
+const MAX_TAG_KEY_LENGTH = 128
+const MAX_TAG_VALUE_LENGTH = 256
+const MAX_PRESIGNED_EXPIRES = 7 * 24 * 60 * 60
+const MAX_LIFECYCLE_RULES = 1000
+const MAX_CORS_RULES = 100
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const TRANSITION_STORAGE_CLASSES = [
+  'STANDARD_IA',
+  'ONEZONE_IA',
+  'INTELLIGENT_TIERING',
+  'GLACIER',
+  'GLACIER_IR',
+  'DEEP_ARCHIVE'
+]
+/**
+ * Objects in these storage classes have to be restored before
+ * they can be read.
+ */
+const ARCHIVE_STORAGE_CLASSES = ['GLACIER', 'DEEP_ARCHIVE']
+
+/**
+ * The system defined metadata that is stored with an object
+ * and returned on getObject() & headObject()
+ */
+const SYSTEM_METADATA_HEADERS = [
+  'Cache-Control',
+  'Content-Disposition',
+  'Content-Encoding',
+  'Content-Language',
+  'Content-Type',
+  'Expires'
+]
+
+/**
+ * The body file of every object that is already written
+ * to the `storagePath`.
+ *
+ * @type {WeakMap<S3Object, string>}
+ */
+const storedBodies = new WeakMap()
+
+const PLACEHOLDER_MODES = ['zero', 'random', 'lorem']
+// Placeholder bodies are streamed in blocks, cached objects can be
+// larger than a Buffer.
+const PLACEHOLDER_BLOCK_SIZE = 64 * 1024
+const LOREM_IPSUM = Buffer.from(
+  'Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do ' +
+  'eiusmod tempor incididunt ut labore et dolore magna aliqua. Ut enim ' +
+  'ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut ' +
+  'aliquip ex ea commodo consequat. Duis aute irure dolor in ' +
+  'reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla ' +
+  'pariatur. Excepteur sint occaecat cupidatat non proident, sunt in ' +
+  'culpa qui officia deserunt mollit anim id est laborum.\n'
+)
+
+/**
+ * The element holding the destination ARN of each kind of
+ * notification configuration.
+ *
+ * @type {Record<string, string>}
+ */
+const NOTIFICATION_DESTINATIONS = {
+  TopicConfiguration: 'Topic',
+  QueueConfiguration: 'Queue',
+  CloudFunctionConfiguration: 'CloudFunction'
+}
+
+const CORS_METHODS = ['GET', 'PUT', 'HEAD', 'POST', 'DELETE']
+const SSE_ALGORITHMS = ['AES256', 'aws:kms', 'aws:kms:dsse']
+const CHECKSUM_ALGORITHMS = ['CRC32', 'CRC32C', 'SHA1', 'SHA256']
+const OBJECT_ATTRIBUTES = [
+  'ETag',
+  'Checksum',
+  'ObjectParts',
+  'StorageClass',
+  'ObjectSize'
+]
+const CRC32_TABLE = crcTable(0xEDB88320)
+const CRC32C_TABLE = crcTable(0x82F63B78)
+/**
+ * The AWS managed key used for SSE-KMS when no key id is given.
+ */
+const DEFAULT_KMS_KEY_ID = 'alias/aws/s3'
+const CORS_VARY =
+  'Origin, Access-Control-Request-Headers, Access-Control-Request-Method'
+
+const ALL_USERS = 'http://acs.amazonaws.com/groups/global/AllUsers'
+const AUTHENTICATED_USERS =
+  'http://acs.amazonaws.com/groups/global/AuthenticatedUsers'
+const LOG_DELIVERY = 'http://acs.amazonaws.com/groups/s3/LogDelivery'
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance'
+
+/**
+ * The group grants of each canned ACL, the owner always has
+ * `FULL_CONTROL` as well.
+ *
+ * @type {Record<string, Array<[string, string]>>}
+ */
+const CANNED_ACL_GRANTS = {
+  'private': [],
+  'public-read': [[ALL_USERS, 'READ']],
+  'public-read-write': [[ALL_USERS, 'READ'], [ALL_USERS, 'WRITE']],
+  'authenticated-read': [[AUTHENTICATED_USERS, 'READ']],
+  'aws-exec-read': [],
+  'bucket-owner-read': [],
+  'bucket-owner-full-control': [],
+  'log-delivery-write': [[LOG_DELIVERY, 'WRITE'], [LOG_DELIVERY, 'READ_ACP']]
+}
+
+/**
+ * The actions an `AllUsers` grant allows for anonymous requests,
+ * `READ` on a bucket lists it and `READ` on an object gets it.
+ *
+ * @type {Record<string, string[] | undefined>}
+ */
+const ACL_PERMISSION_ACTIONS = {
+  READ: [
+    's3:ListBucket',
+    's3:ListBucketVersions',
+    's3:ListBucketMultipartUploads',
+    's3:GetObject',
+    's3:GetObjectVersion',
+    's3:GetObjectAttributes',
+    's3:GetObjectVersionAttributes'
+  ],
+  WRITE: ['s3:PutObject', 's3:DeleteObject', 's3:DeleteObjectVersion']
+}
+const OBJECT_READ_ACTIONS = [
+  's3:GetObject',
+  's3:GetObjectVersion',
+  's3:GetObjectAttributes',
+  's3:GetObjectVersionAttributes'
+]
+
+/**
+ * The policy action of each bucket subresource by HTTP method.
+ *
+ * @type {Record<string, Record<string, string>>}
+ */
+const BUCKET_SUBRESOURCE_ACTIONS = {
+  policy: {
+    GET: 's3:GetBucketPolicy',
+    PUT: 's3:PutBucketPolicy',
+    DELETE: 's3:DeleteBucketPolicy'
+  },
+  acl: { GET: 's3:GetBucketAcl', PUT: 's3:PutBucketAcl' },
+  tagging: {
+    GET: 's3:GetBucketTagging',
+    PUT: 's3:PutBucketTagging',
+    DELETE: 's3:PutBucketTagging'
+  },
+  lifecycle: {
+    GET: 's3:GetLifecycleConfiguration',
+    PUT: 's3:PutLifecycleConfiguration',
+    DELETE: 's3:PutLifecycleConfiguration'
+  },
+  notification: {
+    GET: 's3:GetBucketNotification',
+    PUT: 's3:PutBucketNotification'
+  },
+  versioning: {
+    GET: 's3:GetBucketVersioning',
+    PUT: 's3:PutBucketVersioning'
+  },
+  cors: {
+    GET: 's3:GetBucketCORS',
+    PUT: 's3:PutBucketCORS',
+    DELETE: 's3:PutBucketCORS'
+  },
+  encryption: {
+    GET: 's3:GetEncryptionConfiguration',
+    PUT: 's3:PutEncryptionConfiguration',
+    DELETE: 's3:PutEncryptionConfiguration'
+  },
+  versions: { GET: 's3:ListBucketVersions' },
+  uploads: { GET: 's3:ListBucketMultipartUploads' }
+}
+const POLICY_MANAGEMENT_ACTIONS = [
+  's3:GetBucketPolicy',
+  's3:PutBucketPolicy',
+  's3:DeleteBucketPolicy'
+]
+/**
+ * The fields of a POST form upload that are not covered by the
+ * conditions of its policy.
+ */
+const POST_UNSIGNED_FIELDS = [
+  'policy',
+  'signature',
+  'x-amz-signature',
+  'awsaccesskeyid'
+]
+const POLICY_CONDITION_OPERATORS = [
+  'StringEquals',
+  'StringNotEquals',
+  'StringLike',
+  'StringNotLike'
+]
+
+/** @type {Record<string, string>} */
+const XML_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  amp: '&'
+}
+
 /**
  * @typedef {(err?: Error) => void} Callback
  * @typedef {{
  *    message: string,
  *    code?: string,
  *    statusCode?: number,
- *    resource?: string
+ *    resource?: string,
+ *    headers?: Record<string, string>
  * }} S3Error
  * @typedef {{ DisplayName: string, ID: string }} S3BucketOwner
+ * @typedef {'zero' | 'random' | 'lorem'} PlaceholderMode
+ * @typedef {{
+ *    kind: string,
+ *    id: string,
+ *    arn: string,
+ *    events: string[],
+ *    prefix: string | null,
+ *    suffix: string | null
+ * }} NotificationRule
+ * @typedef {{
+ *    key: string,
+ *    size?: number,
+ *    eTag?: string,
+ *    versionId?: string,
+ *    sequencer: string
+ * }} S3EventObject
+ * @typedef {{
+ *    eventVersion: string,
+ *    eventSource: string,
+ *    awsRegion: string,
+ *    eventTime: string,
+ *    eventName: string,
+ *    userIdentity: { principalId: string },
+ *    requestParameters: { sourceIPAddress: string },
+ *    responseElements: Record<string, string>,
+ *    s3: {
+ *        s3SchemaVersion: string,
+ *        configurationId: string,
+ *        bucket: {
+ *            name: string,
+ *            ownerIdentity: { principalId: string },
+ *            arn: string
+ *        },
+ *        object: S3EventObject
+ *    }
+ * }} S3EventRecord
+ * @typedef {{ Records: S3EventRecord[] }} S3Event
+ * @typedef {(event: S3Event) => (void | Promise<void>)} NotificationCallback
+ * @typedef {{
+ *    days: number | null,
+ *    date: string | null,
+ *    storageClass: string
+ * }} LifecycleTransition
+ * @typedef {{
+ *    id: string,
+ *    status: 'Enabled' | 'Disabled',
+ *    legacyPrefix: boolean,
+ *    prefix: string,
+ *    tags: Record<string, string>,
+ *    expirationDays: number | null,
+ *    expirationDate: string | null,
+ *    expiredObjectDeleteMarker: boolean,
+ *    noncurrentDays: number | null,
+ *    abortIncompleteDays: number | null,
+ *    transitions: LifecycleTransition[]
+ * }} LifecycleRule
+ * @typedef {{
+ *    action: 'Expiration' | 'NoncurrentVersionExpiration' |
+ *        'ExpiredObjectDeleteMarker' | 'Transition' |
+ *        'AbortIncompleteMultipartUpload',
+ *    bucket: string,
+ *    key: string,
+ *    versionId?: string,
+ *    uploadId?: string,
+ *    storageClass?: string
+ * }} LifecycleAction
+ * @typedef {{
+ *    id: string | null,
+ *    allowedOrigins: string[],
+ *    allowedMethods: string[],
+ *    allowedHeaders: string[],
+ *    exposeHeaders: string[],
+ *    maxAgeSeconds: number | null
+ * }} CORSRule
+ * @typedef {{
+ *    operator: string,
+ *    key: string,
+ *    values: string[]
+ * }} PolicyCondition
+ * @typedef {{
+ *    effect: 'Allow' | 'Deny',
+ *    principals: string[],
+ *    actions: string[],
+ *    resources: string[],
+ *    conditions: PolicyCondition[]
+ * }} PolicyStatement
+ * @typedef {{
+ *    json: string,
+ *    statements: PolicyStatement[]
+ * }} BucketPolicy
+ * @typedef {{
+ *    accessKeyId: string | null,
+ *    action: string,
+ *    resource: string,
+ *    context: Record<string, string>
+ * }} PolicyRequest
+ * @typedef {{
+ *    fields: Record<string, string | undefined>,
+ *    file: { filename: string, content: Buffer } | null
+ * }} PostForm
+ * @typedef {{
+ *    algorithm: string,
+ *    kmsKeyId: string | null,
+ *    context: string | null,
+ *    bucketKeyEnabled: boolean
+ * }} ServerSideEncryption
+ * @typedef {{ key: Buffer, md5: string }} CustomerKey
+ * @typedef {{
+ *    algorithm: string,
+ *    value: string,
+ *    type: 'FULL_OBJECT' | 'COMPOSITE'
+ * }} ObjectChecksum
+ * @typedef {{
+ *    invokeFunction: (functionName: string, payload: unknown) =>
+ *        Promise<unknown>
+ * }} NotificationLambda
+ * @typedef {{
+ *    bucket: string,
+ *    prefix?: string,
+ *    mode: PlaceholderMode
+ * }} PlaceholderRule
  * @typedef {{ Name: string, CreationDate: Date }} S3BucketItem
  * @typedef {{
  *    Key: string,
@@ -45,7 +388,8 @@ const stripCreds = /Credential=([\w-/0-9a-zA-Z]+),/
  * @typedef {{
  *    Owner: S3BucketOwner,
  *    Buckets: Array<{
- *        Name: string
+ *        Name: string,
+ *        CreationDate?: string
  *    }>
  * }} S3BucketListResponse
  * @typedef {S3Object} S3ObjectAlias
@@ -60,8 +404,58 @@ const stripCreds = /Credential=([\w-/0-9a-zA-Z]+),/
  * @typedef {{
  *    statusCode: number,
  *    headers: Record<string, string>,
- *    body: string
+ *    body: string | Buffer | Readable
  * }} Response
+ * @typedef {{
+ *    name: string,
+ *    text: string,
+ *    children: XMLNode[]
+ * }} XMLNode
+ * @typedef {{
+ *    type: 's3-object',
+ *    versionId: string,
+ *    lastModified: string,
+ *    md5: string,
+ *    contentLength: number,
+ *    metadata: Record<string, string>,
+ *    systemMetadata: Record<string, string>,
+ *    tags: Record<string, string>,
+ *    storageClass?: string,
+ *    acl?: string,
+ *    encryption?: ServerSideEncryption | null,
+ *    customerKeyMD5?: string | null,
+ *    checksum?: ObjectChecksum | null,
+ *    body: string
+ * } | {
+ *    type: 's3-delete-marker',
+ *    versionId: string,
+ *    lastModified: string
+ * }} StoredVersion
+ * @typedef {{
+ *    type: 'stored-key',
+ *    key: string,
+ *    versions: StoredVersion[]
+ * }} StoredKey
+ * @typedef {{
+ *    type: 'stored-bucket',
+ *    name: string,
+ *    creationDate: string,
+ *    region?: string,
+ *    versioning: 'Enabled' | 'Suspended' | null,
+ *    tags: Record<string, string> | null,
+ *    notifications?: NotificationRule[],
+ *    lifecycle?: LifecycleRule[] | null,
+ *    acl?: string,
+ *    policy?: BucketPolicy | null,
+ *    cors?: CORSRule[] | null,
+ *    encryption?: ServerSideEncryption | null
+ * }} StoredBucket
+ * @typedef {{
+ *    ifMatch: string | null,
+ *    ifNoneMatch: string | null,
+ *    ifModifiedSince: string | null,
+ *    ifUnmodifiedSince: string | null
+ * }} Preconditions
  */
 
 class NoSuchBucketError extends Error {
@@ -79,6 +473,31 @@ class NoSuchBucketError extends Error {
   }
 }
 
+class S3ResponseError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {number} statusCode
+   * @param {string} [resource]
+   */
+  constructor (code, message, statusCode, resource) {
+    super(message)
+
+    /** @type {string} */
+    this.code = code
+    /** @type {number} */
+    this.statusCode = statusCode
+    /** @type {string | undefined} */
+    this.resource = resource
+    /**
+     * Extra headers for the error response, i.e. `x-amz-delete-marker`
+     *
+     * @type {Record<string, string>}
+     */
+    this.headers = {}
+  }
+}
+
 class S3Object {
   /**
    * @param {string} bucket
@@ -103,7 +522,70 @@ class S3Object {
     this.md5 = md5
     /** @type {number} */
     this.contentLength = contentLength
-    // TODO: this.metadata
+    /**
+     * The `x-amz-meta-*` headers without the prefix.
+     *
+     * @type {Record<string, string>}
+     */
+    this.metadata = {}
+    /** @type {Record<string, string>} */
+    this.systemMetadata = {}
+    /**
+     * The literal `null` unless written to a versioned bucket.
+     *
+     * @type {string}
+     */
+    this.versionId = 'null'
+    /** @type {Record<string, string>} */
+    this.tags = {}
+    /** @type {string} */
+    this.storageClass = 'STANDARD'
+    /**
+     * The canned ACL of the object.
+     *
+     * @type {string}
+     */
+    this.acl = 'private'
+    /**
+     * The SSE-S3 or SSE-KMS settings, `null` if not encrypted.
+     *
+     * @type {ServerSideEncryption | null}
+     */
+    this.encryption = null
+    /**
+     * The base64 MD5 of the SSE-C key, the content of the object
+     * is then stored encrypted with that key.
+     *
+     * @type {string | null}
+     */
+    this.customerKeyMD5 = null
+    /**
+     * The `x-amz-checksum-*` of the upload, `null` if none was sent.
+     *
+     * @type {ObjectChecksum | null}
+     */
+    this.checksum = null
+  }
+}
+
+class DeleteMarker {
+  /**
+   * @param {string} bucket
+   * @param {string} key
+   * @param {string} versionId
+   * @param {string} lastModified
+   */
+  constructor (bucket, key, versionId, lastModified) {
+    /** @type {"s3-delete-marker"} */
+    this.type = 's3-delete-marker'
+    /** @type {string} */
+    this.bucket = bucket
+    /** @type {string} */
+    this.key = key
+    /** @type {string} */
+    this.versionId = versionId
+    /** @type {string} */
+    this.lastModified = lastModified
   }
 }
 
@@ -117,135 +599,527 @@ class CommonPrefix {
   }
 }
 
-class S3Bucket {
-  constructor () {
-    /* eslint-disable @typescript-eslint/no-unsafe-assignment */
-    /** @type {Map<string, S3Object>} */
-    this._objects = new Map()
-    /* eslint-enable @typescript-eslint/no-unsafe-assignment */
-  }
-
+class MultipartPart {
   /**
-   * @param {S3Object} obj
-   * @returns {void}
+   * @param {number} partNumber
+   * @param {Buffer} content
+   * @param {string} lastModified
    */
-  addObject (obj) {
-    this._objects.set(obj.key, obj)
+  constructor (partNumber, content, lastModified) {
+    /** @type {number} */
+    this.partNumber = partNumber
+    /** @type {Buffer} */
+    this.content = content
+    /** @type {string} */
+    this.lastModified = lastModified
+    /** @type {string} */
+    this.md5 = crypto.createHash('md5').update(content).digest('hex')
+    /** @type {ObjectChecksum | null} */
+    this.checksum = null
   }
+}
 
+class MultipartUpload {
   /**
+   * @param {string} bucket
    * @param {string} key
-   * @returns {void}
+   * @param {string} uploadId
+   * @param {string} initiated
    */
-  deleteObject (key) {
-    this._objects.delete(key)
+  constructor (bucket, key, uploadId, initiated) {
+    /** @type {"s3-multipart-upload"} */
+    this.type = 's3-multipart-upload'
+    /** @type {string} */
+    this.bucket = bucket
+    /** @type {string} */
+    this.key = key
+    /** @type {string} */
+    this.uploadId = uploadId
+    /** @type {string} */
+    this.initiated = initiated
+    /** @type {Record<string, string>} */
+    this.metadata = {}
+    /** @type {Record<string, string>} */
+    this.systemMetadata = {}
+    /** @type {Record<string, string>} */
+    this.tags = {}
+    /** @type {string} */
+    this.acl = 'private'
+    /** @type {ServerSideEncryption | null} */
+    this.encryption = null
+    /**
+     * The SSE-C key, uploads are never persisted so it is only
+     * kept in memory until the upload completes.
+     *
+     * @type {CustomerKey | null}
+     */
+    this.customerKey = null
+    /**
+     * The `x-amz-checksum-algorithm` every part is checksummed with.
+     *
+     * @type {string | null}
+     */
+    this.checksumAlgorithm = null
+
+    /* eslint-disable @typescript-eslint/no-unsafe-assignment */
+    /** @type {Map<number, MultipartPart>} */
+    this.parts = new Map()
+    /* eslint-enable @typescript-eslint/no-unsafe-assignment */
   }
 
   /**
-   * @returns {S3Object[]}
+   * @returns {MultipartPart[]}
    */
-  getObjects () {
-    return [...this._objects.values()]
+  getParts () {
+    return [...this.parts.values()].sort((a, b) => {
+      return a.partNumber - b.partNumber
+    })
   }
 }
 
-class FakeS3 {
+class S3Bucket {
   /**
-   * @param {{
-   *    prefix: string,
-   *    buckets?: string[],
-   *    cachePath?: string,
-   *    hostname?: string,
-   *    port?: number,
-   *    waitTimeout?: number
-   * }} options
+   * @param {string} name
+   * @param {string} creationDate
    */
-  constructor (options) {
-    assert(options, 'options required')
-    assert('prefix' in options, 'options.prefix required')
-    assert(
-      options.buckets || options.cachePath,
-      'options.buckets or options.cachePath required'
-    )
-
-    /** @type {number} */
-    this.requestPort = typeof options.port === 'number' ? options.port : 0
+  constructor (name, creationDate) {
     /** @type {string} */
-    this.requestHost = options.hostname || 'localhost'
-    /** @type {number} */
-    this.waitTimeout = options.waitTimeout || 5 * 1000
-
-    /** @type {boolean} */
-    this.touchedCache = false
-    /** @type {string[]} */
-    this.knownCaches = []
-
-    /** @type {import('http').Server} */
-    this.httpServer = http.createServer()
-    /** @type {string | null} */
-    this.hostPort = null
-
+    this.name = name
     /** @type {string} */
-    this.prefix = options.prefix
-    /** @type {string[]} */
-    this.initialBuckets = options.buckets || []
-    /** @type {string | null} */
-    this.cachePath = options.cachePath || null
-
-    /** @type {number} */
-    this.start = Date.now()
+    this.creationDate = creationDate
+    /** @type {string} */
+    this.region = 'us-east-1'
+    /**
+     * The versioning status, `null` if it was never enabled.
+     *
+     * @type {'Enabled' | 'Suspended' | null}
+     */
+    this.versioning = null
+    /**
+     * The bucket tag set, `null` if no tags were ever put.
+     *
+     * @type {Record<string, string> | null}
+     */
+    this.tags = null
+    /** @type {NotificationRule[]} */
+    this.notifications = []
+    /**
+     * The lifecycle rules, `null` if none were put.
+     *
+     * @type {LifecycleRule[] | null}
+     */
+    this.lifecycle = null
+    /**
+     * The canned ACL of the bucket.
+     *
+     * @type {string}
+     */
+    this.acl = 'private'
+    /**
+     * The bucket policy, `null` if none was put.
+     *
+     * @type {BucketPolicy | null}
+     */
+    this.policy = null
+    /**
+     * The CORS rules, `null` if none were put.
+     *
+     * @type {CORSRule[] | null}
+     */
+    this.cors = null
+    /**
+     * The default encryption of new objects, `null` if none was put.
+     *
+     * @type {ServerSideEncryption | null}
+     */
+    this.encryption = null
+    /** @type {boolean} */
+    this.configChanged = true
 
     /* eslint-disable @typescript-eslint/no-unsafe-assignment */
-    /** @type {Map<string, Map<string, S3Bucket>>} */
-    this._profiles = new Map()
-    /** @type {Map<string, S3BucketOwner>} */
-    this._bucketOwnerInfo = new Map()
     /**
-     * @typedef {{ offset: number, startAfter?: string }} TokenInfo
-     * @type {Map<string, TokenInfo>}
+     * The current version of every key that is not deleted.
+     *
+     * @type {Map<string, S3Object>}
      */
-    this.tokens = new Map()
+    this._objects = new Map()
+    /**
+     * All the versions of a key, the latest version first.
+     *
+     * @type {Map<string, (S3Object | DeleteMarker)[]>}
+     */
+    this._versions = new Map()
+    /**
+     * The keys changed since the last write to the `storagePath`.
+     *
+     * @type {Set<string>}
+     */
+    this.changedKeys = new Set()
+    /** @type {Map<string, MultipartUpload>} */
+    this._uploads = new Map()
     /* eslint-enable @typescript-eslint/no-unsafe-assignment */
   }
 
-  async bootstrap () {
-    this.httpServer.on('request', (
-      /** @type {import('http').IncomingMessage} */ req,
-      /** @type {import('http').ServerResponse} */ res
-    ) => {
-      this._handleServerRequest(req, res)
-    })
-
-    await util.promisify((
-      /** @type {Callback} */ cb
-    ) => {
-      this.httpServer.listen(this.requestPort, cb)
-    })()
+  /**
+   * @param {S3Object} obj
+   * @returns {void}
+   */
+  addObject (obj) {
+    obj.versionId = this.versioning === 'Enabled' ? cuuid() : 'null'
+    this._addVersion(obj)
+    this._objects.set(obj.key, obj)
+    this.changedKeys.add(obj.key)
+  }
 
-    const addr = this.httpServer.address()
-    const port = (addr && typeof addr === 'object')
-      ? addr.port
-      : -1
-    this.hostPort = `localhost:${port}`
-    this.setupBuckets()
+  /**
+   * Restores the versions of a key as read from the `storagePath`.
+   *
+   * @param {string} key
+   * @param {(S3Object | DeleteMarker)[]} versions
+   * @returns {void}
+   */
+  restoreVersions (key, versions) {
+    if (versions.length === 0) return
 
-    if (this.cachePath) {
-      await this.populateFromCache(this.cachePath)
+    this._versions.set(key, versions)
+    const latest = versions[0]
+    if (latest.type === 's3-object') {
+      this._objects.set(key, latest)
     }
   }
 
-  /** @returns {string} */
-  getHostPort () {
-    if (!this.hostPort) return ''
-    return this.hostPort
+  /**
+   * Marks a key, or the bucket configuration when called without
+   * a key, as changed.
+   *
+   * @param {string} [key]
+   * @returns {void}
+   */
+  markChanged (key) {
+    if (key === undefined) {
+      this.configChanged = true
+    } else {
+      this.changedKeys.add(key)
+    }
   }
 
   /**
-   * @param {string} filePath
-   * @returns {Promise<void>}
+   * @param {S3Object | DeleteMarker} entry
+   * @returns {void}
    */
-  async tryMkdir (filePath) {
-    try {
+  _addVersion (entry) {
+    const versions = (this._versions.get(entry.key) || []).filter((v) => {
+      return entry.versionId !== 'null' || v.versionId !== 'null'
+    })
+    versions.unshift(entry)
+    this._versions.set(entry.key, versions)
+  }
+
+  /**
+   * @param {string} key
+   * @returns {S3Object | null}
+   */
+  getObject (key) {
+    return this._objects.get(key) || null
+  }
+
+  /**
+   * Returns a specific version or the latest version when
+   * `versionId` is `null`, which might be a delete marker.
+   *
+   * @param {string} key
+   * @param {string | null} versionId
+   * @returns {S3Object | DeleteMarker | null}
+   */
+  getVersion (key, versionId) {
+    const versions = this._versions.get(key) || []
+    if (versionId === null) {
+      return versions.length > 0 ? versions[0] : null
+    }
+    return versions.find((v) => v.versionId === versionId) || null
+  }
+
+  /**
+   * Deletes the key, on a versioned bucket this adds a delete
+   * marker and keeps the previous versions.
+   *
+   * @param {string} key
+   * @param {Date} [now]
+   * @returns {DeleteMarker | null}
+   */
+  deleteObject (key, now = new Date()) {
+    this._objects.delete(key)
+    this.changedKeys.add(key)
+    if (this.versioning === null) {
+      this._versions.delete(key)
+      return null
+    }
+
+    const marker = new DeleteMarker(
+      this.name,
+      key,
+      this.versioning === 'Enabled' ? cuuid() : 'null',
+      now.toISOString()
+    )
+    this._addVersion(marker)
+    return marker
+  }
+
+  /**
+   * Permanently removes a version, the previous version becomes
+   * the current object again.
+   *
+   * @param {string} key
+   * @param {string} versionId
+   * @returns {S3Object | DeleteMarker | null}
+   */
+  deleteVersion (key, versionId) {
+    const versions = this._versions.get(key) || []
+    const entry = versions.find((v) => v.versionId === versionId)
+    if (!entry) return null
+
+    this.changedKeys.add(key)
+    const remaining = versions.filter((v) => v !== entry)
+    if (remaining.length === 0) {
+      this._versions.delete(key)
+    } else {
+      this._versions.set(key, remaining)
+    }
+
+    const latest = remaining.length > 0 ? remaining[0] : null
+    if (latest && latest.type === 's3-object') {
+      this._objects.set(key, latest)
+    } else {
+      this._objects.delete(key)
+    }
+    return entry
+  }
+
+  /**
+   * @returns {string[]}
+   */
+  getKeys () {
+    return [...this._versions.keys()]
+  }
+
+  /**
+   * @param {string} key
+   * @returns {(S3Object | DeleteMarker)[]}
+   */
+  getKeyVersions (key) {
+    return [...(this._versions.get(key) || [])]
+  }
+
+  /**
+   * @returns {(S3Object | DeleteMarker)[]}
+   */
+  getVersions () {
+    const keys = [...this._versions.keys()].sort()
+    /** @type {(S3Object | DeleteMarker)[]} */
+    const out = []
+    for (const key of keys) {
+      out.push(...(this._versions.get(key) || []))
+    }
+    return out
+  }
+
+  /**
+   * @returns {S3Object[]}
+   */
+  getObjects () {
+    return [...this._objects.values()]
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isEmpty () {
+    return this._versions.size === 0
+  }
+
+  /**
+   * @param {MultipartUpload} upload
+   * @returns {void}
+   */
+  addUpload (upload) {
+    this._uploads.set(upload.uploadId, upload)
+  }
+
+  /**
+   * @param {string} uploadId
+   * @returns {MultipartUpload | null}
+   */
+  getUpload (uploadId) {
+    return this._uploads.get(uploadId) || null
+  }
+
+  /**
+   * @param {string} uploadId
+   * @returns {void}
+   */
+  deleteUpload (uploadId) {
+    this._uploads.delete(uploadId)
+  }
+
+  /**
+   * @returns {MultipartUpload[]}
+   */
+  getUploads () {
+    return [...this._uploads.values()]
+  }
+}
+
+/**
+ * Emits `objectCreated` and `objectRemoved` with the `S3Object`
+ * whenever a request changes the current version of a key.
+ */
+class FakeS3 extends EventEmitter {
+  /**
+   * @param {{
+   *    prefix: string,
+   *    buckets?: string[],
+   *    cachePath?: string,
+   *    storagePath?: string,
+   *    hostname?: string,
+   *    port?: number,
+   *    waitTimeout?: number,
+   *    placeholderBodies?: PlaceholderRule[],
+   *    lambda?: NotificationLambda,
+   *    allowAnonymous?: boolean
+   * }} options
+   */
+  constructor (options) {
+    super()
+    assert(options, 'options required')
+    assert('prefix' in options, 'options.prefix required')
+    assert(
+      options.buckets || options.cachePath || options.storagePath,
+      'options.buckets, options.cachePath or options.storagePath required'
+    )
+    for (const rule of options.placeholderBodies || []) {
+      assert(
+        PLACEHOLDER_MODES.includes(rule.mode),
+        'options.placeholderBodies mode must be one of ' +
+          PLACEHOLDER_MODES.join(', ')
+      )
+    }
+
+    /** @type {number} */
+    this.requestPort = typeof options.port === 'number' ? options.port : 0
+    /** @type {string} */
+    this.requestHost = options.hostname || 'localhost'
+    /** @type {number} */
+    this.waitTimeout = options.waitTimeout || 5 * 1000
+    /**
+     * Serves unsigned requests like signed ones, only an explicit
+     * `Deny` of the bucket policy applies to them.
+     *
+     * @type {boolean}
+     */
+    this.allowAnonymous = options.allowAnonymous || false
+
+    /** @type {boolean} */
+    this.touchedCache = false
+    /** @type {string[]} */
+    this.knownCaches = []
+
+    /** @type {import('http').Server} */
+    this.httpServer = http.createServer()
+    /** @type {string | null} */
+    this.hostPort = null
+
+    /** @type {string} */
+    this.prefix = options.prefix
+    /** @type {string[]} */
+    this.initialBuckets = options.buckets || []
+    /** @type {string | null} */
+    this.cachePath = options.cachePath || null
+    /** @type {string | null} */
+    this.storagePath = options.storagePath || null
+    /** @type {Promise<void>} */
+    this._storageQueue = Promise.resolve()
+    /** @type {PlaceholderRule[]} */
+    this.placeholderBodies = options.placeholderBodies || []
+    /** @type {NotificationLambda | null} */
+    this.lambda = options.lambda || null
+    /** @type {number} */
+    this._sequencer = 0
+    /** @type {Error[]} */
+    this._notificationErrors = []
+
+    /** @type {number} */
+    this.start = Date.now()
+
+    /* eslint-disable @typescript-eslint/no-unsafe-assignment */
+    /** @type {Map<string, Map<string, S3Bucket>>} */
+    this._profiles = new Map()
+    /** @type {Map<string, S3BucketOwner>} */
+    this._bucketOwnerInfo = new Map()
+    /**
+     * @typedef {{ offset: number, startAfter?: string }} TokenInfo
+     * @type {Map<string, TokenInfo>}
+     */
+    this.tokens = new Map()
+    /**
+     * In-process callbacks & webhook URLs by destination ARN.
+     *
+     * @type {Map<string, NotificationCallback | string>}
+     */
+    this._notificationTargets = new Map()
+    /** @type {Set<Promise<void>>} */
+    this._pendingNotifications = new Set()
+    /**
+     * Buckets deleted since the last write to the `storagePath`.
+     *
+     * @type {Set<string>}
+     */
+    this._deletedBuckets = new Set()
+    /* eslint-enable @typescript-eslint/no-unsafe-assignment */
+  }
+
+  async bootstrap () {
+    this.httpServer.on('request', (
+      /** @type {import('http').IncomingMessage} */ req,
+      /** @type {import('http').ServerResponse} */ res
+    ) => {
+      this._handleServerRequest(req, res)
+    })
+
+    await util.promisify((
+      /** @type {Callback} */ cb
+    ) => {
+      this.httpServer.listen(this.requestPort, cb)
+    })()
+
+    const addr = this.httpServer.address()
+    const port = (addr && typeof addr === 'object')
+      ? addr.port
+      : -1
+    this.hostPort = `localhost:${port}`
+    this.setupBuckets()
+
+    if (this.storagePath) {
+      await this.populateFromStorage(this.storagePath)
+      await this.flushStorage()
+    }
+
+    if (this.cachePath) {
+      await this.populateFromCache(this.cachePath)
+    }
+  }
+
+  /** @returns {string} */
+  getHostPort () {
+    if (!this.hostPort) return ''
+    return this.hostPort
+  }
+
+  /**
+   * @param {string} filePath
+   * @returns {Promise<void>}
+   */
+  async tryMkdir (filePath) {
+    try {
       await mkdirP(filePath)
     } catch (maybeErr) {
       /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
@@ -318,6 +1192,32 @@ class FakeS3 {
     )
   }
 
+  /**
+   * Caches the body of an object next to the listing written by
+   * `cacheObjectsToDisk()`, objects without a cached body are
+   * served with an empty body.
+   *
+   * @param {string} filePath
+   * @param {string} accessKeyId
+   * @param {string} bucketName
+   * @param {string} key
+   * @param {Buffer} body
+   * @returns {Promise<void>}
+   */
+  async cacheObjectBodyToDisk (filePath, accessKeyId, bucketName, key, body) {
+    this.touchedCache = true
+    if (!this.knownCaches.includes(filePath)) {
+      this.knownCaches.push(filePath)
+    }
+
+    const bodiesDir = path.join(
+      filePath, 'objects', encodeURIComponent(bucketName),
+      `${accessKeyId}-bodies`
+    )
+    await mkdirP(bodiesDir, { recursive: true })
+    await writeFileP(path.join(bodiesDir, hashKey(key)), body)
+  }
+
   /**
    * @param {string} filePath
    * @returns {Promise<void>}
@@ -367,6 +1267,8 @@ class FakeS3 {
       ))
 
       for (const objectFile of objectFiles) {
+        if (!objectFile.endsWith('.json')) continue
+
         const objectsStr = await readFileP(path.join(
           filePath, 'objects', bucketName, objectFile
         ), 'utf8')
@@ -381,58 +1283,247 @@ class FakeS3 {
           objectsInfo.bucketName,
           objectsInfo.objects
         )
+        await this._populateBodiesFromCache(
+          path.join(
+            filePath, 'objects', bucketName,
+            `${objectsInfo.accessKeyId}-bodies`
+          ),
+          objectsInfo.accessKeyId,
+          objectsInfo.bucketName
+        )
       }
     }
   }
 
   /**
-   * @param {string} accessKeyId
-   * @param {S3BucketListResponse} buckets
-   * @returns {void}
-   */
-  populateBuckets (accessKeyId, buckets) {
-    let bucketsMap = this._profiles.get(accessKeyId)
-    if (!bucketsMap) {
-      bucketsMap = new Map()
-      this._profiles.set(accessKeyId, bucketsMap)
-    }
-    for (const b of buckets.Buckets) {
-      bucketsMap.set(b.Name, new S3Bucket())
-      this._bucketOwnerInfo.set(b.Name, buckets.Owner)
-    }
-  }
-
-  /**
+   * @param {string} bodiesDir
    * @param {string} accessKeyId
    * @param {string} bucketName
-   * @param {S3BucketGetResponse} objects
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  populateObjects (accessKeyId, bucketName, objects) {
-    const bucketMap = this._profiles.get(accessKeyId)
-    if (!bucketMap) throw new Error('invalid accessKeyId')
+  async _populateBodiesFromCache (bodiesDir, accessKeyId, bucketName) {
+    /** @type {Set<string>} */
+    let bodyFiles
+    try {
+      bodyFiles = new Set(await readdirP(bodiesDir))
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {NodeJS.ErrnoException} */ (maybeErr)
+      if (err.code === 'ENOENT') return
+      throw err
+    }
 
-    const bucket = bucketMap.get(bucketName)
-    if (!bucket) throw new Error('invalid bucketName')
+    const bucketsMap = this._profiles.get(accessKeyId)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucketName) : null
+    if (!s3bucket) return
 
-    for (const c of objects.Contents) {
-      const obj = new S3Object(
-        bucketName,
-        c.Key,
-        '',
-        c.LastModified,
-        c.ETag,
-        c.Size
-      )
-      bucket.addObject(obj)
+    for (const obj of s3bucket.getObjects()) {
+      const fileName = hashKey(obj.key)
+      if (bodyFiles.has(fileName)) {
+        obj.content = await readFileP(path.join(bodiesDir, fileName))
+      }
     }
   }
 
   /**
-   * @param {string} bucketName
-   * @returns {S3Bucket | null}
+   * Loads the buckets & objects that were written to the
+   * `storagePath` into the default profile.
+   *
+   * @param {string} storagePath
+   * @returns {Promise<void>}
    */
-  _findBucket (bucketName) {
+  async populateFromStorage (storagePath) {
+    /** @type {string[] | null} */
+    let bucketDirs = null
+    try {
+      bucketDirs = await readdirP(path.join(storagePath, 'buckets'))
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {NodeJS.ErrnoException} */ (maybeErr)
+      if (err.code !== 'ENOENT') throw err
+    }
+
+    if (!bucketDirs) {
+      return
+    }
+
+    let bucketsMap = this._profiles.get('default')
+    if (!bucketsMap) {
+      bucketsMap = new Map()
+      this._profiles.set('default', bucketsMap)
+    }
+
+    for (const dirName of bucketDirs) {
+      const bucketDir = path.join(storagePath, 'buckets', dirName)
+      const s3bucket = await readStoredBucket(bucketDir)
+      if (s3bucket) {
+        bucketsMap.set(s3bucket.name, s3bucket)
+      }
+    }
+  }
+
+  /**
+   * Writes the changes in the default profile to the `storagePath`.
+   * Writes are queued so the disk always ends up with the latest
+   * state, the returned promise resolves once this flush is done.
+   *
+   * @returns {Promise<void>}
+   */
+  async flushStorage () {
+    const storagePath = this.storagePath
+    if (!storagePath) return
+
+    const flush = this._storageQueue.then(() => {
+      return this._writeStorage(storagePath)
+    })
+    this._storageQueue = flush.catch(() => {})
+    return flush
+  }
+
+  /**
+   * @param {string} storagePath
+   * @returns {Promise<void>}
+   */
+  async _writeStorage (storagePath) {
+    for (const name of [...this._deletedBuckets]) {
+      await removeTree(
+        path.join(storagePath, 'buckets', encodeURIComponent(name))
+      )
+      this._deletedBuckets.delete(name)
+    }
+
+    const bucketsMap = this._profiles.get('default')
+    if (!bucketsMap) return
+
+    for (const s3bucket of bucketsMap.values()) {
+      if (!s3bucket.configChanged && s3bucket.changedKeys.size === 0) {
+        continue
+      }
+
+      const bucketDir = path.join(
+        storagePath, 'buckets', encodeURIComponent(s3bucket.name)
+      )
+      await mkdirP(path.join(bucketDir, 'keys'), { recursive: true })
+      await mkdirP(path.join(bucketDir, 'bodies'), { recursive: true })
+
+      // Changes stay marked until written so the next flush retries
+      // a failed one, changes made during the write stay marked too.
+      for (const key of [...s3bucket.changedKeys]) {
+        s3bucket.changedKeys.delete(key)
+        try {
+          await writeStoredKey(bucketDir, s3bucket, key)
+        } catch (err) {
+          s3bucket.changedKeys.add(key)
+          throw err
+        }
+      }
+
+      if (s3bucket.configChanged) {
+        s3bucket.configChanged = false
+
+        /** @type {StoredBucket} */
+        const stored = {
+          type: 'stored-bucket',
+          name: s3bucket.name,
+          creationDate: s3bucket.creationDate,
+          region: s3bucket.region,
+          versioning: s3bucket.versioning,
+          tags: s3bucket.tags,
+          notifications: s3bucket.notifications,
+          lifecycle: s3bucket.lifecycle,
+          acl: s3bucket.acl,
+          policy: s3bucket.policy,
+          cors: s3bucket.cors,
+          encryption: s3bucket.encryption
+        }
+        try {
+          await writeFileAtomic(
+            path.join(bucketDir, 'bucket.json'), JSON.stringify(stored)
+          )
+        } catch (err) {
+          s3bucket.configChanged = true
+          throw err
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {string} accessKeyId
+   * @param {S3BucketListResponse} buckets
+   * @returns {void}
+   */
+  populateBuckets (accessKeyId, buckets) {
+    let bucketsMap = this._profiles.get(accessKeyId)
+    if (!bucketsMap) {
+      bucketsMap = new Map()
+      this._profiles.set(accessKeyId, bucketsMap)
+    }
+    for (const b of buckets.Buckets) {
+      const creationDate = b.CreationDate
+        ? new Date(b.CreationDate).toISOString()
+        : new Date(this.start).toISOString()
+      bucketsMap.set(b.Name, new S3Bucket(b.Name, creationDate))
+      this._bucketOwnerInfo.set(b.Name, buckets.Owner)
+    }
+  }
+
+  /**
+   * @param {string} accessKeyId
+   * @param {string} bucketName
+   * @param {S3BucketGetResponse} objects
+   * @returns {void}
+   */
+  populateObjects (accessKeyId, bucketName, objects) {
+    const bucketMap = this._profiles.get(accessKeyId)
+    if (!bucketMap) throw new Error('invalid accessKeyId')
+
+    const bucket = bucketMap.get(bucketName)
+    if (!bucket) throw new Error('invalid bucketName')
+
+    for (const c of objects.Contents) {
+      const obj = new S3Object(
+        bucketName,
+        c.Key,
+        '',
+        c.LastModified,
+        c.ETag,
+        c.Size
+      )
+      bucket.addObject(obj)
+    }
+  }
+
+  /**
+   * Objects populated from a listing-only cache have a size but
+   * no content. The most specific `placeholderBodies` rule decides
+   * what getObject() returns for them instead of an empty body.
+   *
+   * @param {S3Object} obj
+   * @returns {PlaceholderMode | null}
+   */
+  _getPlaceholderMode (obj) {
+    if (obj.content.length > 0 || obj.contentLength === 0) return null
+
+    /** @type {PlaceholderRule | null} */
+    let match = null
+    for (const rule of this.placeholderBodies) {
+      const prefix = rule.prefix || ''
+      if (rule.bucket !== obj.bucket || !obj.key.startsWith(prefix)) {
+        continue
+      }
+      if (!match || prefix.length > (match.prefix || '').length) {
+        match = rule
+      }
+    }
+    return match ? match.mode : null
+  }
+
+  /**
+   * @param {string} bucketName
+   * @returns {S3Bucket | null}
+   */
+  _findBucket (bucketName) {
     for (const map of this._profiles.values()) {
       const bucket = map.get(bucketName)
       if (bucket) return bucket
@@ -460,6 +1551,21 @@ class FakeS3 {
     return { objects }
   }
 
+  /**
+   * @param {string} bucket
+   * @returns {{ uploads: MultipartUpload[] }}
+   */
+  getMultipartUploads (bucket) {
+    const s3bucket = this._findBucket(bucket)
+    if (!s3bucket) {
+      return {
+        uploads: []
+      }
+    }
+
+    return { uploads: s3bucket.getUploads() }
+  }
+
   /**
    * @param {string} bucket
    * @param {number} count
@@ -474,12 +1580,440 @@ class FakeS3 {
         return info
       }
 
-      await sleep(100)
+      // Requests wake this up early, objects added by populate*()
+      // or removed with their bucket are only seen by polling.
+      await this._waitForChange(
+        () => true, Math.min(100, deadline - Date.now())
+      )
     }
 
     return null
   }
 
+  /**
+   * Resolves with an existing or the next created object whose key
+   * matches `keyOrGlob` and `options.predicate`. In a glob `*`
+   * matches within a path segment and `**` across segments.
+   * The `content` of SSE-C objects is the IV & the ciphertext.
+   *
+   * @param {string} bucket
+   * @param {string} keyOrGlob
+   * @param {{
+   *    predicate?: (obj: S3Object) => boolean,
+   *    timeout?: number
+   * }} [options]
+   * @returns {Promise<S3Object>}
+   */
+  async waitForObject (bucket, keyOrGlob, options = {}) {
+    const pattern = globToRegExp(keyOrGlob)
+    const predicate = options.predicate || (() => true)
+    /** @type {(obj: S3Object) => boolean} */
+    const matches = (obj) => {
+      return obj.bucket === bucket && pattern.test(obj.key) && predicate(obj)
+    }
+
+    const s3bucket = this._findBucket(bucket)
+    const existing = s3bucket ? s3bucket.getObjects().find(matches) : null
+    if (existing) return existing
+
+    const obj = await this._waitForChange((event, changed) => {
+      return event === 'objectCreated' && matches(changed) ? changed : null
+    }, options.timeout || this.waitTimeout)
+    if (!obj) {
+      throw new Error(`Timed out waiting for ${bucket}/${keyOrGlob}`)
+    }
+    return obj
+  }
+
+  /**
+   * Resolves with the next removed object whose key matches
+   * `keyOrGlob`, or with `null` if no such object exists.
+   *
+   * @param {string} bucket
+   * @param {string} keyOrGlob
+   * @param {{ timeout?: number }} [options]
+   * @returns {Promise<S3Object | null>}
+   */
+  async waitForObjectRemoved (bucket, keyOrGlob, options = {}) {
+    const pattern = globToRegExp(keyOrGlob)
+    /** @type {(obj: S3Object) => boolean} */
+    const matches = (obj) => {
+      return obj.bucket === bucket && pattern.test(obj.key)
+    }
+
+    const s3bucket = this._findBucket(bucket)
+    if (!s3bucket || !s3bucket.getObjects().some(matches)) return null
+
+    const obj = await this._waitForChange((event, changed) => {
+      return event === 'objectRemoved' && matches(changed) ? changed : null
+    }, options.timeout || this.waitTimeout)
+    if (!obj) {
+      throw new Error(`Timed out waiting for ${bucket}/${keyOrGlob}`)
+    }
+    return obj
+  }
+
+  /**
+   * Calls `check` for every `objectCreated` & `objectRemoved` event
+   * until it returns a result, resolves `null` after `timeout`.
+   *
+   * @template T
+   * @param {(
+   *    event: 'objectCreated' | 'objectRemoved',
+   *    obj: S3Object
+   * ) => T | null} check
+   * @param {number} timeout
+   * @returns {Promise<T | null>}
+   */
+  _waitForChange (check, timeout) {
+    const deadline = Date.now() + timeout
+
+    return new Promise((resolve, reject) => {
+      /** @type {NodeJS.Timeout} */
+      let timer
+
+      const cleanup = () => {
+        clearTimeout(timer)
+        this.removeListener('objectCreated', onCreated)
+        this.removeListener('objectRemoved', onRemoved)
+      }
+
+      /**
+       * @type {(
+       *    event: 'objectCreated' | 'objectRemoved',
+       *    obj: S3Object
+       * ) => void}
+       */
+      const onChange = (event, obj) => {
+        /** @type {T | null} */
+        let result
+        try {
+          result = check(event, obj)
+        } catch (maybeErr) {
+          cleanup()
+          reject(maybeErr)
+          return
+        }
+        if (result !== null) {
+          cleanup()
+          resolve(result)
+        }
+      }
+      /** @type {(obj: S3Object) => void} */
+      const onCreated = (obj) => onChange('objectCreated', obj)
+      /** @type {(obj: S3Object) => void} */
+      const onRemoved = (obj) => onChange('objectRemoved', obj)
+
+      // Timers can fire a millisecond early, the deadline is inclusive.
+      const onTimeout = () => {
+        const remaining = deadline - Date.now()
+        if (remaining >= 0) {
+          timer = setTimeout(onTimeout, remaining + 1)
+          return
+        }
+        cleanup()
+        resolve(null)
+      }
+
+      this.on('objectCreated', onCreated)
+      this.on('objectRemoved', onRemoved)
+      timer = setTimeout(onTimeout, timeout)
+    })
+  }
+
+  /**
+   * Applies the lifecycle rules of every bucket as if the current
+   * time was `now`, this lets tests skip ahead by days.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<LifecycleAction[]>}
+   */
+  async runLifecycle (now = new Date()) {
+    /** @type {LifecycleAction[]} */
+    const actions = []
+    for (const bucketsMap of this._profiles.values()) {
+      for (const s3bucket of bucketsMap.values()) {
+        if (!s3bucket.lifecycle) continue
+
+        const rules = s3bucket.lifecycle.filter((rule) => {
+          return rule.status === 'Enabled'
+        })
+        for (const key of s3bucket.getKeys()) {
+          actions.push(...this._applyLifecycle(s3bucket, key, rules, now))
+        }
+
+        for (const upload of s3bucket.getUploads()) {
+          const expired = rules.some((rule) => {
+            return upload.key.startsWith(rule.prefix) &&
+              lifecycleDue(
+                upload.initiated, rule.abortIncompleteDays, null, now
+              )
+          })
+          if (!expired) continue
+
+          s3bucket.deleteUpload(upload.uploadId)
+          actions.push({
+            action: 'AbortIncompleteMultipartUpload',
+            bucket: s3bucket.name,
+            key: upload.key,
+            uploadId: upload.uploadId
+          })
+        }
+      }
+    }
+
+    await this.flushStorage()
+    return actions
+  }
+
+  /**
+   * Expiration wins over transitions, noncurrent versions expire
+   * a number of days after they were replaced by a newer version.
+   *
+   * @param {S3Bucket} s3bucket
+   * @param {string} key
+   * @param {LifecycleRule[]} rules
+   * @param {Date} now
+   * @returns {LifecycleAction[]}
+   */
+  _applyLifecycle (s3bucket, key, rules, now) {
+    /** @type {LifecycleAction[]} */
+    const actions = []
+    const bucket = s3bucket.name
+
+    const current = s3bucket.getVersion(key, null)
+    if (current && current.type === 's3-object') {
+      const matching = rules.filter((rule) => {
+        return matchesLifecycleFilter(rule, key, current.tags)
+      })
+
+      const expired = matching.some((rule) => {
+        return lifecycleDue(
+          current.lastModified, rule.expirationDays, rule.expirationDate, now
+        )
+      })
+      if (expired) {
+        const marker = s3bucket.deleteObject(key, now)
+        this._notify(
+          null,
+          s3bucket,
+          marker
+            ? 'LifecycleExpiration:DeleteMarkerCreated'
+            : 'LifecycleExpiration:Delete',
+          marker ? { key, versionId: marker.versionId } : { key }
+        )
+        this.emit('objectRemoved', current)
+        actions.push({ action: 'Expiration', bucket, key })
+      } else {
+        /** @type {LifecycleTransition | null} */
+        let latest = null
+        /** @type {number} */
+        let latestDue = -Infinity
+        for (const rule of matching) {
+          for (const transition of rule.transitions) {
+            const due = lifecycleDueTime(
+              current.lastModified, transition.days, transition.date
+            )
+            if (due <= now.getTime() && due > latestDue) {
+              latest = transition
+              latestDue = due
+            }
+          }
+        }
+
+        if (latest && latest.storageClass !== current.storageClass) {
+          current.storageClass = latest.storageClass
+          s3bucket.markChanged(key)
+          /** @type {Omit<S3EventObject, 'sequencer'>} */
+          const object = {
+            key, size: current.contentLength, eTag: current.md5
+          }
+          if (current.versionId !== 'null') {
+            object.versionId = current.versionId
+          }
+          this._notify(null, s3bucket, 'LifecycleTransition', object)
+          actions.push({
+            action: 'Transition',
+            bucket,
+            key,
+            storageClass: latest.storageClass
+          })
+        }
+      }
+    }
+
+    const versions = s3bucket.getKeyVersions(key)
+    for (let i = 1; i < versions.length; i++) {
+      const version = versions[i]
+      const tags = version.type === 's3-object' ? version.tags : {}
+      const expired = rules.some((rule) => {
+        return matchesLifecycleFilter(rule, key, tags) && lifecycleDue(
+          versions[i - 1].lastModified, rule.noncurrentDays, null, now
+        )
+      })
+      if (!expired) continue
+
+      s3bucket.deleteVersion(key, version.versionId)
+      this._notify(null, s3bucket, 'LifecycleExpiration:Delete', {
+        key, versionId: version.versionId
+      })
+      actions.push({
+        action: 'NoncurrentVersionExpiration',
+        bucket,
+        key,
+        versionId: version.versionId
+      })
+    }
+
+    // A delete marker without any older versions is expired.
+    const remaining = s3bucket.getKeyVersions(key)
+    const marker = remaining.length === 1 ? remaining[0] : null
+    if (
+      marker &&
+      marker.type === 's3-delete-marker' &&
+      rules.some((rule) => {
+        return rule.expiredObjectDeleteMarker &&
+          matchesLifecycleFilter(rule, key, {})
+      })
+    ) {
+      s3bucket.deleteVersion(key, marker.versionId)
+      this._notify(null, s3bucket, 'LifecycleExpiration:Delete', {
+        key, versionId: marker.versionId
+      })
+      actions.push({
+        action: 'ExpiredObjectDeleteMarker',
+        bucket,
+        key,
+        versionId: marker.versionId
+      })
+    }
+
+    return actions
+  }
+
+  /**
+   * Delivers the event notifications for a destination ARN to an
+   * in-process callback or POSTs them to a webhook URL.
+   *
+   * @param {string} arn
+   * @param {NotificationCallback | string} target
+   * @returns {void}
+   */
+  setNotificationTarget (arn, target) {
+    this._notificationTargets.set(arn, target)
+  }
+
+  /**
+   * Waits for all event notifications sent so far to be delivered,
+   * rejects with the first delivery error.
+   *
+   * @returns {Promise<void>}
+   */
+  async waitForNotifications () {
+    while (this._pendingNotifications.size > 0) {
+      await Promise.all([...this._pendingNotifications])
+    }
+
+    const errors = this._notificationErrors
+    this._notificationErrors = []
+    if (errors.length > 0) throw errors[0]
+  }
+
+  /**
+   * Sends an event to every notification configuration of the
+   * bucket that matches the event name & key.
+   *
+   * @param {import('http').IncomingMessage | null} req
+   *    `null` for changes made by S3 itself, like lifecycle rules.
+   * @param {S3Bucket} s3bucket
+   * @param {string} eventName
+   * @param {Omit<S3EventObject, 'sequencer'>} object
+   * @returns {void}
+   */
+  _notify (req, s3bucket, eventName, object) {
+    const rules = s3bucket.notifications.filter((rule) => {
+      return matchesNotification(rule, eventName, object.key)
+    })
+    if (rules.length === 0) return
+
+    const ownerInfo = this._bucketOwnerInfo.get(s3bucket.name)
+    const principalId = req
+      ? getAccessKeyId(req, this._parseRequestUrl(req).query) || 'anonymous'
+      : 's3.amazonaws.com'
+    const sourceIPAddress = req
+      ? req.socket.remoteAddress || '127.0.0.1'
+      : 's3.amazonaws.com'
+    const sequencer = (++this._sequencer).toString(16)
+      .toUpperCase().padStart(16, '0')
+
+    for (const rule of rules) {
+      /** @type {S3Event} */
+      const event = {
+        Records: [{
+          eventVersion: '2.1',
+          eventSource: 'aws:s3',
+          awsRegion: s3bucket.region,
+          eventTime: new Date().toISOString(),
+          eventName: eventName,
+          userIdentity: { principalId },
+          requestParameters: { sourceIPAddress },
+          responseElements: {
+            'x-amz-request-id': cuuid(),
+            'x-amz-id-2': cuuid()
+          },
+          s3: {
+            s3SchemaVersion: '1.0',
+            configurationId: rule.id,
+            bucket: {
+              name: s3bucket.name,
+              ownerIdentity: {
+                principalId: ownerInfo ? ownerInfo.ID : '1'
+              },
+              arn: `arn:aws:s3:::${s3bucket.name}`
+            },
+            object: {
+              ...object,
+              key: encodeURIComponent(object.key)
+                .replace(/%2F/g, '/')
+                .replace(/%20/g, '+'),
+              sequencer
+            }
+          }
+        }]
+      }
+
+      const delivery = this._sendNotification(rule.arn, event).catch((
+        /** @type {Error} */ err
+      ) => {
+        this._notificationErrors.push(err)
+      }).then(() => {
+        this._pendingNotifications.delete(delivery)
+      })
+      this._pendingNotifications.add(delivery)
+    }
+  }
+
+  /**
+   * Destinations without a target are ignored, like a topic
+   * or queue that nobody is subscribed to.
+   *
+   * @param {string} arn
+   * @param {S3Event} event
+   * @returns {Promise<void>}
+   */
+  async _sendNotification (arn, event) {
+    const target = this._notificationTargets.get(arn) ||
+      (/^https?:\/\//.test(arn) ? arn : null)
+
+    if (typeof target === 'function') {
+      await target(event)
+    } else if (target !== null) {
+      await postJSON(target, event)
+    } else if (this.lambda && arn.startsWith('arn:aws:lambda:')) {
+      await this.lambda.invokeFunction(arn, event)
+    }
+  }
+
   /** @returns {void} */
   setupBuckets () {
     if (this.initialBuckets.length === 0) {
@@ -490,8 +2024,9 @@ class FakeS3 {
     const bucketsMap = new Map()
     this._profiles.set('default', bucketsMap)
 
+    const creationDate = new Date(this.start).toISOString()
     for (const bucket of this.initialBuckets) {
-      bucketsMap.set(bucket, new S3Bucket())
+      bucketsMap.set(bucket, new S3Bucket(bucket, creationDate))
     }
   }
 
@@ -507,20 +2042,10 @@ class FakeS3 {
   /**
    * @param {import('http').IncomingMessage} req
    * @param {Buffer} _buf
-   * @returns {void}
+   * @returns {Record<string, string>}
    */
   _handleDeleteObject (req, _buf) {
-    const reqUrl = req.url || ''
-
-    /* eslint-disable-next-line node/no-deprecated-api */
-    const parsedUrl = url.parse(reqUrl, true)
-    const parts = (parsedUrl.pathname || '').split('/')
-    if (parts.length < 3 || parts[0] !== '') {
-      throw new Error('invalid url, expected /:bucket/:key')
-    }
-
-    const bucket = parts[1]
-    const key = parts.slice(2, parts.length).join('/')
+    const { bucket, key, query } = this._getObjectTarget(req)
 
     const bucketsMap = this._profiles.get('default')
     const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
@@ -531,34 +2056,140 @@ class FakeS3 {
       throw err
     }
 
-    s3bucket.deleteObject(key)
+    const versionId = getQueryParam(query, 'versionId')
+    const removed = s3bucket.getVersion(key, versionId)
+    const result = deleteObjectVersion(s3bucket, key, versionId)
+    this._notifyDelete(req, s3bucket, key, versionId, result, removed)
+
+    /** @type {Record<string, string>} */
+    const headers = {}
+    if (result.versionId !== null) {
+      headers['x-amz-version-id'] = result.versionId
+    }
+    if (result.deleteMarker) {
+      headers['x-amz-delete-marker'] = 'true'
+    }
+    return headers
   }
 
   /**
    * @param {import('http').IncomingMessage} req
-   * @param {Buffer} buf
-   * @returns {S3Object}
+   * @param {S3Bucket} s3bucket
+   * @param {string} key
+   * @param {string | null} versionId
+   * @param {{ versionId: string | null, deleteMarker: boolean }} result
+   * @param {S3Object | DeleteMarker | null} removed
+   * @returns {void}
    */
-  _handlePutObject (req, buf) {
-    const reqUrl = req.url || ''
+  _notifyDelete (req, s3bucket, key, versionId, result, removed) {
+    /** @type {Omit<S3EventObject, 'sequencer'>} */
+    const object = { key }
+    if (result.versionId !== null) object.versionId = result.versionId
 
-    /* eslint-disable-next-line node/no-deprecated-api */
-    const parsedUrl = url.parse(reqUrl, true)
-    const parts = (parsedUrl.pathname || '').split('/')
-    if (parts.length < 3 || parts[0] !== '') {
-      throw new Error('invalid url, expected /:bucket/:key')
+    // Deleting a specific version never creates a delete marker.
+    const eventName = result.deleteMarker && versionId === null
+      ? 'ObjectRemoved:DeleteMarkerCreated'
+      : 'ObjectRemoved:Delete'
+    this._notify(req, s3bucket, eventName, object)
+
+    if (removed && removed.type === 's3-object') {
+      this.emit('objectRemoved', removed)
     }
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {string}
+   */
+  _handleDeleteObjects (req, buf) {
+    const { bucket } = this._getBucketTarget(req)
+    checkContentMD5(req, buf, true)
 
-    const bucket = parts[1]
-    const key = parts.slice(2, parts.length).join('/')
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
 
-    if (req.headers['x-amz-copy-source']) {
-      throw new Error('copyObject() not supported')
+    const body = parseXMLBody(buf)
+    const objects = xmlChildren(body, 'Object')
+    if (
+      body.name !== 'Delete' ||
+      objects.length === 0 ||
+      objects.length > MAX_DELETE_KEYS
+    ) {
+      throw malformedXMLError()
     }
-    if (parsedUrl.query.uploadId) {
-      throw new Error('putObjectMultipart not supported')
+    const quiet = xmlText(body, 'Quiet') === 'true'
+
+    let resultXML = ''
+    for (const node of objects) {
+      const key = xmlText(node, 'Key') || ''
+      const versionId = xmlText(node, 'VersionId')
+
+      /** @type {{ versionId: string | null, deleteMarker: boolean }} */
+      let result
+      try {
+        if (key === '') {
+          throw new S3ResponseError(
+            'InvalidArgument', 'The key must not be empty.', 400, key
+          )
+        }
+        const action = versionId === null
+          ? 's3:DeleteObject'
+          : 's3:DeleteObjectVersion'
+        if (!this._isAllowed(req, s3bucket, action, key, versionId)) {
+          throw accessDeniedError()
+        }
+        const removed = s3bucket.getVersion(key, versionId)
+        result = deleteObjectVersion(s3bucket, key, versionId)
+        this._notifyDelete(
+          req, s3bucket, key, versionId, result, removed
+        )
+      } catch (err) {
+        if (!(err instanceof S3ResponseError)) throw err
+
+        resultXML += `<Error>
+          <Key>${escapeXML(key)}</Key>
+          <Code>${err.code}</Code>
+          <Message>${escapeXML(err.message)}</Message>
+        </Error>`
+        continue
+      }
+
+      if (!quiet) {
+        const versionXML = versionId !== null
+          ? `<VersionId>${escapeXML(versionId)}</VersionId>`
+          : ''
+        const markerXML = result.deleteMarker
+          ? `<DeleteMarker>true</DeleteMarker>
+            <DeleteMarkerVersionId>${result.versionId || ''}</DeleteMarkerVersionId>`
+          : ''
+        resultXML += `<Deleted>
+          <Key>${escapeXML(key)}</Key>
+          ${versionXML}
+          ${markerXML}
+        </Deleted>`
+      }
     }
 
+    return `<DeleteResult>
+      ${resultXML}
+    </DeleteResult>`
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {S3Object}
+   */
+  _handlePutObject (req, buf) {
+    const { bucket, key } = this._getObjectTarget(req)
+
     // For the upload use case we always write into the default
     // profile and not into the profiles hydrated from cache.
     const bucketsMap = this._profiles.get('default')
@@ -570,6 +2201,12 @@ class FakeS3 {
       throw err
     }
 
+    checkWriteConditions(req, s3bucket.getObject(key), key)
+    checkContentMD5(req, buf, false)
+    const checksum = parseChecksumHeaders(req.headers, buf)
+    const { encryption, customerKey } =
+      parseEncryptionHeaders(req.headers, s3bucket)
+
     const md5Hash = crypto.createHash('md5')
     md5Hash.update(buf)
     const md5 = md5Hash.digest('hex')
@@ -577,185 +2214,286 @@ class FakeS3 {
     const obj = new S3Object(
       bucket, key, buf, lastModified, md5, buf.length
     )
+    Object.assign(obj, parseObjectMetadata(req.headers))
+    obj.tags = parseTaggingHeader(req)
+    obj.acl = parseCannedACL(req)
+    obj.checksum = checksum
+    encryptObject(obj, encryption, customerKey)
     s3bucket.addObject(obj)
+    this._notifyCreate(req, s3bucket, 'ObjectCreated:Put', obj)
     return obj
   }
 
   /**
    * @param {import('http').IncomingMessage} req
-   * @returns {Map<string, S3Bucket> | undefined}
+   * @param {S3Bucket} s3bucket
+   * @param {string} eventName
+   * @param {S3Object} obj
+   * @returns {void}
    */
-  _getBucketsMap (req) {
-    const authHeader = req.headers.authorization || ''
-    const match = authHeader.match(stripCreds)
-    let profile = 'default'
-    if (match) {
-      const creds = match[0].slice(11)
-      const accessKeyId = creds.split('/')[0]
-      profile = accessKeyId
-    }
-
-    const info = this._profiles.get(profile)
-    if (info) {
-      return info
+  _notifyCreate (req, s3bucket, eventName, obj) {
+    /** @type {Omit<S3EventObject, 'sequencer'>} */
+    const object = {
+      key: obj.key,
+      size: obj.contentLength,
+      eTag: obj.md5
     }
-
-    return this._profiles.get('default')
+    if (obj.versionId !== 'null') object.versionId = obj.versionId
+    this._notify(req, s3bucket, eventName, object)
+    this.emit('objectCreated', obj)
   }
 
   /**
+   * A browser form upload, the policy document is validated but
+   * like for presigned URLs the signature is not.
+   *
    * @param {import('http').IncomingMessage} req
-   * @returns {string}
+   * @param {Buffer} buf
+   * @returns {Response}
    */
-  _handleListBuckets (req) {
-    const bucketsMap = this._getBucketsMap(req)
-    const buckets = bucketsMap ? [...bucketsMap.keys()] : []
+  _handlePostObject (req, buf) {
+    const { bucket } = this._getBucketTarget(req)
 
-    let bucketsXML = ''
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
 
-    const start = Math.floor(this.start / 1000)
-    for (const b of buckets) {
-      bucketsXML += `
-        <Bucket>
-          <CreationDate>${start}</CreationDate>
-          <Name>${b}</Name>
-        </Bucket>
-      `
+    const { fields, file } = parseFormData(req, buf)
+    if (fields.key === undefined) {
+      throw missingPostFieldError('key')
+    }
+    if (!file) {
+      throw new S3ResponseError(
+        'InvalidArgument',
+        'POST requires exactly one file upload per request.',
+        400,
+        'file'
+      )
     }
 
-    const ownerInfo = this._bucketOwnerInfo.get(buckets[0])
-    const displayName = ownerInfo ? ownerInfo.DisplayName : 'admin'
-    const id = ownerInfo ? ownerInfo.ID : '1'
+    const accessKeyId = checkPostPolicy(fields, bucket, file.content.length)
+    const key = fields.key.replace(/\$\{filename\}/g, file.filename)
+    if (!this._isAllowed(
+      req, s3bucket, 's3:PutObject', key, null, accessKeyId
+    )) {
+      throw accessDeniedError()
+    }
+    const { encryption, customerKey } =
+      parseEncryptionHeaders(fields, s3bucket)
 
-    return `<ListBucketsOutput>
-      <Buckets>
-        ${bucketsXML}
-      </Buckets>
-      <Owner>
-        <DisplayName>${displayName}</DisplayName>
-        <ID>${id}</ID>
-      </Owner>
-    </ListBucketsOutput>`
-  }
+    const md5 = crypto.createHash('md5').update(file.content).digest('hex')
+    const obj = new S3Object(
+      bucket,
+      key,
+      file.content,
+      new Date().toISOString(),
+      md5,
+      file.content.length
+    )
+    Object.assign(obj, parseObjectMetadata(fields))
+    if (fields.tagging !== undefined) {
+      obj.tags = validateTags(
+        parseTaggingBody(Buffer.from(fields.tagging)), MAX_OBJECT_TAGS
+      )
+    }
+    if (fields.acl !== undefined) obj.acl = validateCannedACL(fields.acl)
+    encryptObject(obj, encryption, customerKey)
+    s3bucket.addObject(obj)
+    this._notifyCreate(req, s3bucket, 'ObjectCreated:Post', obj)
 
-  /**
-   * @param {import('url').UrlWithParsedQuery} parsedUrl
-   * @param {(S3Object | CommonPrefix)[]} rawObjects
-   * @returns {{
-   *      objects: (S3Object | CommonPrefix)[]
-   *      prevToken: string | undefined,
-   *      maxKeys: number,
-   *      nextToken: string | undefined
-   * }}
-   */
-  paginate (parsedUrl, rawObjects) {
-    let maxKeys = 1000
+    const location = `http://${this.getHostPort()}/${bucket}/` +
+      encodeURIComponent(key).replace(/%2F/g, '/')
+    /** @type {Record<string, string>} */
+    const headers = {
+      'ETag': formatETag(obj.md5),
+      'Location': location,
+      ...versionIdHeader(obj),
+      ...encryptionHeaders(obj)
+    }
 
-    if (parsedUrl.query['max-keys']) {
-      let maxKeysStr = parsedUrl.query['max-keys']
-      if (Array.isArray(maxKeysStr)) maxKeysStr = maxKeysStr[0]
+    const redirect = parseRedirectURL(fields.success_action_redirect)
+    if (redirect) {
+      redirect.searchParams.set('bucket', bucket)
+      redirect.searchParams.set('key', key)
+      redirect.searchParams.set('etag', formatETag(obj.md5))
+      headers.Location = redirect.toString()
+      return { statusCode: 303, headers, body: '' }
+    }
 
-      const queryMaxKeys = parseInt(maxKeysStr, 10)
-      if (queryMaxKeys < maxKeys) {
-        maxKeys = queryMaxKeys
+    const status = fields.success_action_status
+    if (status === '201') {
+      headers['Content-Type'] = 'text/xml'
+      return {
+        statusCode: 201,
+        headers,
+        body: `<PostResponse>
+          <Location>${escapeXML(location)}</Location>
+          <Bucket>${bucket}</Bucket>
+          <Key>${escapeXML(key)}</Key>
+          <ETag>${escapeXML(formatETag(obj.md5))}</ETag>
+        </PostResponse>`
       }
     }
+    return { statusCode: status === '200' ? 200 : 204, headers, body: '' }
+  }
 
-    let offset = 0
-    let startAfter = parsedUrl.query['start-after']
-    if (Array.isArray(startAfter)) startAfter = startAfter[0]
-    let prevToken = parsedUrl.query['continuation-token']
-    if (Array.isArray(prevToken)) prevToken = prevToken[0]
-    if (prevToken) {
-      const tokenInfo = this.tokens.get(prevToken)
-      this.tokens.delete(prevToken)
-
-      if (!tokenInfo) throw new Error('invalid next token')
-      offset = tokenInfo.offset
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {{ source: S3Object, obj: S3Object }}
+   */
+  _handleCopyObject (req) {
+    const { bucket, key } = this._getObjectTarget(req)
 
-      if (tokenInfo.startAfter) {
-        startAfter = tokenInfo.startAfter
-      }
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
     }
 
-    if (startAfter) {
-      const index = rawObjects.findIndex((o) => {
-        if (o.type === 's3-common-prefix') return false
-        return o.key === startAfter
-      })
-      if (index >= 0) {
-        rawObjects = rawObjects.slice(index + 1)
-      }
-    }
+    const source = this._getCopySource(req)
+    const { encryption, customerKey } =
+      parseEncryptionHeaders(req.headers, s3bucket)
 
-    const end = offset + maxKeys
-    const resultObjects = rawObjects.slice(offset, end)
-    const truncated = rawObjects.length > end
+    const directive = getHeader(req, 'x-amz-metadata-directive') || 'COPY'
+    if (directive !== 'COPY' && directive !== 'REPLACE') {
+      throw new S3ResponseError(
+        'InvalidArgument',
+        'Unknown metadata directive.',
+        400,
+        directive
+      )
+    }
+    const taggingDirective =
+      getHeader(req, 'x-amz-tagging-directive') || 'COPY'
+    if (taggingDirective !== 'COPY' && taggingDirective !== 'REPLACE') {
+      throw new S3ResponseError(
+        'InvalidArgument',
+        'Unknown tagging directive.',
+        400,
+        taggingDirective
+      )
+    }
 
-    /** @type {string | undefined} */
-    let nextToken
-    if (truncated) {
-      nextToken = cuuid()
-      this.tokens.set(nextToken, {
-        offset: end,
-        startAfter: startAfter
-      })
+    const changesEncryption = customerKey !== null ||
+      getHeader(req, 'x-amz-server-side-encryption') !== null
+    if (
+      source.bucket === bucket &&
+      source.key === key &&
+      directive === 'COPY' &&
+      !changesEncryption
+    ) {
+      throw new S3ResponseError(
+        'InvalidRequest',
+        'This copy request is illegal because it is trying to copy ' +
+          'an object to itself without changing the object\'s ' +
+          'metadata, storage class, website redirect location or ' +
+          'encryption attributes.',
+        400,
+        key
+      )
     }
 
-    return {
-      objects: resultObjects,
-      prevToken: prevToken,
-      maxKeys: maxKeys,
-      nextToken: nextToken
+    this._checkCopyConditions(req, source)
+    checkWriteConditions(req, s3bucket.getObject(key), key)
+
+    const content = readObjectContent(
+      req.headers, source, 'x-amz-copy-source-'
+    )
+    const obj = new S3Object(
+      bucket,
+      key,
+      content,
+      new Date().toISOString(),
+      source.md5,
+      source.contentLength
+    )
+    if (directive === 'REPLACE') {
+      Object.assign(obj, parseObjectMetadata(req.headers))
+    } else {
+      obj.metadata = { ...source.metadata }
+      obj.systemMetadata = { ...source.systemMetadata }
     }
+    obj.tags = taggingDirective === 'REPLACE'
+      ? parseTaggingHeader(req)
+      : { ...source.tags }
+    obj.acl = parseCannedACL(req)
+    const checksumAlgorithm = parseChecksumAlgorithm(req)
+    obj.checksum = checksumAlgorithm
+      ? createChecksum(checksumAlgorithm, content)
+      : source.checksum
+    encryptObject(obj, encryption, customerKey)
+    s3bucket.addObject(obj)
+    this._notifyCreate(req, s3bucket, 'ObjectCreated:Copy', obj)
+    return { source, obj }
   }
 
   /**
-   * @param {S3Object[]} objects
-   * @param {string} delimiter
-   * @param {string} [prefix]
-   * @returns {(S3Object | CommonPrefix)[]}
+   * @param {import('http').IncomingMessage} req
+   * @param {S3Object} source
+   * @returns {void}
    */
-  splitObjects (objects, delimiter, prefix) {
-    /** @type {Set<string>} */
-    const prefixSet = new Set()
+  _checkCopyConditions (req, source) {
+    const result = checkPreconditions({
+      ifMatch: getHeader(req, 'x-amz-copy-source-if-match'),
+      ifNoneMatch: getHeader(req, 'x-amz-copy-source-if-none-match'),
+      ifModifiedSince: getHeader(req, 'x-amz-copy-source-if-modified-since'),
+      ifUnmodifiedSince:
+        getHeader(req, 'x-amz-copy-source-if-unmodified-since')
+    }, source)
 
-    /** @type {Array<S3Object | CommonPrefix>} */
-    const out = []
-    for (const obj of objects) {
-      const key = prefix ? obj.key.slice(prefix.length) : obj.key
-
-      const parts = key.split(delimiter)
-      if (parts.length === 1) {
-        out.push(obj)
-      } else {
-        const segment = parts[0] + delimiter
-        if (prefixSet.has(segment)) {
-          continue
-        } else {
-          out.push(new CommonPrefix((prefix || '') + segment))
-          prefixSet.add(segment)
-        }
-      }
+    // Unlike getObject() a failed if-modified-since is a 412
+    // and not a 304 for copyObject().
+    if (result !== 'pass') {
+      throw preconditionFailedError(source.key)
     }
-    return out
   }
 
   /**
+   * Resolves the `x-amz-copy-source` header, the source can be in
+   * any of the profiles and not just the default one.
+   *
    * @param {import('http').IncomingMessage} req
-   * @returns {string}
+   * @returns {S3Object}
    */
-  _handleGetObjectsV2 (req) {
-    /* eslint-disable-next-line node/no-deprecated-api */
-    const parsedUrl = url.parse(req.url || '', true)
-    const parts = (parsedUrl.pathname || '').split('/')
-    if (parts.length > 2 || parts[0] !== '') {
-      throw new Error('invalid url, expected /:bucket')
+  _getCopySource (req) {
+    const header = getHeader(req, 'x-amz-copy-source') || ''
+    const [rawPath, search] = header.split('?')
+    /** @type {string} */
+    let sourcePath
+    try {
+      sourcePath = decodeURIComponent(rawPath).replace(/^\//, '')
+    } catch (_err) {
+      throw new S3ResponseError(
+        'InvalidArgument', 'Invalid copy source encoding.', 400, header
+      )
+    }
+    const versionId = new url.URLSearchParams(search || '').get('versionId')
+
+    const index = sourcePath.indexOf('/')
+    if (index <= 0 || index === sourcePath.length - 1) {
+      throw new S3ResponseError(
+        'InvalidArgument',
+        'Copy Source must mention the source bucket and key: ' +
+          'sourcebucket/sourcekey',
+        400,
+        header
+      )
     }
 
-    const bucket = parts[1]
+    const bucket = sourcePath.slice(0, index)
+    const key = sourcePath.slice(index + 1)
+
     const bucketsMap = this._getBucketsMap(req)
-    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    const s3bucket = (bucketsMap && bucketsMap.get(bucket)) ||
+      this._findBucket(bucket)
     if (!s3bucket) {
       const err = new NoSuchBucketError(
         'The specified bucket does not exist', bucket
@@ -763,276 +2501,5927 @@ class FakeS3 {
       throw err
     }
 
-    let objects = s3bucket.getObjects()
-    objects.sort((a, b) => {
-      return a.key < b.key ? -1 : 1
-    })
+    const action = versionId === null ? 's3:GetObject' : 's3:GetObjectVersion'
+    if (!this._isAllowed(req, s3bucket, action, key, versionId)) {
+      throw accessDeniedError()
+    }
 
-    let prefix = parsedUrl.query.prefix
-    if (Array.isArray(prefix)) prefix = prefix[0]
-    if (prefix) {
-      const filterPrefix = prefix
-      objects = objects.filter((o) => {
-        return o.key.startsWith(filterPrefix)
-      })
+    return getObjectVersion(s3bucket, key, versionId)
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {S3Bucket}
+   */
+  _handleCreateBucket (req, buf) {
+    const { bucket } = this._getBucketTarget(req)
+    if (!isValidBucketName(bucket)) {
+      throw new S3ResponseError(
+        'InvalidBucketName',
+        'The specified bucket is not valid.',
+        400,
+        bucket
+      )
     }
 
-    let delimiter = parsedUrl.query.delimiter
-    /** @type {(S3Object | CommonPrefix)[]} */
-    let allObjects
-    if (delimiter) {
-      if (Array.isArray(delimiter)) delimiter = delimiter[0]
-      allObjects = this.splitObjects(objects, delimiter, prefix)
-    } else {
-      allObjects = objects
+    const acl = parseCannedACL(req)
+    let region = 'us-east-1'
+    if (buf.length > 0) {
+      const config = parseXMLBody(buf)
+      const location = xmlText(config, 'LocationConstraint')
+      if (location) region = location
     }
 
-    const {
-      prevToken, nextToken, maxKeys,
-      objects: resultObjects
-    } = this.paginate(parsedUrl, allObjects)
+    // Like uploads, buckets are always created in the default
+    // profile and not in the profiles hydrated from cache.
+    let bucketsMap = this._profiles.get('default')
+    if (bucketsMap && bucketsMap.has(bucket)) {
+      throw new S3ResponseError(
+        'BucketAlreadyOwnedByYou',
+        'Your previous request to create the named bucket succeeded ' +
+          'and you already own it.',
+        409,
+        bucket
+      )
+    }
+    if (this._findBucket(bucket)) {
+      throw new S3ResponseError(
+        'BucketAlreadyExists',
+        'The requested bucket name is not available. The bucket ' +
+          'namespace is shared by all users of the system. Please ' +
+          'select a different name and try again.',
+        409,
+        bucket
+      )
+    }
 
-    let contentXml = ''
-    let commonPrefixes = ''
-    for (const o of resultObjects) {
-      if (o.type === 's3-object') {
-        contentXml += `<Contents>
-          <Key>${o.key}</Key>
-          <LastModified>${o.lastModified}</LastModified>
-          <ETag>${o.md5}</ETag>
-          <Size>${o.contentLength}</Size>
-          <StorageClass>STANDARD</StorageClass>
-        </Contents>`
-      } else {
-        commonPrefixes += `<CommonPrefixes>
-          <Prefix>${o.prefix}</Prefix>
-        </CommonPrefixes>`
-      }
+    if (!bucketsMap) {
+      bucketsMap = new Map()
+      this._profiles.set('default', bucketsMap)
     }
 
-    const truncated = Boolean(nextToken)
-    const contToken = nextToken
-      ? '<NextContinuationToken>' + nextToken +
-        '</NextContinuationToken>'
-      : ''
-    const prevContToken = prevToken
-      ? '<ContinuationToken>' + prevToken +
-        '</ContinuationToken>'
-      : ''
-    const delimiterResp = delimiter
-      ? '<Delimiter>' + delimiter + '</Delimiter>'
-      : ''
-
-    return `<ListObjectsV2Output>
-      <IsTruncated>${truncated}</IsTruncated>
-      <Marker></Marker>
-      <Name>${bucket}</Name>
-      <Prefix>${prefix || ''}</Prefix>
-      <MaxKeys>${maxKeys}</MaxKeys>
-      <KeyCount>${resultObjects.length}</KeyCount>
-      <!-- TODO: support CommonPrefixes -->
-      ${contentXml}
-      ${commonPrefixes}
-      ${contToken}
-      ${prevContToken}
-      ${delimiterResp}
-    </ListObjectsV2Output>`
-  }
+    const s3bucket = new S3Bucket(bucket, new Date().toISOString())
+    s3bucket.region = region
+    s3bucket.acl = acl
+    bucketsMap.set(bucket, s3bucket)
+    return s3bucket
+  }
 
   /**
-   * @param {S3Error} err
-   * @returns {string}
+   * @param {import('http').IncomingMessage} req
+   * @returns {void}
    */
-  _buildError (err) {
-    let resourceStr = ''
-    if (err.resource) {
-      resourceStr = `<Resource>${err.resource}</Resource>`
+  _handleDeleteBucket (req) {
+    const { bucket } = this._getBucketTarget(req)
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!bucketsMap || !s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
     }
 
-    return `<Error>
-      <Code>${err.code || 'InternalError'}</Code>
-      <Message>${escapeXML(err.message)}</Message>
-      ${resourceStr}
-      <RequestId>1</RequestId>
-    </Error>`
+    if (!s3bucket.isEmpty()) {
+      throw new S3ResponseError(
+        'BucketNotEmpty',
+        'The bucket you tried to delete is not empty',
+        409,
+        bucket
+      )
+    }
+
+    bucketsMap.delete(bucket)
+    this._deletedBuckets.add(bucket)
   }
 
   /**
-   * @param {S3Error} err
-   * @param {import('http').ServerResponse} res
-   * @returns {void}
+   * @param {import('http').IncomingMessage} req
+   * @returns {MultipartUpload}
    */
-  _writeError (err, res) {
-    const xml = this._buildError(err)
-    res.writeHead(err.statusCode || 500, { 'Content-Type': 'text/xml' })
-    res.end(xml)
+  _handleCreateMultipartUpload (req) {
+    const { bucket, key } = this._getObjectTarget(req)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    const upload = new MultipartUpload(
+      bucket, key, cuuid(), new Date().toISOString()
+    )
+    Object.assign(upload, parseObjectMetadata(req.headers))
+    upload.tags = parseTaggingHeader(req)
+    upload.acl = parseCannedACL(req)
+    Object.assign(upload, parseEncryptionHeaders(req.headers, s3bucket))
+    upload.checksumAlgorithm = parseChecksumAlgorithm(req)
+    s3bucket.addUpload(upload)
+    return upload
   }
 
   /**
+   * Finds an in-progress upload, uploads are always written into
+   * the default profile.
+   *
    * @param {import('http').IncomingMessage} req
-   * @param {Buffer} bodyBuf
-   * @returns {Response | null}
+   * @returns {{ s3bucket: S3Bucket, upload: MultipartUpload }}
    */
-  _handleServerPut (req, bodyBuf) {
-    const reqUrl = req.url || ''
-
-    const parts = reqUrl.split('/')
-
-    // PUT /:bucket/:key
-    if (parts.length >= 2) {
-      const obj = this._handlePutObject(req, bodyBuf)
+  _getMultipartUpload (req) {
+    const { bucket, key, query } = this._getObjectTarget(req)
 
-      return {
-        headers: {
-          ETag: JSON.stringify(obj.md5)
-        },
-        statusCode: 200,
-        body: ''
-      }
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
     }
 
-    // PUT /:bucket
-    if (parts.length === 1) {
-      // TODO impl createBucket()
+    const uploadId = getQueryParam(query, 'uploadId') || ''
+    const upload = s3bucket.getUpload(uploadId)
+    if (!upload || upload.key !== key) {
+      throw new S3ResponseError(
+        'NoSuchUpload',
+        'The specified upload does not exist. The upload ID may be ' +
+          'invalid, or the upload may have been aborted or completed.',
+        404,
+        uploadId
+      )
     }
 
-    return null
+    return { s3bucket, upload }
   }
 
   /**
    * @param {import('http').IncomingMessage} req
-   * @param {Buffer} bodyBuf
-   * @returns {Response | null}
+   * @param {Buffer} buf
+   * @returns {MultipartPart}
    */
-  _handleServerDelete (req, bodyBuf) {
-    const reqUrl = req.url || ''
-    const parts = reqUrl.split('/')
+  _handleUploadPart (req, buf) {
+    const { upload } = this._getMultipartUpload(req)
+    const { query } = this._getObjectTarget(req)
+    const partNumber = parsePartNumber(query)
+    checkUploadCustomerKey(req.headers, upload)
+    checkContentMD5(req, buf, false)
+    const checksum = parseChecksumHeaders(req.headers, buf)
 
-    // DELETE /:bucket/:key
-    if (parts.length >= 2) {
-      this._handleDeleteObject(req, bodyBuf)
+    const part = new MultipartPart(
+      partNumber, buf, new Date().toISOString()
+    )
+    part.checksum = checkPartChecksum(upload, checksum, buf)
+    upload.parts.set(partNumber, part)
+    return part
+  }
 
-      return {
-        statusCode: 204,
-        headers: {},
-        body: ''
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {MultipartPart}
+   */
+  _handleUploadPartCopy (req) {
+    const { upload } = this._getMultipartUpload(req)
+    const { query } = this._getObjectTarget(req)
+    const partNumber = parsePartNumber(query)
+
+    checkUploadCustomerKey(req.headers, upload)
+
+    const source = this._getCopySource(req)
+    this._checkCopyConditions(req, source)
+
+    let content = readObjectContent(
+      req.headers, source, 'x-amz-copy-source-'
+    )
+
+    const rangeHeader = getHeader(req, 'x-amz-copy-source-range')
+    if (rangeHeader) {
+      const match = /^bytes=(\d+)-(\d+)$/.exec(rangeHeader)
+      const start = match ? parseInt(match[1], 10) : -1
+      const end = match ? parseInt(match[2], 10) : -1
+      if (!match || end < start || end >= content.length) {
+        throw new S3ResponseError(
+          'InvalidArgument',
+          'Range specified is not valid for source object of size: ' +
+            String(content.length),
+          400,
+          rangeHeader
+        )
       }
+      content = content.slice(start, end + 1)
     }
 
-    return null
+    const part = new MultipartPart(
+      partNumber, content, new Date().toISOString()
+    )
+    part.checksum = checkPartChecksum(upload, null, content)
+    upload.parts.set(partNumber, part)
+    return part
   }
 
   /**
    * @param {import('http').IncomingMessage} req
-   * @param {Buffer} _bodyBuf
-   * @returns {Response | null}
+   * @param {Buffer} buf
+   * @returns {S3Object}
    */
-  _handleServerGet (req, _bodyBuf) {
-    const reqUrl = req.url || ''
-    const parts = reqUrl.split('/')
+  _handleCompleteMultipartUpload (req, buf) {
+    const { s3bucket, upload } = this._getMultipartUpload(req)
+    checkWriteConditions(req, s3bucket.getObject(upload.key), upload.key)
 
-    if (reqUrl === '/') {
-      const xml = this._handleListBuckets(req)
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'text/xml'
-        },
-        body: xml
+    const body = parseXMLBody(buf)
+    const requested = xmlChildren(body, 'Part')
+    if (body.name !== 'CompleteMultipartUpload' || requested.length === 0) {
+      throw malformedXMLError()
+    }
+
+    /** @type {MultipartPart[]} */
+    const parts = []
+    for (const node of requested) {
+      const partNumber = parseInt(xmlText(node, 'PartNumber') || '', 10)
+      const etag = xmlText(node, 'ETag') || ''
+      const part = upload.parts.get(partNumber)
+
+      if (
+        !part ||
+        formatETag(etag) !== formatETag(part.md5) ||
+        !matchesPartChecksum(node, part)
+      ) {
+        throw new S3ResponseError(
+          'InvalidPart',
+          'One or more of the specified parts could not be found. ' +
+            'The part may not have been uploaded, or the specified ' +
+            'entity tag may not match the part\'s entity tag.',
+          400,
+          String(partNumber)
+        )
+      }
+
+      const prev = parts.length > 0 ? parts[parts.length - 1] : null
+      if (prev && prev.partNumber >= partNumber) {
+        throw new S3ResponseError(
+          'InvalidPartOrder',
+          'The list of parts was not in ascending order. The parts ' +
+            'list must be specified in order by part number.',
+          400,
+          String(partNumber)
+        )
       }
+      parts.push(part)
     }
 
-    // GET /:bucket
-    if (parts.length === 2) {
-      const xml = this._handleGetObjectsV2(req)
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'text/xml'
-        },
-        body: xml
+    for (const part of parts.slice(0, -1)) {
+      if (part.content.length < MIN_PART_SIZE) {
+        throw new S3ResponseError(
+          'EntityTooSmall',
+          'Your proposed upload is smaller than the minimum allowed ' +
+            'object size.',
+          400,
+          String(part.partNumber)
+        )
       }
     }
 
-    return null
+    const content = Buffer.concat(parts.map((p) => p.content))
+    const md5Hash = crypto.createHash('md5')
+    for (const part of parts) {
+      md5Hash.update(Buffer.from(part.md5, 'hex'))
+    }
+    const md5 = `${md5Hash.digest('hex')}-${parts.length}`
+
+    const obj = new S3Object(
+      upload.bucket,
+      upload.key,
+      content,
+      new Date().toISOString(),
+      md5,
+      content.length
+    )
+    obj.metadata = upload.metadata
+    obj.systemMetadata = upload.systemMetadata
+    obj.tags = upload.tags
+    obj.acl = upload.acl
+    obj.checksum = compositeChecksum(upload.checksumAlgorithm, parts)
+    encryptObject(obj, upload.encryption, upload.customerKey)
+    s3bucket.addObject(obj)
+    s3bucket.deleteUpload(upload.uploadId)
+    this._notifyCreate(
+      req, s3bucket, 'ObjectCreated:CompleteMultipartUpload', obj
+    )
+    return obj
   }
 
   /**
    * @param {import('http').IncomingMessage} req
-   * @param {import('http').ServerResponse} res
    * @returns {void}
    */
-  _handleServerRequest (req, res) {
-    /** @type {Buffer[]} */
-    const buffers = []
-    req.on('data', (
-      /** @type {Buffer} */ chunk
-    ) => {
-      buffers.push(chunk)
-    })
-    req.on('end', () => {
-      const bodyBuf = Buffer.concat(buffers)
+  _handleAbortMultipartUpload (req) {
+    const { s3bucket, upload } = this._getMultipartUpload(req)
+    s3bucket.deleteUpload(upload.uploadId)
+  }
 
-      /** @type {Response | null} */
-      let resp = null
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleListParts (req) {
+    const { upload } = this._getMultipartUpload(req)
+    const { query } = this._getObjectTarget(req)
 
-      try {
-        if (req.method === 'PUT') {
-          resp = this._handleServerPut(req, bodyBuf)
-        } else if (req.method === 'DELETE') {
-          resp = this._handleServerDelete(req, bodyBuf)
-        } else if (req.method === 'GET') {
-          resp = this._handleServerGet(req, bodyBuf)
-        } else {
-          const err = new Error(
-            `url not supported: ${req.method} ${req.url}`
-          )
-          Reflect.set(err, 'statusCode', 404)
-          throw err
+    const maxParts = parseIntegerParam(query, 'max-parts', 1000, 1000)
+    const marker = parseIntegerParam(
+      query, 'part-number-marker', 0, MAX_PART_NUMBER
+    )
+
+    const allParts = upload.getParts()
+      .filter((p) => p.partNumber > marker)
+    const parts = allParts.slice(0, maxParts)
+    const truncated = allParts.length > maxParts
+
+    let partsXML = ''
+    for (const part of parts) {
+      partsXML += `<Part>
+        <PartNumber>${part.partNumber}</PartNumber>
+        <LastModified>${part.lastModified}</LastModified>
+        <ETag>${escapeXML(formatETag(part.md5))}</ETag>
+        <Size>${part.content.length}</Size>
+        ${buildChecksumXML(part.checksum)}
+      </Part>`
+    }
+
+    const nextMarker = parts.length > 0
+      ? parts[parts.length - 1].partNumber
+      : marker
+    const ownerXML = this._buildOwnerXML(upload.bucket)
+
+    return `<ListPartsResult>
+      <Bucket>${upload.bucket}</Bucket>
+      <Key>${escapeXML(upload.key)}</Key>
+      <UploadId>${upload.uploadId}</UploadId>
+      <PartNumberMarker>${marker}</PartNumberMarker>
+      <NextPartNumberMarker>${nextMarker}</NextPartNumberMarker>
+      <MaxParts>${maxParts}</MaxParts>
+      <IsTruncated>${truncated}</IsTruncated>
+      <Initiator>${ownerXML}</Initiator>
+      <Owner>${ownerXML}</Owner>
+      <StorageClass>STANDARD</StorageClass>
+      ${partsXML}
+    </ListPartsResult>`
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleListMultipartUploads (req) {
+    const { bucket, query } = this._getBucketTarget(req)
+    const bucketsMap = this._getBucketsMap(req)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    const prefix = getQueryParam(query, 'prefix') || ''
+    const delimiter = getQueryParam(query, 'delimiter')
+    const keyMarker = getQueryParam(query, 'key-marker') || ''
+    const uploadIdMarker = getQueryParam(query, 'upload-id-marker') || ''
+    const maxUploads = parseIntegerParam(query, 'max-uploads', 1000, 1000)
+
+    let uploads = s3bucket.getUploads()
+      .filter((u) => u.key.startsWith(prefix))
+      .sort((a, b) => {
+        if (a.key !== b.key) return a.key < b.key ? -1 : 1
+        if (a.initiated !== b.initiated) {
+          return a.initiated < b.initiated ? -1 : 1
         }
-      } catch (err) {
-        return this._writeError(err, res)
+        return a.uploadId < b.uploadId ? -1 : 1
+      })
+
+    if (keyMarker) {
+      const index = uploads.findIndex((u) => {
+        return u.key === keyMarker && u.uploadId === uploadIdMarker
+      })
+      uploads = index >= 0
+        ? uploads.slice(index + 1)
+        : uploads.filter((u) => u.key > keyMarker)
+    }
+
+    /** @type {(MultipartUpload | CommonPrefix)[]} */
+    const entries = []
+    /** @type {Set<string>} */
+    const prefixSet = new Set()
+    for (const upload of uploads) {
+      const rest = upload.key.slice(prefix.length)
+      const index = delimiter ? rest.indexOf(delimiter) : -1
+      if (delimiter && index >= 0) {
+        const commonPrefix = prefix + rest.slice(0, index + delimiter.length)
+        if (!prefixSet.has(commonPrefix)) {
+          prefixSet.add(commonPrefix)
+          entries.push(new CommonPrefix(commonPrefix))
+        }
+      } else {
+        entries.push(upload)
       }
+    }
 
-      if (!resp) {
-        const err = new Error(
-          `url not supported: ${req.method} ${req.url}`
-        )
-        Reflect.set(err, 'statusCode', 404)
-        return this._writeError(err, res)
+    const page = entries.slice(0, maxUploads)
+    const truncated = entries.length > maxUploads
+    const ownerXML = this._buildOwnerXML(bucket)
+
+    let uploadsXML = ''
+    let commonPrefixes = ''
+    let nextKeyMarker = ''
+    let nextUploadIdMarker = ''
+    for (const entry of page) {
+      if (entry.type === 's3-common-prefix') {
+        commonPrefixes += `<CommonPrefixes>
+          <Prefix>${escapeXML(entry.prefix)}</Prefix>
+        </CommonPrefixes>`
+        nextKeyMarker = entry.prefix
+        nextUploadIdMarker = ''
+        continue
       }
 
-      res.writeHead(resp.statusCode, resp.headers)
-      res.end(resp.body)
-    })
+      uploadsXML += `<Upload>
+        <Key>${escapeXML(entry.key)}</Key>
+        <UploadId>${entry.uploadId}</UploadId>
+        <Initiator>${ownerXML}</Initiator>
+        <Owner>${ownerXML}</Owner>
+        <StorageClass>STANDARD</StorageClass>
+        <Initiated>${entry.initiated}</Initiated>
+      </Upload>`
+      nextKeyMarker = entry.key
+      nextUploadIdMarker = entry.uploadId
+    }
+
+    const delimiterResp = delimiter
+      ? '<Delimiter>' + escapeXML(delimiter) + '</Delimiter>'
+      : ''
+
+    return `<ListMultipartUploadsResult>
+      <Bucket>${bucket}</Bucket>
+      <KeyMarker>${escapeXML(keyMarker)}</KeyMarker>
+      <UploadIdMarker>${escapeXML(uploadIdMarker)}</UploadIdMarker>
+      <NextKeyMarker>${escapeXML(nextKeyMarker)}</NextKeyMarker>
+      <NextUploadIdMarker>${nextUploadIdMarker}</NextUploadIdMarker>
+      <Prefix>${escapeXML(prefix)}</Prefix>
+      ${delimiterResp}
+      <MaxUploads>${maxUploads}</MaxUploads>
+      <IsTruncated>${truncated}</IsTruncated>
+      ${uploadsXML}
+      ${commonPrefixes}
+    </ListMultipartUploadsResult>`
   }
-}
 
-module.exports = FakeS3
+  /**
+   * @param {string} bucket
+   * @returns {string}
+   */
+  _buildOwnerXML (bucket) {
+    const ownerInfo = this._bucketOwnerInfo.get(bucket)
+    const displayName = ownerInfo ? ownerInfo.DisplayName : 'admin'
+    const id = ownerInfo ? ownerInfo.ID : '1'
 
-/**
- * @param {number} n
- * @returns {Promise<void>}
- */
-async function sleep (n) {
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      resolve()
-    }, n)
-  })
-}
+    return `<DisplayName>${displayName}</DisplayName><ID>${id}</ID>`
+  }
 
-/**
- * @param {string} str
- * @returns {string}
- */
-function escapeXML (str) {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/'/g, '&apos;')
-    .replace(/"/g, '&quot;')
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {Response}
+   */
+  _handleGetObject (req) {
+    const { bucket, key, query } = this._getObjectTarget(req)
+
+    const bucketsMap = this._getBucketsMap(req)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    const obj = getObjectVersion(
+      s3bucket, key, getQueryParam(query, 'versionId')
+    )
+    if (
+      req.method === 'GET' &&
+      ARCHIVE_STORAGE_CLASSES.includes(obj.storageClass)
+    ) {
+      throw new S3ResponseError(
+        'InvalidObjectState',
+        'The operation is not valid for the object\'s storage class',
+        403,
+        key
+      )
+    }
+    const content = readObjectContent(req.headers, obj, 'x-amz-')
+
+    const condition = checkPreconditions({
+      ifMatch: getHeader(req, 'if-match'),
+      ifNoneMatch: getHeader(req, 'if-none-match'),
+      ifModifiedSince: getHeader(req, 'if-modified-since'),
+      ifUnmodifiedSince: getHeader(req, 'if-unmodified-since')
+    }, obj)
+    if (condition === 'failed') {
+      throw preconditionFailedError(key)
+    }
+    if (condition === 'not-modified') {
+      return {
+        statusCode: 304,
+        headers: {
+          'ETag': formatETag(obj.md5),
+          'Last-Modified': new Date(obj.lastModified).toUTCString(),
+          ...versionIdHeader(obj)
+        },
+        body: ''
+      }
+    }
+
+    /** @type {Record<string, string>} */
+    const headers = {
+      'Accept-Ranges': 'bytes',
+      'Content-Type': 'binary/octet-stream',
+      ...obj.systemMetadata,
+      'ETag': formatETag(obj.md5),
+      'Last-Modified': new Date(obj.lastModified).toUTCString(),
+      ...versionIdHeader(obj),
+      ...encryptionHeaders(obj)
+    }
+    for (const [name, value] of Object.entries(obj.metadata)) {
+      headers[`x-amz-meta-${name}`] = value
+    }
+    const tagCount = Object.keys(obj.tags).length
+    if (tagCount > 0) {
+      headers['x-amz-tagging-count'] = String(tagCount)
+    }
+    if (obj.storageClass !== 'STANDARD') {
+      headers['x-amz-storage-class'] = obj.storageClass
+    }
+
+    // Presigned download links can override the stored headers.
+    for (const name of SYSTEM_METADATA_HEADERS) {
+      const override = getQueryParam(query, `response-${name.toLowerCase()}`)
+      if (override !== null) headers[name] = override
+    }
+
+    const placeholder = this._getPlaceholderMode(obj)
+    const size = placeholder ? obj.contentLength : content.length
+
+    const rangeHeader = req.headers.range
+    const range = rangeHeader ? parseRange(rangeHeader, size) : null
+    if (range === 'unsatisfiable') {
+      throw new S3ResponseError(
+        'InvalidRange',
+        'The requested range is not satisfiable',
+        416,
+        key
+      )
+    }
+
+    // Like S3 the checksum only covers full object reads.
+    const checksumMode = getHeader(req, 'x-amz-checksum-mode')
+    if (!range && checksumMode === 'ENABLED' && obj.checksum) {
+      Object.assign(headers, checksumHeaders(obj.checksum))
+    }
+
+    if (range) {
+      headers['Content-Range'] =
+        `bytes ${range.start}-${range.end}/${size}`
+      headers['Content-Length'] = String(range.end - range.start + 1)
+      return {
+        statusCode: 206,
+        headers,
+        body: placeholder
+          ? placeholderStream(placeholder, obj, range.start, range.end + 1)
+          : content.slice(range.start, range.end + 1)
+      }
+    }
+
+    headers['Content-Length'] = String(size)
+    return {
+      statusCode: 200,
+      headers,
+      body: placeholder
+        ? placeholderStream(placeholder, obj, 0, size)
+        : content
+    }
+  }
+
+  /**
+   * Resolves the bucket & key of a request. Virtual-hosted-style
+   * requests like `my-bucket.localhost:4569` take the bucket from
+   * the `Host` header, otherwise the first path segment is used.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {{
+   *    bucket: string | null,
+   *    key: string | null,
+   *    query: import('querystring').ParsedUrlQuery
+   * }}
+   */
+  _parseRequestUrl (req) {
+    /* eslint-disable-next-line node/no-deprecated-api */
+    const parsedUrl = url.parse(req.url || '', true)
+    const pathname = parsedUrl.pathname || '/'
+
+    const hostBucket = this._getHostBucket(req)
+    if (hostBucket) {
+      const key = decodeURIPath(pathname.slice(1))
+      return {
+        bucket: hostBucket,
+        key: key === '' ? null : key,
+        query: parsedUrl.query
+      }
+    }
+
+    const parts = pathname.split('/')
+    const bucket = parts[1] || null
+    const key = decodeURIPath(parts.slice(2, parts.length).join('/'))
+    return {
+      bucket: bucket,
+      key: bucket && key !== '' ? key : null,
+      query: parsedUrl.query
+    }
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string | null}
+   */
+  _getHostBucket (req) {
+    const host = (req.headers.host || '').replace(/:\d+$/, '')
+    const suffix = `.${this.requestHost}`
+    if (!host.endsWith(suffix) || host.length === suffix.length) {
+      return null
+    }
+
+    return host.slice(0, -suffix.length)
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {{
+   *    bucket: string,
+   *    key: string,
+   *    query: import('querystring').ParsedUrlQuery
+   * }}
+   */
+  _getObjectTarget (req) {
+    const { bucket, key, query } = this._parseRequestUrl(req)
+    if (bucket === null || key === null) {
+      throw new Error('invalid url, expected /:bucket/:key')
+    }
+
+    return { bucket, key, query }
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {{
+   *    bucket: string,
+   *    query: import('querystring').ParsedUrlQuery
+   * }}
+   */
+  _getBucketTarget (req) {
+    const { bucket, key, query } = this._parseRequestUrl(req)
+    if (bucket === null || key !== null) {
+      throw new Error('invalid url, expected /:bucket')
+    }
+
+    return { bucket, query }
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {Map<string, S3Bucket> | undefined}
+   */
+  _getBucketsMap (req) {
+    const { query } = this._parseRequestUrl(req)
+    const profile = getAccessKeyId(req, query) || 'default'
+
+    const info = this._profiles.get(profile)
+    if (info) {
+      return info
+    }
+
+    return this._profiles.get('default')
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleListBuckets (req) {
+    const bucketsMap = this._getBucketsMap(req)
+    const buckets = bucketsMap ? [...bucketsMap.values()] : []
+
+    let bucketsXML = ''
+
+    for (const b of buckets) {
+      bucketsXML += `
+        <Bucket>
+          <CreationDate>${b.creationDate}</CreationDate>
+          <Name>${b.name}</Name>
+        </Bucket>
+      `
+    }
+
+    const ownerInfo = buckets.length > 0
+      ? this._bucketOwnerInfo.get(buckets[0].name)
+      : undefined
+    const displayName = ownerInfo ? ownerInfo.DisplayName : 'admin'
+    const id = ownerInfo ? ownerInfo.ID : '1'
+
+    return `<ListBucketsOutput>
+      <Buckets>
+        ${bucketsXML}
+      </Buckets>
+      <Owner>
+        <DisplayName>${displayName}</DisplayName>
+        <ID>${id}</ID>
+      </Owner>
+    </ListBucketsOutput>`
+  }
+
+  /**
+   * @param {import('querystring').ParsedUrlQuery} query
+   * @param {(S3Object | CommonPrefix)[]} rawObjects
+   * @returns {{
+   *      objects: (S3Object | CommonPrefix)[]
+   *      prevToken: string | undefined,
+   *      maxKeys: number,
+   *      nextToken: string | undefined
+   * }}
+   */
+  paginate (query, rawObjects) {
+    const maxKeys = parseMaxKeys(query)
+
+    let offset = 0
+    let startAfter = query['start-after']
+    if (Array.isArray(startAfter)) startAfter = startAfter[0]
+    let prevToken = query['continuation-token']
+    if (Array.isArray(prevToken)) prevToken = prevToken[0]
+    if (prevToken) {
+      const tokenInfo = this.tokens.get(prevToken)
+      this.tokens.delete(prevToken)
+
+      if (!tokenInfo) throw new Error('invalid next token')
+      offset = tokenInfo.offset
+
+      if (tokenInfo.startAfter) {
+        startAfter = tokenInfo.startAfter
+      }
+    }
+
+    if (startAfter) {
+      const index = rawObjects.findIndex((o) => {
+        if (o.type === 's3-common-prefix') return false
+        return o.key === startAfter
+      })
+      if (index >= 0) {
+        rawObjects = rawObjects.slice(index + 1)
+      }
+    }
+
+    const end = offset + maxKeys
+    const resultObjects = rawObjects.slice(offset, end)
+    const truncated = rawObjects.length > end
+
+    /** @type {string | undefined} */
+    let nextToken
+    if (truncated) {
+      nextToken = cuuid()
+      this.tokens.set(nextToken, {
+        offset: end,
+        startAfter: startAfter
+      })
+    }
+
+    return {
+      objects: resultObjects,
+      prevToken: prevToken,
+      maxKeys: maxKeys,
+      nextToken: nextToken
+    }
+  }
+
+  /**
+   * @template {S3Object | DeleteMarker} T
+   * @param {T[]} objects
+   * @param {string} delimiter
+   * @param {string} [prefix]
+   * @returns {(T | CommonPrefix)[]}
+   */
+  splitObjects (objects, delimiter, prefix) {
+    /** @type {Set<string>} */
+    const prefixSet = new Set()
+
+    /** @type {Array<T | CommonPrefix>} */
+    const out = []
+    for (const obj of objects) {
+      const key = prefix ? obj.key.slice(prefix.length) : obj.key
+
+      const parts = key.split(delimiter)
+      if (parts.length === 1) {
+        out.push(obj)
+      } else {
+        const segment = parts[0] + delimiter
+        if (prefixSet.has(segment)) {
+          continue
+        } else {
+          out.push(new CommonPrefix((prefix || '') + segment))
+          prefixSet.add(segment)
+        }
+      }
+    }
+    return out
+  }
+
+  /**
+   * Returns the sorted objects matching the `prefix` of a list request
+   * along with the common list parameters.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {{
+   *    bucket: string,
+   *    query: import('querystring').ParsedUrlQuery,
+   *    s3bucket: S3Bucket,
+   *    objects: S3Object[],
+   *    prefix: string,
+   *    delimiter: string,
+   *    encodingType: string | null
+   * }}
+   */
+  _getListRequest (req) {
+    const { bucket, query } = this._getBucketTarget(req)
+    const bucketsMap = this._getBucketsMap(req)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    const encodingType = getQueryParam(query, 'encoding-type')
+    if (encodingType !== null && encodingType !== 'url') {
+      throw new S3ResponseError(
+        'InvalidArgument',
+        'Invalid Encoding Method specified in Request',
+        400
+      )
+    }
+
+    const prefix = getQueryParam(query, 'prefix') || ''
+    const delimiter = getQueryParam(query, 'delimiter') || ''
+
+    const objects = s3bucket.getObjects().filter((o) => {
+      return o.key.startsWith(prefix)
+    })
+    objects.sort((a, b) => {
+      return a.key < b.key ? -1 : 1
+    })
+
+    return {
+      bucket, query, s3bucket, objects, prefix, delimiter, encodingType
+    }
+  }
+
+  /**
+   * @param {(S3Object | CommonPrefix)[]} entries
+   * @param {string | null} encodingType
+   * @param {string | null} ownerXML
+   * @returns {string}
+   */
+  _buildListEntriesXML (entries, encodingType, ownerXML) {
+    let contentXml = ''
+    let commonPrefixes = ''
+    for (const o of entries) {
+      if (o.type === 's3-object') {
+        const owner = ownerXML ? `<Owner>${ownerXML}</Owner>` : ''
+        contentXml += `<Contents>
+          <Key>${encodeListValue(o.key, encodingType)}</Key>
+          <LastModified>${o.lastModified}</LastModified>
+          <ETag>${o.md5}</ETag>
+          <Size>${o.contentLength}</Size>
+          ${owner}
+          <StorageClass>${o.storageClass}</StorageClass>
+        </Contents>`
+      } else {
+        commonPrefixes += `<CommonPrefixes>
+          <Prefix>${encodeListValue(o.prefix, encodingType)}</Prefix>
+        </CommonPrefixes>`
+      }
+    }
+    return contentXml + commonPrefixes
+  }
+
+  /**
+   * GET /:bucket ; the legacy ListObjects API paginated by `marker`.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleGetObjectsV1 (req) {
+    const {
+      bucket, query, objects, prefix, delimiter, encodingType
+    } = this._getListRequest(req)
+
+    const maxKeys = parseMaxKeys(query)
+    const marker = getQueryParam(query, 'marker') || ''
+    const remaining = objects.filter((o) => o.key > marker)
+
+    /** @type {(S3Object | CommonPrefix)[]} */
+    let allObjects = remaining
+    if (delimiter) {
+      allObjects = this.splitObjects(remaining, delimiter, prefix)
+        .filter((o) => o.type === 's3-object' || o.prefix !== marker)
+    }
+
+    const resultObjects = allObjects.slice(0, maxKeys)
+    const truncated = allObjects.length > maxKeys
+
+    let nextMarkerXML = ''
+    if (truncated && delimiter && resultObjects.length > 0) {
+      const last = resultObjects[resultObjects.length - 1]
+      const nextMarker = last.type === 's3-object' ? last.key : last.prefix
+      nextMarkerXML = '<NextMarker>' +
+        encodeListValue(nextMarker, encodingType) + '</NextMarker>'
+    }
+
+    const delimiterResp = delimiter
+      ? '<Delimiter>' + encodeListValue(delimiter, encodingType) +
+        '</Delimiter>'
+      : ''
+    const encodingResp = encodingType
+      ? '<EncodingType>' + encodingType + '</EncodingType>'
+      : ''
+
+    return `<ListBucketResult>
+      <IsTruncated>${truncated}</IsTruncated>
+      <Marker>${encodeListValue(marker, encodingType)}</Marker>
+      ${nextMarkerXML}
+      <Name>${bucket}</Name>
+      <Prefix>${encodeListValue(prefix, encodingType)}</Prefix>
+      <MaxKeys>${maxKeys}</MaxKeys>
+      ${delimiterResp}
+      ${encodingResp}
+      ${this._buildListEntriesXML(
+        resultObjects, encodingType, this._buildOwnerXML(bucket)
+      )}
+    </ListBucketResult>`
+  }
+
+  /**
+   * GET /:bucket?list-type=2
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleGetObjectsV2 (req) {
+    const {
+      bucket, query, objects, prefix, delimiter, encodingType
+    } = this._getListRequest(req)
+
+    /** @type {(S3Object | CommonPrefix)[]} */
+    let allObjects
+    if (delimiter) {
+      allObjects = this.splitObjects(objects, delimiter, prefix)
+    } else {
+      allObjects = objects
+    }
+
+    const {
+      prevToken, nextToken, maxKeys,
+      objects: resultObjects
+    } = this.paginate(query, allObjects)
+
+    const fetchOwner = getQueryParam(query, 'fetch-owner') === 'true'
+    const startAfter = getQueryParam(query, 'start-after')
+
+    const truncated = Boolean(nextToken)
+    const contToken = nextToken
+      ? '<NextContinuationToken>' + nextToken +
+        '</NextContinuationToken>'
+      : ''
+    const prevContToken = prevToken
+      ? '<ContinuationToken>' + prevToken +
+        '</ContinuationToken>'
+      : ''
+    const startAfterResp = startAfter
+      ? '<StartAfter>' + encodeListValue(startAfter, encodingType) +
+        '</StartAfter>'
+      : ''
+    const delimiterResp = delimiter
+      ? '<Delimiter>' + encodeListValue(delimiter, encodingType) +
+        '</Delimiter>'
+      : ''
+    const encodingResp = encodingType
+      ? '<EncodingType>' + encodingType + '</EncodingType>'
+      : ''
+
+    return `<ListBucketResult>
+      <IsTruncated>${truncated}</IsTruncated>
+      <Name>${bucket}</Name>
+      <Prefix>${encodeListValue(prefix, encodingType)}</Prefix>
+      <MaxKeys>${maxKeys}</MaxKeys>
+      <KeyCount>${resultObjects.length}</KeyCount>
+      ${this._buildListEntriesXML(
+        resultObjects, encodingType,
+        fetchOwner ? this._buildOwnerXML(bucket) : null
+      )}
+      ${contToken}
+      ${prevContToken}
+      ${startAfterResp}
+      ${delimiterResp}
+      ${encodingResp}
+    </ListBucketResult>`
+  }
+
+  /**
+   * Resolves the object for the `?tagging`, `?acl` & `?attributes`
+   * subresources, those of a specific `versionId` can be read &
+   * written.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {Map<string, S3Bucket> | undefined} bucketsMap
+   * @returns {{ s3bucket: S3Bucket, obj: S3Object }}
+   */
+  _getTaggingObject (req, bucketsMap) {
+    const { bucket, key, query } = this._getObjectTarget(req)
+
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    const obj = getObjectVersion(
+      s3bucket, key, getQueryParam(query, 'versionId')
+    )
+    return { s3bucket, obj }
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {S3Object}
+   */
+  _handlePutObjectTagging (req, buf) {
+    const { s3bucket, obj } = this._getTaggingObject(
+      req, this._profiles.get('default')
+    )
+    obj.tags = validateTags(parseTaggingBody(buf), MAX_OBJECT_TAGS)
+    s3bucket.markChanged(obj.key)
+    return obj
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {S3Object}
+   */
+  _handleGetObjectTagging (req) {
+    return this._getTaggingObject(req, this._getBucketsMap(req)).obj
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {S3Object}
+   */
+  _handleDeleteObjectTagging (req) {
+    const { s3bucket, obj } = this._getTaggingObject(
+      req, this._profiles.get('default')
+    )
+    obj.tags = {}
+    s3bucket.markChanged(obj.key)
+    return obj
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {void}
+   */
+  _handlePutBucketTagging (req, buf) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    s3bucket.tags = validateTags(parseTaggingBody(buf), MAX_BUCKET_TAGS)
+    s3bucket.markChanged()
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleGetBucketTagging (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._getBucketsMap(req)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    if (!s3bucket.tags) {
+      throw new S3ResponseError(
+        'NoSuchTagSet', 'The TagSet does not exist', 404, bucket
+      )
+    }
+    return buildTaggingXML(s3bucket.tags)
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {void}
+   */
+  _handleDeleteBucketTagging (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    s3bucket.tags = null
+    s3bucket.markChanged()
+  }
+
+  /**
+   * GET /:bucket?versions
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleListObjectVersions (req) {
+    const {
+      bucket, query, s3bucket, prefix, delimiter, encodingType
+    } = this._getListRequest(req)
+
+    const maxKeys = parseMaxKeys(query)
+    const keyMarker = getQueryParam(query, 'key-marker') || ''
+    const versionIdMarker = getQueryParam(query, 'version-id-marker') || ''
+
+    const versions = s3bucket.getVersions().filter((v) => {
+      return v.key.startsWith(prefix)
+    })
+    const markerIndex = versions.findIndex((v) => {
+      return v.key === keyMarker && v.versionId === versionIdMarker
+    })
+    const remaining = versions.filter((v, i) => {
+      if (v.key === keyMarker) {
+        return markerIndex >= 0 && i > markerIndex
+      }
+      return v.key > keyMarker
+    })
+
+    /** @type {(S3Object | DeleteMarker | CommonPrefix)[]} */
+    let allEntries = remaining
+    if (delimiter) {
+      allEntries = this.splitObjects(remaining, delimiter, prefix)
+        .filter((o) => o.type !== 's3-common-prefix' || o.prefix !== keyMarker)
+    }
+
+    const entries = allEntries.slice(0, maxKeys)
+    const truncated = allEntries.length > maxKeys
+
+    let nextMarkerXML = ''
+    if (truncated && entries.length > 0) {
+      const last = entries[entries.length - 1]
+      if (last.type === 's3-common-prefix') {
+        nextMarkerXML = '<NextKeyMarker>' +
+          encodeListValue(last.prefix, encodingType) + '</NextKeyMarker>'
+      } else {
+        nextMarkerXML = '<NextKeyMarker>' +
+          encodeListValue(last.key, encodingType) + '</NextKeyMarker>' +
+          '<NextVersionIdMarker>' + last.versionId +
+          '</NextVersionIdMarker>'
+      }
+    }
+
+    const ownerXML = this._buildOwnerXML(bucket)
+    let versionsXML = ''
+    let commonPrefixes = ''
+    for (const o of entries) {
+      if (o.type === 's3-common-prefix') {
+        commonPrefixes += `<CommonPrefixes>
+          <Prefix>${encodeListValue(o.prefix, encodingType)}</Prefix>
+        </CommonPrefixes>`
+        continue
+      }
+
+      const isLatest = s3bucket.getVersion(o.key, null) === o
+      if (o.type === 's3-delete-marker') {
+        versionsXML += `<DeleteMarker>
+          <Key>${encodeListValue(o.key, encodingType)}</Key>
+          <VersionId>${o.versionId}</VersionId>
+          <IsLatest>${isLatest}</IsLatest>
+          <LastModified>${o.lastModified}</LastModified>
+          <Owner>${ownerXML}</Owner>
+        </DeleteMarker>`
+      } else {
+        versionsXML += `<Version>
+          <Key>${encodeListValue(o.key, encodingType)}</Key>
+          <VersionId>${o.versionId}</VersionId>
+          <IsLatest>${isLatest}</IsLatest>
+          <LastModified>${o.lastModified}</LastModified>
+          <ETag>${o.md5}</ETag>
+          <Size>${o.contentLength}</Size>
+          <Owner>${ownerXML}</Owner>
+          <StorageClass>${o.storageClass}</StorageClass>
+        </Version>`
+      }
+    }
+
+    const delimiterResp = delimiter
+      ? '<Delimiter>' + encodeListValue(delimiter, encodingType) +
+        '</Delimiter>'
+      : ''
+    const encodingResp = encodingType
+      ? '<EncodingType>' + encodingType + '</EncodingType>'
+      : ''
+
+    return `<ListVersionsResult>
+      <IsTruncated>${truncated}</IsTruncated>
+      <KeyMarker>${encodeListValue(keyMarker, encodingType)}</KeyMarker>
+      <VersionIdMarker>${escapeXML(versionIdMarker)}</VersionIdMarker>
+      ${nextMarkerXML}
+      <Name>${bucket}</Name>
+      <Prefix>${encodeListValue(prefix, encodingType)}</Prefix>
+      <MaxKeys>${maxKeys}</MaxKeys>
+      ${delimiterResp}
+      ${encodingResp}
+      ${versionsXML}
+      ${commonPrefixes}
+    </ListVersionsResult>`
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {void}
+   */
+  _handlePutBucketVersioning (req, buf) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    const body = parseXMLBody(buf)
+    const status = xmlText(body, 'Status')
+    if (
+      body.name !== 'VersioningConfiguration' ||
+      (status !== 'Enabled' && status !== 'Suspended')
+    ) {
+      throw malformedXMLError()
+    }
+
+    s3bucket.versioning = status
+    s3bucket.markChanged()
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleGetBucketVersioning (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._getBucketsMap(req)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    const status = s3bucket.versioning
+      ? `<Status>${s3bucket.versioning}</Status>`
+      : ''
+    return `<VersioningConfiguration>${status}</VersioningConfiguration>`
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {void}
+   */
+  _handlePutBucketNotification (req, buf) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    s3bucket.notifications = parseNotificationBody(buf)
+    s3bucket.markChanged()
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleGetBucketNotification (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._getBucketsMap(req)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    let configsXML = ''
+    for (const rule of s3bucket.notifications) {
+      const destination = NOTIFICATION_DESTINATIONS[rule.kind]
+      const eventsXML = rule.events
+        .map((e) => `<Event>${escapeXML(e)}</Event>`)
+        .join('')
+
+      let filterXML = ''
+      if (rule.prefix !== null) {
+        filterXML += `<FilterRule>
+          <Name>prefix</Name>
+          <Value>${escapeXML(rule.prefix)}</Value>
+        </FilterRule>`
+      }
+      if (rule.suffix !== null) {
+        filterXML += `<FilterRule>
+          <Name>suffix</Name>
+          <Value>${escapeXML(rule.suffix)}</Value>
+        </FilterRule>`
+      }
+      if (filterXML !== '') {
+        filterXML = `<Filter><S3Key>${filterXML}</S3Key></Filter>`
+      }
+
+      configsXML += `<${rule.kind}>
+        <Id>${escapeXML(rule.id)}</Id>
+        <${destination}>${escapeXML(rule.arn)}</${destination}>
+        ${eventsXML}
+        ${filterXML}
+      </${rule.kind}>`
+    }
+
+    return `<NotificationConfiguration>
+      ${configsXML}
+    </NotificationConfiguration>`
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {void}
+   */
+  _handlePutBucketLifecycle (req, buf) {
+    const { bucket } = this._getBucketTarget(req)
+    checkContentMD5(req, buf, true)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    s3bucket.lifecycle = parseLifecycleBody(buf)
+    s3bucket.markChanged()
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleGetBucketLifecycle (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._getBucketsMap(req)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    if (!s3bucket.lifecycle) {
+      throw new S3ResponseError(
+        'NoSuchLifecycleConfiguration',
+        'The lifecycle configuration does not exist',
+        404,
+        bucket
+      )
+    }
+    return buildLifecycleXML(s3bucket.lifecycle)
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {void}
+   */
+  _handleDeleteBucketLifecycle (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    s3bucket.lifecycle = null
+    s3bucket.markChanged()
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {void}
+   */
+  _handlePutBucketPolicy (req, buf) {
+    const { bucket } = this._getBucketTarget(req)
+    checkContentMD5(req, buf, false)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    s3bucket.policy = parseBucketPolicy(buf, bucket)
+    s3bucket.markChanged()
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleGetBucketPolicy (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._getBucketsMap(req)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    if (!s3bucket.policy) {
+      throw new S3ResponseError(
+        'NoSuchBucketPolicy', 'The bucket policy does not exist', 404, bucket
+      )
+    }
+    return s3bucket.policy.json
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {void}
+   */
+  _handleDeleteBucketPolicy (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    s3bucket.policy = null
+    s3bucket.markChanged()
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {void}
+   */
+  _handlePutBucketCORS (req, buf) {
+    const { bucket } = this._getBucketTarget(req)
+    checkContentMD5(req, buf, true)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    s3bucket.cors = parseCORSBody(buf)
+    s3bucket.markChanged()
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleGetBucketCORS (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._getBucketsMap(req)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    if (!s3bucket.cors) {
+      throw new S3ResponseError(
+        'NoSuchCORSConfiguration',
+        'The CORS configuration does not exist',
+        404,
+        bucket
+      )
+    }
+    return buildCORSXML(s3bucket.cors)
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {void}
+   */
+  _handleDeleteBucketCORS (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    s3bucket.cors = null
+    s3bucket.markChanged()
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {void}
+   */
+  _handlePutBucketEncryption (req, buf) {
+    const { bucket } = this._getBucketTarget(req)
+    checkContentMD5(req, buf, false)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    s3bucket.encryption = parseBucketEncryptionBody(buf)
+    s3bucket.markChanged()
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleGetBucketEncryption (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._getBucketsMap(req)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    if (!s3bucket.encryption) {
+      throw new S3ResponseError(
+        'ServerSideEncryptionConfigurationNotFoundError',
+        'The server side encryption configuration was not found',
+        404,
+        bucket
+      )
+    }
+    return buildBucketEncryptionXML(s3bucket.encryption)
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {void}
+   */
+  _handleDeleteBucketEncryption (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    s3bucket.encryption = null
+    s3bucket.markChanged()
+  }
+
+  /**
+   * Answers a CORS preflight request with the first rule that
+   * allows the origin, the method and all of the headers.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {Response}
+   */
+  _handlePreflight (req) {
+    const { bucket } = this._parseRequestUrl(req)
+    const origin = getHeader(req, 'origin')
+    if (origin === null) {
+      throw new S3ResponseError(
+        'BadRequest',
+        'Insufficient information. Origin request header needed.',
+        400
+      )
+    }
+    const method = getHeader(req, 'access-control-request-method')
+    if (method === null || !CORS_METHODS.includes(method)) {
+      throw new S3ResponseError(
+        'BadRequest',
+        `Invalid Access-Control-Request-Method: ${String(method)}`,
+        400
+      )
+    }
+
+    const s3bucket = bucket !== null
+      ? this._findRequestBucket(req, bucket)
+      : null
+    if (!s3bucket) {
+      throw new S3ResponseError(
+        'NoSuchBucket', 'The specified bucket does not exist', 404,
+        bucket || ''
+      )
+    }
+    if (!s3bucket.cors) {
+      throw new S3ResponseError(
+        'AccessForbidden',
+        'CORSResponse: CORS is not enabled for this bucket.',
+        403
+      )
+    }
+
+    const requestHeaders = (
+      getHeader(req, 'access-control-request-headers') || ''
+    ).split(',').map((h) => h.trim().toLowerCase()).filter((h) => h !== '')
+    const rule = findCORSRule(s3bucket.cors, origin, method, requestHeaders)
+    if (!rule) {
+      throw new S3ResponseError(
+        'AccessForbidden',
+        'CORSResponse: This CORS request is not allowed. This is ' +
+          'usually because the evalution of Origin, request method / ' +
+          'Access-Control-Request-Method or ' +
+          'Access-Control-Request-Headers are not whitelisted by the ' +
+          'resource\'s CORS spec.',
+        403
+      )
+    }
+
+    const headers = buildCORSHeaders(rule, origin)
+    if (requestHeaders.length > 0) {
+      headers['Access-Control-Allow-Headers'] = requestHeaders.join(', ')
+    }
+    return { statusCode: 200, headers, body: '' }
+  }
+
+  /**
+   * Adds the `Access-Control-*` headers of the rule matching the
+   * origin & method to the response of an actual request.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   * @returns {void}
+   */
+  _setCORSHeaders (req, res) {
+    const origin = getHeader(req, 'origin')
+    /** @type {string | null} */
+    let bucket = null
+    try {
+      bucket = this._parseRequestUrl(req).bucket
+    } catch (_err) {
+      // The malformed url is already answered with an error.
+      return
+    }
+    if (origin === null || bucket === null || req.method === 'OPTIONS') {
+      return
+    }
+
+    const s3bucket = this._findRequestBucket(req, bucket)
+    if (!s3bucket || !s3bucket.cors) return
+
+    const rule = findCORSRule(s3bucket.cors, origin, req.method || '', [])
+    if (!rule) return
+
+    const headers = buildCORSHeaders(rule, origin)
+    for (const name of Object.keys(headers)) {
+      res.setHeader(name, headers[name])
+    }
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {void}
+   */
+  _handlePutBucketAcl (req, buf) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._profiles.get('default')
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    s3bucket.acl = parseACLRequest(req, buf)
+    s3bucket.markChanged()
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  _handleGetBucketAcl (req) {
+    const { bucket } = this._getBucketTarget(req)
+
+    const bucketsMap = this._getBucketsMap(req)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      const err = new NoSuchBucketError(
+        'The specified bucket does not exist', bucket
+      )
+      throw err
+    }
+
+    return this._buildACLXML(bucket, s3bucket.acl)
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} buf
+   * @returns {S3Object}
+   */
+  _handlePutObjectAcl (req, buf) {
+    const { s3bucket, obj } = this._getTaggingObject(
+      req, this._profiles.get('default')
+    )
+    obj.acl = parseACLRequest(req, buf)
+    s3bucket.markChanged(obj.key)
+    return obj
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {S3Object}
+   */
+  _handleGetObjectAcl (req) {
+    return this._getTaggingObject(req, this._getBucketsMap(req)).obj
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {Response}
+   */
+  _handleGetObjectAttributes (req) {
+    const { obj } = this._getTaggingObject(req, this._getBucketsMap(req))
+    checkCustomerKey(req.headers, obj, 'x-amz-')
+
+    const header = getHeader(req, 'x-amz-object-attributes')
+    if (header === null) {
+      throw new S3ResponseError(
+        'InvalidRequest',
+        'Missing required header for this request: ' +
+          'x-amz-object-attributes',
+        400
+      )
+    }
+    const attributes = header.split(',').map((a) => a.trim())
+    if (attributes.some((a) => !OBJECT_ATTRIBUTES.includes(a))) {
+      throw new S3ResponseError(
+        'InvalidArgument', 'Invalid attribute name specified.', 400
+      )
+    }
+
+    let attributesXML = ''
+    if (attributes.includes('ETag')) {
+      attributesXML += `<ETag>${obj.md5}</ETag>`
+    }
+    if (attributes.includes('Checksum') && obj.checksum) {
+      attributesXML += `<Checksum>
+        ${buildChecksumXML(obj.checksum)}
+        <ChecksumType>${obj.checksum.type}</ChecksumType>
+      </Checksum>`
+    }
+    const partsMatch = /-(\d+)$/.exec(obj.md5)
+    if (attributes.includes('ObjectParts') && partsMatch) {
+      attributesXML += `<ObjectParts>
+        <TotalPartsCount>${partsMatch[1]}</TotalPartsCount>
+      </ObjectParts>`
+    }
+    if (attributes.includes('StorageClass')) {
+      attributesXML += `<StorageClass>${obj.storageClass}</StorageClass>`
+    }
+    if (attributes.includes('ObjectSize')) {
+      attributesXML += `<ObjectSize>${obj.contentLength}</ObjectSize>`
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/xml',
+        'Last-Modified': new Date(obj.lastModified).toUTCString(),
+        ...versionIdHeader(obj)
+      },
+      body: `<GetObjectAttributesResponse>
+        ${attributesXML}
+      </GetObjectAttributesResponse>`
+    }
+  }
+
+  /**
+   * Lists the owner and the group grants of a canned ACL.
+   *
+   * @param {string} bucket
+   * @param {string} acl
+   * @returns {string}
+   */
+  _buildACLXML (bucket, acl) {
+    const ownerXML = this._buildOwnerXML(bucket)
+
+    let grantsXML = `<Grant>
+      <Grantee xmlns:xsi="${XSI_NAMESPACE}" xsi:type="CanonicalUser">
+        ${ownerXML}
+      </Grantee>
+      <Permission>FULL_CONTROL</Permission>
+    </Grant>`
+    for (const [uri, permission] of CANNED_ACL_GRANTS[acl]) {
+      grantsXML += `<Grant>
+        <Grantee xmlns:xsi="${XSI_NAMESPACE}" xsi:type="Group">
+          <URI>${uri}</URI>
+        </Grantee>
+        <Permission>${permission}</Permission>
+      </Grant>`
+    }
+
+    return `<AccessControlPolicy>
+      <Owner>${ownerXML}</Owner>
+      <AccessControlList>${grantsXML}</AccessControlList>
+    </AccessControlPolicy>`
+  }
+
+  /**
+   * Finds the bucket of a request in its profile or, like the
+   * buckets written by uploads, in any other profile.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {string} bucket
+   * @returns {S3Bucket | null}
+   */
+  _findRequestBucket (req, bucket) {
+    const bucketsMap = this._getBucketsMap(req)
+    return (bucketsMap && bucketsMap.get(bucket)) || this._findBucket(bucket)
+  }
+
+  /**
+   * Rejects requests that the bucket policy and the canned ACLs
+   * do not allow with an `AccessDenied`.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {void}
+   */
+  _checkAccess (req) {
+    const { bucket, key, query } = this._parseRequestUrl(req)
+    if (bucket === null) return
+
+    const action = getPolicyAction(req.method || '', key, query)
+    if (action === null) return
+
+    const s3bucket = this._findRequestBucket(req, bucket)
+    if (!s3bucket) return
+
+    const versionId = getQueryParam(query, 'versionId')
+    if (!this._isAllowed(req, s3bucket, action, key, versionId)) {
+      throw accessDeniedError()
+    }
+  }
+
+  /**
+   * Signed requests are treated as the account owning the bucket,
+   * only an explicit `Deny` of the bucket policy applies to them.
+   * Anonymous requests need an `Allow` or a public canned ACL,
+   * unless the server was created with `allowAnonymous`.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {S3Bucket} s3bucket
+   * @param {string} action
+   * @param {string | null} key
+   * @param {string | null} versionId
+   * @param {string | null} [formAccessKeyId] The signer of a POST form
+   * @returns {boolean}
+   */
+  _isAllowed (req, s3bucket, action, key, versionId, formAccessKeyId) {
+    const { query } = this._parseRequestUrl(req)
+    const accessKeyId = formAccessKeyId !== undefined
+      ? formAccessKeyId
+      : getAccessKeyId(req, query)
+
+    /** @type {'Allow' | 'Deny' | null} */
+    let effect = null
+    if (s3bucket.policy) {
+      const resource = key === null
+        ? `arn:aws:s3:::${s3bucket.name}`
+        : `arn:aws:s3:::${s3bucket.name}/${key}`
+      effect = evaluateBucketPolicy(s3bucket.policy, {
+        accessKeyId,
+        action,
+        resource,
+        context: getPolicyContext(req, query, action, versionId)
+      })
+    }
+
+    // Like the root user, the owner can always fix the policy.
+    if (effect === 'Deny') {
+      return accessKeyId !== null && POLICY_MANAGEMENT_ACTIONS.includes(action)
+    }
+    if (accessKeyId !== null || this.allowAnonymous) return true
+
+    if (key === null || !OBJECT_READ_ACTIONS.includes(action)) {
+      return effect === 'Allow' || cannedACLAllows(s3bucket.acl, action)
+    }
+    const obj = s3bucket.getVersion(key, versionId)
+    if (obj && obj.type === 's3-object') {
+      return effect === 'Allow' || cannedACLAllows(obj.acl, action)
+    }
+
+    // A missing key is only reported to callers that can list it.
+    return this._isAllowed(
+      req, s3bucket, 's3:ListBucket', null, null, formAccessKeyId
+    )
+  }
+
+  /**
+   * @param {S3Error} err
+   * @returns {string}
+   */
+  _buildError (err) {
+    let resourceStr = ''
+    if (err.resource) {
+      resourceStr = `<Resource>${err.resource}</Resource>`
+    }
+
+    return `<Error>
+      <Code>${err.code || 'InternalError'}</Code>
+      <Message>${escapeXML(err.message)}</Message>
+      ${resourceStr}
+      <RequestId>1</RequestId>
+    </Error>`
+  }
+
+  /**
+   * @param {S3Error} err
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   * @returns {void}
+   */
+  _writeError (err, req, res) {
+    // HEAD responses never have a body, the aws-sdk maps the
+    // status code to an error code like `NotFound` instead.
+    if (req.method === 'HEAD') {
+      res.writeHead(err.statusCode || 500, err.headers)
+      res.end()
+      return
+    }
+
+    const xml = this._buildError(err)
+    res.writeHead(err.statusCode || 500, {
+      ...err.headers,
+      'Content-Type': 'text/xml'
+    })
+    res.end(xml)
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} bodyBuf
+   * @returns {Response | null}
+   */
+  _handleServerPut (req, bodyBuf) {
+    const { bucket, key, query } = this._parseRequestUrl(req)
+
+    // PUT /:bucket/:key?partNumber&uploadId with x-amz-copy-source
+    if (
+      key !== null &&
+      query.uploadId &&
+      req.headers['x-amz-copy-source']
+    ) {
+      const part = this._handleUploadPartCopy(req)
+
+      return {
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        statusCode: 200,
+        body: `<CopyPartResult>
+          <LastModified>${part.lastModified}</LastModified>
+          <ETag>${escapeXML(formatETag(part.md5))}</ETag>
+          ${buildChecksumXML(part.checksum)}
+        </CopyPartResult>`
+      }
+    }
+
+    // PUT /:bucket/:key?partNumber&uploadId
+    if (key !== null && query.uploadId) {
+      const part = this._handleUploadPart(req, bodyBuf)
+
+      return {
+        headers: {
+          ETag: formatETag(part.md5),
+          ...checksumHeaders(part.checksum)
+        },
+        statusCode: 200,
+        body: ''
+      }
+    }
+
+    // PUT /:bucket/:key?tagging
+    if (key !== null && 'tagging' in query) {
+      const obj = this._handlePutObjectTagging(req, bodyBuf)
+
+      return {
+        headers: versionIdHeader(obj),
+        statusCode: 200,
+        body: ''
+      }
+    }
+
+    // PUT /:bucket/:key?acl
+    if (key !== null && 'acl' in query) {
+      const obj = this._handlePutObjectAcl(req, bodyBuf)
+
+      return {
+        headers: versionIdHeader(obj),
+        statusCode: 200,
+        body: ''
+      }
+    }
+
+    // PUT /:bucket/:key with x-amz-copy-source
+    if (key !== null && req.headers['x-amz-copy-source']) {
+      const { source, obj } = this._handleCopyObject(req)
+
+      /** @type {Record<string, string>} */
+      const headers = {
+        'Content-Type': 'text/xml',
+        ...versionIdHeader(obj),
+        ...encryptionHeaders(obj)
+      }
+      if (source.versionId !== 'null') {
+        headers['x-amz-copy-source-version-id'] = source.versionId
+      }
+
+      return {
+        headers,
+        statusCode: 200,
+        body: `<CopyObjectResult>
+          <LastModified>${obj.lastModified}</LastModified>
+          <ETag>${escapeXML(formatETag(obj.md5))}</ETag>
+          ${buildChecksumXML(obj.checksum)}
+        </CopyObjectResult>`
+      }
+    }
+
+    // PUT /:bucket/:key
+    if (key !== null) {
+      const obj = this._handlePutObject(req, bodyBuf)
+
+      return {
+        headers: {
+          'ETag': JSON.stringify(obj.md5),
+          ...versionIdHeader(obj),
+          ...encryptionHeaders(obj),
+          ...checksumHeaders(obj.checksum)
+        },
+        statusCode: 200,
+        body: ''
+      }
+    }
+
+    // PUT /:bucket?tagging
+    if (bucket !== null && 'tagging' in query) {
+      this._handlePutBucketTagging(req, bodyBuf)
+
+      return {
+        headers: {},
+        statusCode: 204,
+        body: ''
+      }
+    }
+
+    // PUT /:bucket?policy
+    if (bucket !== null && 'policy' in query) {
+      this._handlePutBucketPolicy(req, bodyBuf)
+
+      return {
+        headers: {},
+        statusCode: 204,
+        body: ''
+      }
+    }
+
+    // PUT /:bucket?cors
+    if (bucket !== null && 'cors' in query) {
+      this._handlePutBucketCORS(req, bodyBuf)
+
+      return {
+        headers: {},
+        statusCode: 200,
+        body: ''
+      }
+    }
+
+    // PUT /:bucket?encryption
+    if (bucket !== null && 'encryption' in query) {
+      this._handlePutBucketEncryption(req, bodyBuf)
+
+      return {
+        headers: {},
+        statusCode: 200,
+        body: ''
+      }
+    }
+
+    // PUT /:bucket?acl
+    if (bucket !== null && 'acl' in query) {
+      this._handlePutBucketAcl(req, bodyBuf)
+
+      return {
+        headers: {},
+        statusCode: 200,
+        body: ''
+      }
+    }
+
+    // PUT /:bucket?lifecycle
+    if (bucket !== null && 'lifecycle' in query) {
+      this._handlePutBucketLifecycle(req, bodyBuf)
+
+      return {
+        headers: {},
+        statusCode: 200,
+        body: ''
+      }
+    }
+
+    // PUT /:bucket?notification
+    if (bucket !== null && 'notification' in query) {
+      this._handlePutBucketNotification(req, bodyBuf)
+
+      return {
+        headers: {},
+        statusCode: 200,
+        body: ''
+      }
+    }
+
+    // PUT /:bucket?versioning
+    if (bucket !== null && 'versioning' in query) {
+      this._handlePutBucketVersioning(req, bodyBuf)
+
+      return {
+        headers: {},
+        statusCode: 200,
+        body: ''
+      }
+    }
+
+    // PUT /:bucket
+    if (bucket !== null) {
+      const s3bucket = this._handleCreateBucket(req, bodyBuf)
+
+      return {
+        headers: {
+          Location: `/${s3bucket.name}`
+        },
+        statusCode: 200,
+        body: ''
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} bodyBuf
+   * @returns {Response | null}
+   */
+  _handleServerDelete (req, bodyBuf) {
+    const { bucket, key, query } = this._parseRequestUrl(req)
+
+    // DELETE /:bucket/:key?uploadId
+    if (key !== null && query.uploadId) {
+      this._handleAbortMultipartUpload(req)
+
+      return {
+        statusCode: 204,
+        headers: {},
+        body: ''
+      }
+    }
+
+    // DELETE /:bucket/:key?tagging
+    if (key !== null && 'tagging' in query) {
+      const obj = this._handleDeleteObjectTagging(req)
+
+      return {
+        statusCode: 204,
+        headers: versionIdHeader(obj),
+        body: ''
+      }
+    }
+
+    // DELETE /:bucket/:key
+    if (key !== null) {
+      const headers = this._handleDeleteObject(req, bodyBuf)
+
+      return {
+        statusCode: 204,
+        headers,
+        body: ''
+      }
+    }
+
+    // DELETE /:bucket?policy
+    if (bucket !== null && 'policy' in query) {
+      this._handleDeleteBucketPolicy(req)
+
+      return {
+        statusCode: 204,
+        headers: {},
+        body: ''
+      }
+    }
+
+    // DELETE /:bucket?cors
+    if (bucket !== null && 'cors' in query) {
+      this._handleDeleteBucketCORS(req)
+
+      return {
+        statusCode: 204,
+        headers: {},
+        body: ''
+      }
+    }
+
+    // DELETE /:bucket?encryption
+    if (bucket !== null && 'encryption' in query) {
+      this._handleDeleteBucketEncryption(req)
+
+      return {
+        statusCode: 204,
+        headers: {},
+        body: ''
+      }
+    }
+
+    // DELETE /:bucket?lifecycle
+    if (bucket !== null && 'lifecycle' in query) {
+      this._handleDeleteBucketLifecycle(req)
+
+      return {
+        statusCode: 204,
+        headers: {},
+        body: ''
+      }
+    }
+
+    // DELETE /:bucket?tagging
+    if (bucket !== null && 'tagging' in query) {
+      this._handleDeleteBucketTagging(req)
+
+      return {
+        statusCode: 204,
+        headers: {},
+        body: ''
+      }
+    }
+
+    // DELETE /:bucket
+    if (bucket !== null) {
+      this._handleDeleteBucket(req)
+
+      return {
+        statusCode: 204,
+        headers: {},
+        body: ''
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} _bodyBuf
+   * @returns {Response | null}
+   */
+  _handleServerGet (req, _bodyBuf) {
+    const { bucket, key, query } = this._parseRequestUrl(req)
+
+    // GET /:bucket?uploads
+    if (bucket !== null && key === null && 'uploads' in query) {
+      const xml = this._handleListMultipartUploads(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    // GET /:bucket?tagging
+    if (bucket !== null && key === null && 'tagging' in query) {
+      const xml = this._handleGetBucketTagging(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    // GET /:bucket/:key?tagging
+    if (key !== null && 'tagging' in query) {
+      const obj = this._handleGetObjectTagging(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml',
+          ...versionIdHeader(obj)
+        },
+        body: buildTaggingXML(obj.tags)
+      }
+    }
+
+    // GET /:bucket/:key?attributes
+    if (key !== null && 'attributes' in query) {
+      return this._handleGetObjectAttributes(req)
+    }
+
+    // GET /:bucket/:key?acl
+    if (key !== null && 'acl' in query) {
+      const obj = this._handleGetObjectAcl(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml',
+          ...versionIdHeader(obj)
+        },
+        body: this._buildACLXML(obj.bucket, obj.acl)
+      }
+    }
+
+    // GET /:bucket?policy
+    if (bucket !== null && key === null && 'policy' in query) {
+      const json = this._handleGetBucketPolicy(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: json
+      }
+    }
+
+    // GET /:bucket?cors
+    if (bucket !== null && key === null && 'cors' in query) {
+      const xml = this._handleGetBucketCORS(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    // GET /:bucket?encryption
+    if (bucket !== null && key === null && 'encryption' in query) {
+      const xml = this._handleGetBucketEncryption(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    // GET /:bucket?acl
+    if (bucket !== null && key === null && 'acl' in query) {
+      const xml = this._handleGetBucketAcl(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    // GET /:bucket?lifecycle
+    if (bucket !== null && key === null && 'lifecycle' in query) {
+      const xml = this._handleGetBucketLifecycle(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    // GET /:bucket?notification
+    if (bucket !== null && key === null && 'notification' in query) {
+      const xml = this._handleGetBucketNotification(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    // GET /:bucket?versioning
+    if (bucket !== null && key === null && 'versioning' in query) {
+      const xml = this._handleGetBucketVersioning(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    // GET /:bucket?versions
+    if (bucket !== null && key === null && 'versions' in query) {
+      const xml = this._handleListObjectVersions(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    // GET /:bucket/:key?uploadId
+    if (key !== null && query.uploadId) {
+      const xml = this._handleListParts(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    if (bucket === null) {
+      const xml = this._handleListBuckets(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    // GET /:bucket
+    if (key === null) {
+      const xml = getQueryParam(query, 'list-type') === '2'
+        ? this._handleGetObjectsV2(req)
+        : this._handleGetObjectsV1(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    // GET /:bucket/:key
+    return this._handleGetObject(req)
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} bodyBuf
+   * @returns {Response | null}
+   */
+  _handleServerPost (req, bodyBuf) {
+    const { bucket, key, query } = this._parseRequestUrl(req)
+
+    // POST /:bucket?delete
+    if (bucket !== null && key === null && 'delete' in query) {
+      const xml = this._handleDeleteObjects(req, bodyBuf)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml'
+        },
+        body: xml
+      }
+    }
+
+    // POST /:bucket with a multipart/form-data body
+    if (bucket !== null && key === null) {
+      return this._handlePostObject(req, bodyBuf)
+    }
+
+    // POST /:bucket/:key?uploads
+    if (key !== null && 'uploads' in query) {
+      const upload = this._handleCreateMultipartUpload(req)
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml',
+          ...encryptionHeaders(upload),
+          ...(upload.checksumAlgorithm
+            ? { 'x-amz-checksum-algorithm': upload.checksumAlgorithm }
+            : {})
+        },
+        body: `<InitiateMultipartUploadResult>
+          <Bucket>${upload.bucket}</Bucket>
+          <Key>${escapeXML(upload.key)}</Key>
+          <UploadId>${upload.uploadId}</UploadId>
+        </InitiateMultipartUploadResult>`
+      }
+    }
+
+    // POST /:bucket/:key?uploadId
+    if (key !== null && query.uploadId) {
+      const obj = this._handleCompleteMultipartUpload(req, bodyBuf)
+      const location = `http://${this.getHostPort()}/${obj.bucket}/` +
+        encodeURIComponent(obj.key).replace(/%2F/g, '/')
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/xml',
+          ...versionIdHeader(obj),
+          ...encryptionHeaders(obj)
+        },
+        body: `<CompleteMultipartUploadResult>
+          <Location>${escapeXML(location)}</Location>
+          <Bucket>${obj.bucket}</Bucket>
+          <Key>${escapeXML(obj.key)}</Key>
+          <ETag>${escapeXML(formatETag(obj.md5))}</ETag>
+          ${buildChecksumXML(obj.checksum)}
+        </CompleteMultipartUploadResult>`
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} _bodyBuf
+   * @returns {Response | null}
+   */
+  _handleServerHead (req, _bodyBuf) {
+    const { bucket, key } = this._parseRequestUrl(req)
+
+    // HEAD /:bucket
+    if (bucket !== null && key === null) {
+      return this._handleHeadBucket(req)
+    }
+
+    // HEAD /:bucket/:key
+    if (key !== null) {
+      /** @type {Response} */
+      let resp
+      try {
+        resp = this._handleGetObject(req)
+      } catch (err) {
+        if (err instanceof NoSuchBucketError) {
+          Reflect.set(err, 'statusCode', 404)
+        }
+        throw err
+      }
+
+      return {
+        statusCode: resp.statusCode,
+        headers: resp.headers,
+        body: ''
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {Response}
+   */
+  _handleHeadBucket (req) {
+    const { bucket } = this._getBucketTarget(req)
+    const bucketsMap = this._getBucketsMap(req)
+    const s3bucket = bucketsMap ? bucketsMap.get(bucket) : null
+    if (!s3bucket) {
+      throw new S3ResponseError(
+        'NoSuchBucket', 'The specified bucket does not exist', 404, bucket
+      )
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        'x-amz-bucket-region': s3bucket.region
+      },
+      body: ''
+    }
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   * @returns {void}
+   */
+  _handleServerRequest (req, res) {
+    /** @type {Buffer[]} */
+    const buffers = []
+    req.on('data', (
+      /** @type {Buffer} */ chunk
+    ) => {
+      buffers.push(chunk)
+    })
+    req.on('end', () => {
+      const bodyBuf = Buffer.concat(buffers)
+
+      /** @type {Response | null} */
+      let resp = null
+      /** @type {S3Error | null} */
+      let error = null
+
+      try {
+        resp = this._dispatchRequest(req, bodyBuf)
+      } catch (err) {
+        /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+        error = /** @type {S3Error} */ (err)
+      }
+
+      // Changes must be on disk before the client sees the response.
+      this.flushStorage().then(() => {
+        this._setCORSHeaders(req, res)
+        if (error) {
+          this._writeError(error, req, res)
+        } else if (resp) {
+          res.writeHead(resp.statusCode, resp.headers)
+          if (resp.body instanceof Readable) {
+            resp.body.pipe(res)
+          } else {
+            res.end(resp.body)
+          }
+        }
+      }, (/** @type {Error} */ err) => {
+        this._writeError(err, req, res)
+      })
+    })
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {Buffer} bodyBuf
+   * @returns {Response}
+   */
+  _dispatchRequest (req, bodyBuf) {
+    checkPresignedURL(this._parseRequestUrl(req).query)
+    this._checkAccess(req)
+    const body = decodeAWSChunked(req, bodyBuf)
+
+    /** @type {Response | null} */
+    let resp = null
+    if (req.method === 'PUT') {
+      resp = this._handleServerPut(req, body)
+    } else if (req.method === 'DELETE') {
+      resp = this._handleServerDelete(req, body)
+    } else if (req.method === 'GET') {
+      resp = this._handleServerGet(req, body)
+    } else if (req.method === 'HEAD') {
+      resp = this._handleServerHead(req, body)
+    } else if (req.method === 'POST') {
+      resp = this._handleServerPost(req, body)
+    } else if (req.method === 'OPTIONS') {
+      resp = this._handlePreflight(req)
+    }
+
+    if (!resp) {
+      const err = new Error(
+        `url not supported: ${req.method} ${req.url}`
+      )
+      Reflect.set(err, 'statusCode', 404)
+      throw err
+    }
+    return resp
+  }
+}
+
+module.exports = FakeS3
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXML (str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/'/g, '&apos;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {string} name
+ * @returns {string | null}
+ */
+function getHeader (req, name) {
+  return getHeaderValue(req.headers, name)
+}
+
+/**
+ * Like `getHeader()` but also for the fields of a POST form upload.
+ *
+ * @param {import('http').IncomingHttpHeaders} headers
+ * @param {string} name
+ * @returns {string | null}
+ */
+function getHeaderValue (headers, name) {
+  const value = headers[name]
+  if (Array.isArray(value)) return value[0]
+  return value === undefined ? null : value
+}
+
+/**
+ * @param {import('querystring').ParsedUrlQuery} query
+ * @param {string} name
+ * @returns {string | null}
+ */
+function getQueryParam (query, name) {
+  const value = query[name]
+  if (Array.isArray(value)) return value[0]
+  return value === undefined ? null : value
+}
+
+/**
+ * @param {import('querystring').ParsedUrlQuery} query
+ * @returns {number}
+ */
+function parseMaxKeys (query) {
+  return parseIntegerParam(query, 'max-keys', 1000, 1000)
+}
+
+/**
+ * Resolves a `versionId` or the current version of a key,
+ * a delete marker is reported like S3 does.
+ *
+ * @param {S3Bucket} s3bucket
+ * @param {string} key
+ * @param {string | null} versionId
+ * @returns {S3Object}
+ */
+function getObjectVersion (s3bucket, key, versionId) {
+  const entry = s3bucket.getVersion(key, versionId)
+  if (!entry) {
+    if (versionId !== null) {
+      throw new S3ResponseError(
+        'NoSuchVersion',
+        'The specified version does not exist.',
+        404,
+        key
+      )
+    }
+    throw new S3ResponseError(
+      'NoSuchKey', 'The specified key does not exist.', 404, key
+    )
+  }
+
+  if (entry.type === 's3-delete-marker') {
+    let err = new S3ResponseError(
+      'NoSuchKey', 'The specified key does not exist.', 404, key
+    )
+    if (versionId !== null) {
+      err = new S3ResponseError(
+        'MethodNotAllowed',
+        'The specified method is not allowed against this resource.',
+        405,
+        key
+      )
+    }
+    err.headers['x-amz-delete-marker'] = 'true'
+    err.headers['x-amz-version-id'] = entry.versionId
+    throw err
+  }
+  return entry
+}
+
+/**
+ * Deletes a specific version or the current object of a key.
+ *
+ * @param {S3Bucket} s3bucket
+ * @param {string} key
+ * @param {string | null} versionId
+ * @returns {{ versionId: string | null, deleteMarker: boolean }}
+ */
+function deleteObjectVersion (s3bucket, key, versionId) {
+  if (versionId !== null) {
+    const entry = s3bucket.deleteVersion(key, versionId)
+    return {
+      versionId: versionId,
+      deleteMarker: entry !== null && entry.type === 's3-delete-marker'
+    }
+  }
+
+  const marker = s3bucket.deleteObject(key)
+  return {
+    versionId: marker ? marker.versionId : null,
+    deleteMarker: marker !== null
+  }
+}
+
+/**
+ * @param {S3Object} obj
+ * @returns {Record<string, string>}
+ */
+function versionIdHeader (obj) {
+  if (obj.versionId === 'null') return {}
+  return { 'x-amz-version-id': obj.versionId }
+}
+
+/**
+ * Escapes a value of a list response, applying `encoding-type=url`.
+ *
+ * @param {string} str
+ * @param {string | null} encodingType
+ * @returns {string}
+ */
+function encodeListValue (str, encodingType) {
+  if (encodingType === 'url') {
+    str = encodeURIComponent(str)
+      .replace(/%2F/g, '/')
+      .replace(/%20/g, '+')
+  }
+  return escapeXML(str)
+}
+
+/**
+ * Parses a `LifecycleConfiguration`, rules use either the legacy
+ * `Prefix` or a `Filter` with a prefix and/or tags.
+ *
+ * @param {Buffer} buf
+ * @returns {LifecycleRule[]}
+ */
+function parseLifecycleBody (buf) {
+  const body = parseXMLBody(buf)
+  const ruleNodes = xmlChildren(body, 'Rule')
+  if (
+    body.name !== 'LifecycleConfiguration' ||
+    ruleNodes.length === 0 ||
+    ruleNodes.length > MAX_LIFECYCLE_RULES
+  ) {
+    throw malformedXMLError()
+  }
+
+  /** @type {LifecycleRule[]} */
+  const rules = []
+  /** @type {Set<string>} */
+  const ids = new Set()
+  for (const node of ruleNodes) {
+    const status = xmlText(node, 'Status')
+    if (status !== 'Enabled' && status !== 'Disabled') {
+      throw malformedXMLError()
+    }
+
+    const id = xmlText(node, 'ID') || cuuid()
+    if (ids.has(id)) {
+      throw new S3ResponseError(
+        'InvalidArgument', 'Rule ID must be unique.', 400, id
+      )
+    }
+    ids.add(id)
+
+    /** @type {LifecycleRule} */
+    const rule = {
+      id: id,
+      status: status,
+      legacyPrefix: false,
+      prefix: '',
+      tags: {},
+      expirationDays: null,
+      expirationDate: null,
+      expiredObjectDeleteMarker: false,
+      noncurrentDays: null,
+      abortIncompleteDays: null,
+      transitions: []
+    }
+
+    const legacyPrefix = xmlText(node, 'Prefix')
+    const filters = xmlChildren(node, 'Filter')
+    if (legacyPrefix !== null && filters.length > 0) {
+      throw malformedXMLError()
+    }
+    if (legacyPrefix !== null) {
+      rule.legacyPrefix = true
+      rule.prefix = legacyPrefix
+    }
+    for (const filter of filters) {
+      const and = xmlChildren(filter, 'And')
+      const source = and.length > 0 ? and[0] : filter
+      rule.prefix = xmlText(source, 'Prefix') || ''
+
+      /** @type {[string, string][]} */
+      const pairs = xmlChildren(source, 'Tag').map((tag) => {
+        const key = xmlText(tag, 'Key')
+        const value = xmlText(tag, 'Value')
+        if (key === null || value === null) throw malformedXMLError()
+        return [key, value]
+      })
+      rule.tags = validateTags(pairs, MAX_OBJECT_TAGS)
+    }
+
+    const expiration = xmlChildren(node, 'Expiration')
+    if (expiration.length > 0) {
+      rule.expirationDays = parseLifecycleDays(
+        xmlText(expiration[0], 'Days'), 'Expiration'
+      )
+      rule.expirationDate = parseLifecycleDate(
+        xmlText(expiration[0], 'Date')
+      )
+      rule.expiredObjectDeleteMarker =
+        xmlText(expiration[0], 'ExpiredObjectDeleteMarker') === 'true'
+    }
+
+    const noncurrent = xmlChildren(node, 'NoncurrentVersionExpiration')
+    if (noncurrent.length > 0) {
+      rule.noncurrentDays = parseLifecycleDays(
+        xmlText(noncurrent[0], 'NoncurrentDays'),
+        'NoncurrentVersionExpiration'
+      )
+    }
+
+    const abort = xmlChildren(node, 'AbortIncompleteMultipartUpload')
+    if (abort.length > 0) {
+      rule.abortIncompleteDays = parseLifecycleDays(
+        xmlText(abort[0], 'DaysAfterInitiation'),
+        'AbortIncompleteMultipartUpload'
+      )
+    }
+
+    for (const transition of xmlChildren(node, 'Transition')) {
+      const storageClass = xmlText(transition, 'StorageClass') || ''
+      if (!TRANSITION_STORAGE_CLASSES.includes(storageClass)) {
+        throw malformedXMLError()
+      }
+      rule.transitions.push({
+        days: parseLifecycleDays(xmlText(transition, 'Days'), 'Transition'),
+        date: parseLifecycleDate(xmlText(transition, 'Date')),
+        storageClass: storageClass
+      })
+    }
+
+    const hasTags = Object.keys(rule.tags).length > 0
+    if (hasTags && rule.abortIncompleteDays !== null) {
+      throw new S3ResponseError(
+        'InvalidRequest',
+        'AbortIncompleteMultipartUpload cannot be specified with Tags.',
+        400,
+        id
+      )
+    }
+    if (hasTags && rule.expiredObjectDeleteMarker) {
+      throw new S3ResponseError(
+        'InvalidRequest',
+        'ExpiredObjectDeleteMarker cannot be specified with Tags.',
+        400,
+        id
+      )
+    }
+    if (
+      rule.expirationDays === null &&
+      rule.expirationDate === null &&
+      !rule.expiredObjectDeleteMarker &&
+      rule.noncurrentDays === null &&
+      rule.abortIncompleteDays === null &&
+      rule.transitions.length === 0
+    ) {
+      throw new S3ResponseError(
+        'InvalidRequest',
+        'At least one action needs to be specified in a rule',
+        400,
+        id
+      )
+    }
+
+    rules.push(rule)
+  }
+  return rules
+}
+
+/**
+ * @param {string | null} text
+ * @param {string} action
+ * @returns {number | null}
+ */
+function parseLifecycleDays (text, action) {
+  if (text === null) return null
+
+  const days = Number(text)
+  if (!Number.isInteger(days) || days <= 0) {
+    throw new S3ResponseError(
+      'InvalidArgument',
+      `'Days' for ${action} action must be a positive integer`,
+      400,
+      text
+    )
+  }
+  return days
+}
+
+/**
+ * @param {string | null} text
+ * @returns {string | null}
+ */
+function parseLifecycleDate (text) {
+  if (text === null) return null
+
+  const time = Date.parse(text)
+  if (isNaN(time) || time % DAY_MS !== 0) {
+    throw new S3ResponseError(
+      'InvalidArgument', '\'Date\' must be at midnight GMT', 400, text
+    )
+  }
+  return new Date(time).toISOString()
+}
+
+/**
+ * @param {LifecycleRule[]} rules
+ * @returns {string}
+ */
+function buildLifecycleXML (rules) {
+  let rulesXML = ''
+  for (const rule of rules) {
+    const tagsXML = Object.entries(rule.tags).map(([key, value]) => {
+      return `<Tag>
+        <Key>${escapeXML(key)}</Key>
+        <Value>${escapeXML(value)}</Value>
+      </Tag>`
+    })
+    const prefixXML = `<Prefix>${escapeXML(rule.prefix)}</Prefix>`
+
+    let filterXML = `<Filter>${prefixXML}</Filter>`
+    if (rule.legacyPrefix) {
+      filterXML = prefixXML
+    } else if (tagsXML.length === 1 && rule.prefix === '') {
+      filterXML = `<Filter>${tagsXML[0]}</Filter>`
+    } else if (tagsXML.length > 0) {
+      filterXML = `<Filter><And>
+        ${prefixXML}
+        ${tagsXML.join('')}
+      </And></Filter>`
+    }
+
+    let actionsXML = ''
+    if (
+      rule.expirationDays !== null ||
+      rule.expirationDate !== null ||
+      rule.expiredObjectDeleteMarker
+    ) {
+      const days = rule.expirationDays !== null
+        ? `<Days>${rule.expirationDays}</Days>`
+        : ''
+      const date = rule.expirationDate !== null
+        ? `<Date>${rule.expirationDate}</Date>`
+        : ''
+      const marker = rule.expiredObjectDeleteMarker
+        ? '<ExpiredObjectDeleteMarker>true</ExpiredObjectDeleteMarker>'
+        : ''
+      actionsXML += `<Expiration>${days}${date}${marker}</Expiration>`
+    }
+    for (const transition of rule.transitions) {
+      const days = transition.days !== null
+        ? `<Days>${transition.days}</Days>`
+        : ''
+      const date = transition.date !== null
+        ? `<Date>${transition.date}</Date>`
+        : ''
+      actionsXML += `<Transition>
+        ${days}${date}
+        <StorageClass>${transition.storageClass}</StorageClass>
+      </Transition>`
+    }
+    if (rule.noncurrentDays !== null) {
+      actionsXML += `<NoncurrentVersionExpiration>
+        <NoncurrentDays>${rule.noncurrentDays}</NoncurrentDays>
+      </NoncurrentVersionExpiration>`
+    }
+    if (rule.abortIncompleteDays !== null) {
+      actionsXML += `<AbortIncompleteMultipartUpload>
+        <DaysAfterInitiation>${rule.abortIncompleteDays}</DaysAfterInitiation>
+      </AbortIncompleteMultipartUpload>`
+    }
+
+    rulesXML += `<Rule>
+      <ID>${escapeXML(rule.id)}</ID>
+      ${filterXML}
+      <Status>${rule.status}</Status>
+      ${actionsXML}
+    </Rule>`
+  }
+
+  return `<LifecycleConfiguration>${rulesXML}</LifecycleConfiguration>`
+}
+
+/**
+ * @param {LifecycleRule} rule
+ * @param {string} key
+ * @param {Record<string, string>} tags
+ * @returns {boolean}
+ */
+function matchesLifecycleFilter (rule, key, tags) {
+  if (!key.startsWith(rule.prefix)) return false
+  return Object.entries(rule.tags).every(([name, value]) => {
+    return tags[name] === value
+  })
+}
+
+/**
+ * Like S3 a number of days is counted from `since` and rounded
+ * up to the next midnight UTC, a date applies from that date on.
+ *
+ * @param {string} since
+ * @param {number | null} days
+ * @param {string | null} date
+ * @returns {number}
+ */
+function lifecycleDueTime (since, days, date) {
+  if (date !== null) return Date.parse(date)
+  if (days === null) return Infinity
+
+  const time = Date.parse(since) + days * DAY_MS
+  return Math.ceil(time / DAY_MS) * DAY_MS
+}
+
+/**
+ * @param {string} since
+ * @param {number | null} days
+ * @param {string | null} date
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function lifecycleDue (since, days, date, now) {
+  return lifecycleDueTime(since, days, date) <= now.getTime()
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {CORSRule[]}
+ */
+function parseCORSBody (buf) {
+  const body = parseXMLBody(buf)
+  const ruleNodes = xmlChildren(body, 'CORSRule')
+  if (body.name !== 'CORSConfiguration' || ruleNodes.length === 0) {
+    throw malformedXMLError()
+  }
+  if (ruleNodes.length > MAX_CORS_RULES) {
+    throw new S3ResponseError(
+      'InvalidRequest',
+      'The number of CORS rules should not exceed allowed limit of ' +
+        `${MAX_CORS_RULES} rules.`,
+      400
+    )
+  }
+
+  return ruleNodes.map((node) => {
+    const allowedOrigins = xmlChildren(node, 'AllowedOrigin').map((n) => {
+      return n.text
+    })
+    const allowedMethods = xmlChildren(node, 'AllowedMethod').map((n) => {
+      return n.text
+    })
+    const allowedHeaders = xmlChildren(node, 'AllowedHeader').map((n) => {
+      return n.text
+    })
+    if (allowedOrigins.length === 0 || allowedMethods.length === 0) {
+      throw malformedXMLError()
+    }
+
+    for (const method of allowedMethods) {
+      if (!CORS_METHODS.includes(method)) {
+        throw new S3ResponseError(
+          'InvalidRequest',
+          'Found unsupported HTTP method in CORS config. ' +
+            `Unsupported method is ${method}`,
+          400
+        )
+      }
+    }
+    for (const [field, values] of [
+      ['AllowedOrigin', allowedOrigins],
+      ['AllowedHeader', allowedHeaders]
+    ]) {
+      for (const value of values) {
+        if (value.split('*').length > 2) {
+          throw new S3ResponseError(
+            'InvalidRequest',
+            `${field} "${value}" can not have more than one wildcard.`,
+            400
+          )
+        }
+      }
+    }
+
+    const maxAge = xmlText(node, 'MaxAgeSeconds')
+    if (maxAge !== null && !/^\d+$/.test(maxAge)) {
+      throw malformedXMLError()
+    }
+
+    return {
+      id: xmlText(node, 'ID'),
+      allowedOrigins,
+      allowedMethods,
+      allowedHeaders,
+      exposeHeaders: xmlChildren(node, 'ExposeHeader').map((n) => n.text),
+      maxAgeSeconds: maxAge === null ? null : parseInt(maxAge, 10)
+    }
+  })
+}
+
+/**
+ * @param {CORSRule[]} rules
+ * @returns {string}
+ */
+function buildCORSXML (rules) {
+  let rulesXML = ''
+  for (const rule of rules) {
+    /**
+     * @param {string} name
+     * @param {string[]} values
+     * @returns {string}
+     */
+    const listXML = (name, values) => values.map((value) => {
+      return `<${name}>${escapeXML(value)}</${name}>`
+    }).join('')
+
+    const idXML = rule.id !== null ? `<ID>${escapeXML(rule.id)}</ID>` : ''
+    const maxAgeXML = rule.maxAgeSeconds !== null
+      ? `<MaxAgeSeconds>${rule.maxAgeSeconds}</MaxAgeSeconds>`
+      : ''
+    rulesXML += `<CORSRule>
+      ${idXML}
+      ${listXML('AllowedHeader', rule.allowedHeaders)}
+      ${listXML('AllowedMethod', rule.allowedMethods)}
+      ${listXML('AllowedOrigin', rule.allowedOrigins)}
+      ${listXML('ExposeHeader', rule.exposeHeaders)}
+      ${maxAgeXML}
+    </CORSRule>`
+  }
+
+  return `<CORSConfiguration>
+    ${rulesXML}
+  </CORSConfiguration>`
+}
+
+/**
+ * Origins are case sensitive, header names are not.
+ *
+ * @param {CORSRule[]} rules
+ * @param {string} origin
+ * @param {string} method
+ * @param {string[]} headers
+ * @returns {CORSRule | null}
+ */
+function findCORSRule (rules, origin, method, headers) {
+  const rule = rules.find((r) => {
+    return r.allowedMethods.includes(method) &&
+      r.allowedOrigins.some((o) => wildcardRegExp(o).test(origin)) &&
+      headers.every((header) => {
+        return r.allowedHeaders.some((allowed) => {
+          return wildcardRegExp(allowed, 'i').test(header)
+        })
+      })
+  })
+  return rule || null
+}
+
+/**
+ * @param {CORSRule} rule
+ * @param {string} origin
+ * @returns {Record<string, string>}
+ */
+function buildCORSHeaders (rule, origin) {
+  /** @type {Record<string, string>} */
+  const headers = {}
+
+  // Like S3 only a `*` rule answers with a `*` and no credentials.
+  if (rule.allowedOrigins.includes('*')) {
+    headers['Access-Control-Allow-Origin'] = '*'
+  } else {
+    headers['Access-Control-Allow-Origin'] = origin
+    headers['Access-Control-Allow-Credentials'] = 'true'
+  }
+  headers['Access-Control-Allow-Methods'] = rule.allowedMethods.join(', ')
+  if (rule.exposeHeaders.length > 0) {
+    headers['Access-Control-Expose-Headers'] = rule.exposeHeaders.join(', ')
+  }
+  if (rule.maxAgeSeconds !== null) {
+    headers['Access-Control-Max-Age'] = String(rule.maxAgeSeconds)
+  }
+  headers.Vary = CORS_VARY
+  return headers
+}
+
+/**
+ * Parses & validates a bucket policy, statements can only grant
+ * `s3:` actions on the bucket itself and its objects.
+ *
+ * @param {Buffer} buf
+ * @param {string} bucket
+ * @returns {BucketPolicy}
+ */
+function parseBucketPolicy (buf, bucket) {
+  const json = buf.toString('utf8')
+
+  /** @type {unknown} */
+  let doc = null
+  try {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    doc = /** @type {unknown} */ (JSON.parse(json))
+  } catch (_err) {
+    doc = null
+  }
+  if (typeof doc !== 'object' || doc === null || Array.isArray(doc)) {
+    throw malformedPolicyError(
+      'Policies must be valid JSON and the first byte must be \'{\''
+    )
+  }
+
+  const policy = /** @type {Record<string, unknown>} */ (doc)
+  if (
+    policy.Version !== undefined &&
+    policy.Version !== '2012-10-17' &&
+    policy.Version !== '2008-10-17'
+  ) {
+    throw malformedPolicyError(
+      'The policy must contain a valid version string'
+    )
+  }
+  const statement = policy.Statement
+  if (statement === undefined) {
+    throw malformedPolicyError('Missing required field Statement')
+  }
+
+  const rawStatements = /** @type {unknown[]} */ (
+    Array.isArray(statement) ? statement : [statement]
+  )
+  const bucketArn = 'arn:aws:s3:::'
+
+  /** @type {PolicyStatement[]} */
+  const statements = []
+  for (const raw of rawStatements) {
+    if (typeof raw !== 'object' || raw === null) {
+      throw malformedPolicyError('Statement is not well-formed')
+    }
+    const fields = /** @type {Record<string, unknown>} */ (raw)
+
+    const effect = fields.Effect
+    if (effect !== 'Allow' && effect !== 'Deny') {
+      throw malformedPolicyError(`Invalid effect: ${String(effect)}`)
+    }
+
+    const actions = parsePolicyStrings(fields.Action, 'Action')
+    for (const action of actions) {
+      if (action !== '*' && !/^s3:[\w*?]+$/i.test(action)) {
+        throw malformedPolicyError('Policy has invalid action')
+      }
+    }
+
+    const resources = parsePolicyStrings(fields.Resource, 'Resource')
+    for (const resource of resources) {
+      const pattern = resource.startsWith(bucketArn)
+        ? resource.slice(bucketArn.length).split('/')[0]
+        : null
+      if (pattern === null || !wildcardRegExp(pattern).test(bucket)) {
+        throw malformedPolicyError('Policy has invalid resource')
+      }
+    }
+
+    statements.push({
+      effect,
+      principals: parsePolicyPrincipal(fields.Principal),
+      actions,
+      resources,
+      conditions: parsePolicyConditions(fields.Condition)
+    })
+  }
+
+  return { json, statements }
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} field
+ * @returns {string[]}
+ */
+function parsePolicyStrings (value, field) {
+  if (value === undefined) {
+    throw malformedPolicyError(`Missing required field ${field}`)
+  }
+
+  const values = /** @type {unknown[]} */ (
+    Array.isArray(value) ? value : [value]
+  )
+  if (values.length === 0 || values.some((v) => typeof v !== 'string')) {
+    throw malformedPolicyError(`Invalid ${field} in policy`)
+  }
+  return /** @type {string[]} */ (values)
+}
+
+/**
+ * Flattens `"*"` or `{ "AWS": [...] }` into the list of principals.
+ *
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function parsePolicyPrincipal (value) {
+  if (value === '*') return ['*']
+  if (value === undefined) {
+    throw malformedPolicyError('Missing required field Principal')
+  }
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw malformedPolicyError('Invalid principal in policy')
+  }
+
+  const principal = /** @type {Record<string, unknown>} */ (value)
+  /** @type {string[]} */
+  const principals = []
+  for (const type of Object.keys(principal)) {
+    principals.push(...parsePolicyStrings(principal[type], 'Principal'))
+  }
+  if (principals.length === 0) {
+    throw malformedPolicyError('Invalid principal in policy')
+  }
+  return principals
+}
+
+/**
+ * @param {unknown} value
+ * @returns {PolicyCondition[]}
+ */
+function parsePolicyConditions (value) {
+  if (value === undefined) return []
+  if (typeof value !== 'object' || value === null) {
+    throw malformedPolicyError('Invalid Condition in policy')
+  }
+
+  /** @type {PolicyCondition[]} */
+  const conditions = []
+  const blocks = /** @type {Record<string, unknown>} */ (value)
+  for (const operator of Object.keys(blocks)) {
+    if (!POLICY_CONDITION_OPERATORS.includes(operator)) {
+      throw malformedPolicyError(`Invalid Condition type : ${operator}`)
+    }
+    const block = blocks[operator]
+    if (typeof block !== 'object' || block === null) {
+      throw malformedPolicyError('Invalid Condition in policy')
+    }
+
+    const keys = /** @type {Record<string, unknown>} */ (block)
+    for (const key of Object.keys(keys)) {
+      conditions.push({
+        operator,
+        key: key.toLowerCase(),
+        values: parsePolicyStrings(keys[key], 'Condition')
+      })
+    }
+  }
+  return conditions
+}
+
+/**
+ * A `Deny` wins over any `Allow`, `null` if no statement matched.
+ *
+ * @param {BucketPolicy} policy
+ * @param {PolicyRequest} request
+ * @returns {'Allow' | 'Deny' | null}
+ */
+function evaluateBucketPolicy (policy, request) {
+  /** @type {'Allow' | 'Deny' | null} */
+  let effect = null
+  for (const statement of policy.statements) {
+    if (!matchesPolicyStatement(statement, request)) continue
+    if (statement.effect === 'Deny') return 'Deny'
+    effect = 'Allow'
+  }
+  return effect
+}
+
+/**
+ * @param {PolicyStatement} statement
+ * @param {PolicyRequest} request
+ * @returns {boolean}
+ */
+function matchesPolicyStatement (statement, request) {
+  return matchesPolicyPrincipal(statement.principals, request.accessKeyId) &&
+    statement.actions.some((action) => {
+      return wildcardRegExp(action, 'i').test(request.action)
+    }) &&
+    statement.resources.some((resource) => {
+      return wildcardRegExp(resource).test(request.resource)
+    }) &&
+    statement.conditions.every((condition) => {
+      return matchesPolicyCondition(condition, request.context)
+    })
+}
+
+/**
+ * Anonymous requests only match `*`, other principals match the
+ * access key itself or an ARN ending in `/<accessKeyId>`.
+ *
+ * @param {string[]} principals
+ * @param {string | null} accessKeyId
+ * @returns {boolean}
+ */
+function matchesPolicyPrincipal (principals, accessKeyId) {
+  if (principals.includes('*')) return true
+  if (accessKeyId === null) return false
+
+  return principals.some((principal) => {
+    return principal === accessKeyId ||
+      principal.endsWith(`/${accessKeyId}`)
+  })
+}
+
+/**
+ * The negated operators match when the key is not in the request.
+ *
+ * @param {PolicyCondition} condition
+ * @param {Record<string, string>} context
+ * @returns {boolean}
+ */
+function matchesPolicyCondition (condition, context) {
+  const negated = condition.operator.startsWith('StringNot')
+  if (!(condition.key in context)) return negated
+  const value = context[condition.key]
+
+  const like = condition.operator.endsWith('Like')
+  const matched = condition.values.some((expected) => {
+    return like ? wildcardRegExp(expected).test(value) : expected === value
+  })
+  return negated ? !matched : matched
+}
+
+/**
+ * The condition keys of a request, lower cased like the keys
+ * of a `PolicyCondition`.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('querystring').ParsedUrlQuery} query
+ * @param {string} action
+ * @param {string | null} versionId
+ * @returns {Record<string, string>}
+ */
+function getPolicyContext (req, query, action, versionId) {
+  /** @type {Record<string, string>} */
+  const context = {}
+  if (action === 's3:ListBucket' || action === 's3:ListBucketVersions') {
+    context['s3:prefix'] = getQueryParam(query, 'prefix') || ''
+    const delimiter = getQueryParam(query, 'delimiter')
+    if (delimiter !== null) context['s3:delimiter'] = delimiter
+  }
+  if (versionId !== null) context['s3:versionid'] = versionId
+
+  const acl = getHeader(req, 'x-amz-acl')
+  if (acl !== null) context['s3:x-amz-acl'] = acl
+  return context
+}
+
+/**
+ * The policy action of a request, `null` for requests that are
+ * not checked up front like `createBucket()`, `deleteObjects()` and
+ * CORS preflights.
+ *
+ * @param {string} method
+ * @param {string | null} key
+ * @param {import('querystring').ParsedUrlQuery} query
+ * @returns {string | null}
+ */
+function getPolicyAction (method, key, query) {
+  const versioned = getQueryParam(query, 'versionId') !== null
+
+  if (key === null) {
+    for (const subresource of Object.keys(BUCKET_SUBRESOURCE_ACTIONS)) {
+      if (subresource in query) {
+        return BUCKET_SUBRESOURCE_ACTIONS[subresource][method] || null
+      }
+    }
+
+    if (method === 'GET' || method === 'HEAD') return 's3:ListBucket'
+    if (method === 'DELETE') return 's3:DeleteBucket'
+    return null
+  }
+
+  if ('acl' in query) {
+    return method === 'PUT' ? 's3:PutObjectAcl' : 's3:GetObjectAcl'
+  }
+  if ('attributes' in query) {
+    return versioned
+      ? 's3:GetObjectVersionAttributes'
+      : 's3:GetObjectAttributes'
+  }
+  if ('tagging' in query) {
+    if (method === 'PUT') return 's3:PutObjectTagging'
+    if (method === 'DELETE') return 's3:DeleteObjectTagging'
+    return versioned ? 's3:GetObjectVersionTagging' : 's3:GetObjectTagging'
+  }
+  if (query.uploadId) {
+    if (method === 'GET') return 's3:ListMultipartUploadParts'
+    if (method === 'DELETE') return 's3:AbortMultipartUpload'
+    return 's3:PutObject'
+  }
+
+  if (method === 'GET' || method === 'HEAD') {
+    return versioned ? 's3:GetObjectVersion' : 's3:GetObject'
+  }
+  if (method === 'DELETE') {
+    return versioned ? 's3:DeleteObjectVersion' : 's3:DeleteObject'
+  }
+  if (method === 'PUT' || method === 'POST') return 's3:PutObject'
+  return null
+}
+
+/**
+ * Whether the `AllUsers` grants of a canned ACL allow an action.
+ *
+ * @param {string} acl
+ * @param {string} action
+ * @returns {boolean}
+ */
+function cannedACLAllows (acl, action) {
+  return CANNED_ACL_GRANTS[acl].some(([uri, permission]) => {
+    const actions = ACL_PERMISSION_ACTIONS[permission]
+    return uri === ALL_USERS && actions !== undefined &&
+      actions.includes(action)
+  })
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+function parseCannedACL (req) {
+  const acl = getHeader(req, 'x-amz-acl')
+  return acl === null ? 'private' : validateCannedACL(acl)
+}
+
+/**
+ * @param {string} acl
+ * @returns {string}
+ */
+function validateCannedACL (acl) {
+  if (!Object.keys(CANNED_ACL_GRANTS).includes(acl)) {
+    throw new S3ResponseError(
+      'InvalidArgument', 'The canned ACL is not valid.', 400, acl
+    )
+  }
+  return acl
+}
+
+/**
+ * Reads the canned ACL of a `?acl` request, an
+ * `AccessControlPolicy` with explicit grants is not supported.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {Buffer} buf
+ * @returns {string}
+ */
+function parseACLRequest (req, buf) {
+  if (getHeader(req, 'x-amz-acl') === null) {
+    if (buf.length > 0) {
+      throw new S3ResponseError(
+        'NotImplemented',
+        'Only canned ACLs in the x-amz-acl header are supported',
+        501
+      )
+    }
+    throw new S3ResponseError(
+      'MissingSecurityHeader',
+      'Your request was missing a required header',
+      400,
+      'x-amz-acl'
+    )
+  }
+  return parseCannedACL(req)
+}
+
+/**
+ * Unlike `globToRegExp()` a `*` also matches a `/`.
+ *
+ * @param {string} pattern
+ * @param {string} [flags]
+ * @returns {RegExp}
+ */
+function wildcardRegExp (pattern, flags) {
+  let source = ''
+  for (const char of pattern) {
+    if (char === '*') {
+      source += '.*'
+    } else if (char === '?') {
+      source += '.'
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`, flags)
+}
+
+/**
+ * Keys without `*` or `?` only match themselves.
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp (glob) {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*' && glob[i + 2] === '/') {
+      // `**/` also matches zero path segments.
+      source += '(?:.*/)?'
+      i += 2
+    } else if (char === '*' && glob[i + 1] === '*') {
+      source += '.*'
+      i++
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Parses a `NotificationConfiguration`, the `Topic`, `Queue` &
+ * `CloudFunction` configurations only differ in the destination.
+ *
+ * @param {Buffer} buf
+ * @returns {NotificationRule[]}
+ */
+function parseNotificationBody (buf) {
+  const body = parseXMLBody(buf)
+  if (body.name !== 'NotificationConfiguration') {
+    throw malformedXMLError()
+  }
+
+  /** @type {NotificationRule[]} */
+  const rules = []
+  /** @type {Set<string>} */
+  const ids = new Set()
+  for (const node of body.children) {
+    const destination = NOTIFICATION_DESTINATIONS[node.name]
+    if (!destination) throw malformedXMLError()
+
+    const arn = xmlText(node, destination)
+    const events = xmlChildren(node, 'Event').map((e) => e.text)
+    if (!arn || events.length === 0) throw malformedXMLError()
+
+    for (const event of events) {
+      if (!event.startsWith('s3:')) {
+        throw new S3ResponseError(
+          'InvalidArgument',
+          'The event is not supported for notifications',
+          400,
+          event
+        )
+      }
+    }
+
+    const id = xmlText(node, 'Id') || cuuid()
+    if (ids.has(id)) {
+      throw new S3ResponseError(
+        'InvalidArgument',
+        'Configuration is ambiguously defined. Cannot have two ' +
+          'configurations with the same ID.',
+        400,
+        id
+      )
+    }
+    ids.add(id)
+
+    /** @type {NotificationRule} */
+    const rule = {
+      kind: node.name,
+      id: id,
+      arn: arn,
+      events: events,
+      prefix: null,
+      suffix: null
+    }
+
+    for (const filter of xmlChildren(node, 'Filter')) {
+      for (const s3Key of xmlChildren(filter, 'S3Key')) {
+        for (const filterRule of xmlChildren(s3Key, 'FilterRule')) {
+          const name = (xmlText(filterRule, 'Name') || '').toLowerCase()
+          const value = xmlText(filterRule, 'Value') || ''
+          if (
+            (name !== 'prefix' && name !== 'suffix') ||
+            rule[name] !== null
+          ) {
+            throw new S3ResponseError(
+              'InvalidArgument',
+              'Cannot specify more than one prefix or suffix rule ' +
+                'in a filter.',
+              400,
+              name
+            )
+          }
+          rule[name] = value
+        }
+      }
+    }
+
+    rules.push(rule)
+  }
+  return rules
+}
+
+/**
+ * @param {NotificationRule} rule
+ * @param {string} eventName
+ * @param {string} key
+ * @returns {boolean}
+ */
+function matchesNotification (rule, eventName, key) {
+  if (rule.prefix !== null && !key.startsWith(rule.prefix)) return false
+  if (rule.suffix !== null && !key.endsWith(rule.suffix)) return false
+
+  const name = `s3:${eventName}`
+  return rule.events.some((event) => {
+    return event === name || (
+      event.endsWith(':*') && name.startsWith(event.slice(0, -1))
+    )
+  })
+}
+
+/**
+ * POSTs an event notification to a webhook, any status
+ * other than 2xx is an error.
+ *
+ * @param {string} target
+ * @param {unknown} payload
+ * @returns {Promise<void>}
+ */
+async function postJSON (target, payload) {
+  const body = JSON.stringify(payload)
+  const request = target.startsWith('https:') ? https.request : http.request
+
+  await new Promise((resolve, reject) => {
+    const req = request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': String(Buffer.byteLength(body))
+      }
+    }, (res) => {
+      res.resume()
+      res.on('end', () => {
+        const statusCode = res.statusCode || 0
+        if (statusCode >= 200 && statusCode < 300) {
+          resolve()
+        } else {
+          reject(new Error(
+            `Notification to ${target} failed with ${statusCode}`
+          ))
+        }
+      })
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+}
+
+/**
+ * Streams the bytes `start` to `end` of a placeholder body, one
+ * block at a time.
+ *
+ * @param {PlaceholderMode} mode
+ * @param {S3Object} obj
+ * @param {number} start
+ * @param {number} end
+ * @returns {Readable}
+ */
+function placeholderStream (mode, obj, start, end) {
+  let offset = start
+  return new Readable({
+    read () {
+      if (offset >= end) {
+        this.push(null)
+        return
+      }
+      const blockEnd = Math.min(offset + PLACEHOLDER_BLOCK_SIZE, end)
+      this.push(placeholderBody(mode, obj, offset, blockEnd))
+      offset = blockEnd
+    }
+  })
+}
+
+/**
+ * Generates the bytes `start` to `end` of a placeholder body. The
+ * `random` & `lorem` modes are seeded by the bucket & key so every
+ * request, including range requests, sees the same content.
+ *
+ * @param {PlaceholderMode} mode
+ * @param {S3Object} obj
+ * @param {number} start
+ * @param {number} end
+ * @returns {Buffer}
+ */
+function placeholderBody (mode, obj, start, end) {
+  const buf = Buffer.alloc(end - start)
+  if (mode === 'zero' || buf.length === 0) return buf
+
+  const seed = crypto.createHash('sha256')
+    .update(`${obj.bucket}/${obj.key}`)
+    .digest()
+
+  if (mode === 'lorem') {
+    const offset = (seed.readUInt32BE(0) + start) % LOREM_IPSUM.length
+    buf.fill(Buffer.concat([
+      LOREM_IPSUM.slice(offset), LOREM_IPSUM.slice(0, offset)
+    ]))
+    return buf
+  }
+
+  // The AES-CTR keystream can be started at any 16 byte block.
+  const block = Math.floor(start / 16)
+  const iv = Buffer.alloc(16)
+  iv.writeUInt32BE(Math.floor(block / 0x100000000), 8)
+  iv.writeUInt32BE(block % 0x100000000, 12)
+
+  const cipher = crypto.createCipheriv('aes-256-ctr', seed, iv)
+  const stream = cipher.update(Buffer.alloc(end - block * 16))
+  stream.copy(buf, 0, start - block * 16)
+  return buf
+}
+
+/**
+ * Decodes the key of a request path, a malformed percent-encoding
+ * is a client error.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeURIPath (value) {
+  try {
+    return decodeURIComponent(value)
+  } catch (_err) {
+    throw new S3ResponseError(
+      'InvalidURI', 'Couldn\'t parse the specified URI.', 400, value
+    )
+  }
+}
+
+/**
+ * Keys can be longer than a file name, files on disk
+ * are named after the sha256 of the key instead.
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+function hashKey (key) {
+  return crypto.createHash('sha256').update(key).digest('hex')
+}
+
+/**
+ * Writes to a temporary file first, a rename is atomic so
+ * readers never observe a partially written file.
+ *
+ * @param {string} filePath
+ * @param {string | Buffer} data
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic (filePath, data) {
+  const tmpPath = `${filePath}.${cuuid()}.tmp`
+  await writeFileP(tmpPath, data)
+  await renameP(tmpPath, filePath)
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<void>}
+ */
+async function removeTree (filePath) {
+  /** @type {fs.Dirent[]} */
+  let entries
+  try {
+    entries = await readdirP(filePath, { withFileTypes: true })
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {NodeJS.ErrnoException} */ (maybeErr)
+    if (err.code === 'ENOENT') return
+    throw err
+  }
+
+  for (const entry of entries) {
+    const childPath = path.join(filePath, entry.name)
+    if (entry.isDirectory()) {
+      await removeTree(childPath)
+    } else {
+      await unlinkP(childPath)
+    }
+  }
+  await rmdirP(filePath)
+}
+
+/**
+ * Writes all versions of a key into `keys/`, the bodies are stored
+ * by their sha256 in `bodies/` so they are only written once.
+ *
+ * @param {string} bucketDir
+ * @param {S3Bucket} s3bucket
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+async function writeStoredKey (bucketDir, s3bucket, key) {
+  const keyFile = path.join(bucketDir, 'keys', `${hashKey(key)}.json`)
+
+  const versions = s3bucket.getKeyVersions(key)
+  if (versions.length === 0) {
+    try {
+      await unlinkP(keyFile)
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {NodeJS.ErrnoException} */ (maybeErr)
+      if (err.code !== 'ENOENT') throw err
+    }
+    return
+  }
+
+  /** @type {StoredVersion[]} */
+  const stored = []
+  for (const v of versions) {
+    if (v.type === 's3-delete-marker') {
+      stored.push({
+        type: 's3-delete-marker',
+        versionId: v.versionId,
+        lastModified: v.lastModified
+      })
+      continue
+    }
+
+    let body = storedBodies.get(v)
+    if (!body) {
+      const content = typeof v.content === 'string'
+        ? Buffer.from(v.content)
+        : v.content
+      body = crypto.createHash('sha256').update(content).digest('hex')
+      await writeFileAtomic(path.join(bucketDir, 'bodies', body), content)
+      storedBodies.set(v, body)
+    }
+
+    stored.push({
+      type: 's3-object',
+      versionId: v.versionId,
+      lastModified: v.lastModified,
+      md5: v.md5,
+      contentLength: v.contentLength,
+      metadata: v.metadata,
+      systemMetadata: v.systemMetadata,
+      tags: v.tags,
+      storageClass: v.storageClass,
+      acl: v.acl,
+      encryption: v.encryption,
+      customerKeyMD5: v.customerKeyMD5,
+      checksum: v.checksum,
+      body: body
+    })
+  }
+
+  /** @type {StoredKey} */
+  const storedKey = { type: 'stored-key', key, versions: stored }
+  await writeFileAtomic(keyFile, JSON.stringify(storedKey))
+}
+
+/**
+ * Reads a bucket written by `writeStoredKey()`, bodies that are
+ * no longer referenced by any version are removed.
+ *
+ * @param {string} bucketDir
+ * @returns {Promise<S3Bucket | null>}
+ */
+async function readStoredBucket (bucketDir) {
+  /** @type {string} */
+  let bucketStr
+  try {
+    bucketStr = await readFileP(path.join(bucketDir, 'bucket.json'), 'utf8')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {NodeJS.ErrnoException} */ (maybeErr)
+    if (err.code === 'ENOENT') return null
+    throw err
+  }
+
+  /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+  const info = /** @type {StoredBucket} */ (JSON.parse(bucketStr))
+  const s3bucket = new S3Bucket(info.name, info.creationDate)
+  s3bucket.region = info.region || 'us-east-1'
+  s3bucket.versioning = info.versioning
+  s3bucket.tags = info.tags
+  s3bucket.notifications = info.notifications || []
+  s3bucket.lifecycle = info.lifecycle || null
+  s3bucket.acl = info.acl || 'private'
+  s3bucket.policy = info.policy || null
+  s3bucket.cors = info.cors || null
+  s3bucket.encryption = info.encryption || null
+
+  /** @type {Set<string>} */
+  const usedBodies = new Set()
+  const keyFiles = await readdirP(path.join(bucketDir, 'keys'))
+  for (const fileName of keyFiles) {
+    if (!fileName.endsWith('.json')) continue
+
+    const keyStr = await readFileP(
+      path.join(bucketDir, 'keys', fileName), 'utf8'
+    )
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const storedKey = /** @type {StoredKey} */ (JSON.parse(keyStr))
+
+    /** @type {(S3Object | DeleteMarker)[]} */
+    const versions = []
+    for (const v of storedKey.versions) {
+      if (v.type === 's3-delete-marker') {
+        versions.push(new DeleteMarker(
+          info.name, storedKey.key, v.versionId, v.lastModified
+        ))
+        continue
+      }
+
+      const content = await readFileP(path.join(bucketDir, 'bodies', v.body))
+      const obj = new S3Object(
+        info.name, storedKey.key, content, v.lastModified, v.md5,
+        v.contentLength
+      )
+      obj.versionId = v.versionId
+      obj.metadata = v.metadata
+      obj.systemMetadata = v.systemMetadata
+      obj.tags = v.tags
+      obj.storageClass = v.storageClass || 'STANDARD'
+      obj.acl = v.acl || 'private'
+      obj.encryption = v.encryption || null
+      obj.customerKeyMD5 = v.customerKeyMD5 || null
+      obj.checksum = v.checksum || null
+      storedBodies.set(obj, v.body)
+      usedBodies.add(v.body)
+      versions.push(obj)
+    }
+    s3bucket.restoreVersions(storedKey.key, versions)
+  }
+
+  const bodyFiles = await readdirP(path.join(bucketDir, 'bodies'))
+  for (const fileName of bodyFiles) {
+    if (!usedBodies.has(fileName)) {
+      await unlinkP(path.join(bucketDir, 'bodies', fileName))
+    }
+  }
+
+  s3bucket.configChanged = false
+  return s3bucket
+}
+
+/**
+ * Returns the access key of the `Authorization` header or of the
+ * `X-Amz-Credential` parameter of a presigned URL, `null` for
+ * anonymous requests.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('querystring').ParsedUrlQuery} query
+ * @returns {string | null}
+ */
+function getAccessKeyId (req, query) {
+  const authHeader = req.headers.authorization || ''
+  const match = authHeader.match(stripCreds)
+  if (match) {
+    const creds = match[0].slice(11)
+    return creds.split('/')[0]
+  }
+
+  // Signature version 2 uses `AWS <accessKeyId>:<signature>`
+  const v2Match = authHeader.match(/^AWS ([^:\s]+):/)
+  if (v2Match) return v2Match[1]
+
+  const credential = getQueryParam(query, 'X-Amz-Credential')
+  return credential ? credential.split('/')[0] : null
+}
+
+/**
+ * Validates the SigV4 query parameters of a presigned URL and
+ * rejects expired URLs. The signature itself is not verified.
+ *
+ * @param {import('querystring').ParsedUrlQuery} query
+ * @returns {void}
+ */
+function checkPresignedURL (query) {
+  if (getQueryParam(query, 'X-Amz-Credential') === null) return
+
+  const algorithm = getQueryParam(query, 'X-Amz-Algorithm')
+  const amzDate = getQueryParam(query, 'X-Amz-Date')
+  const expires = getQueryParam(query, 'X-Amz-Expires')
+  if (
+    algorithm !== 'AWS4-HMAC-SHA256' ||
+    amzDate === null ||
+    expires === null ||
+    getQueryParam(query, 'X-Amz-Signature') === null
+  ) {
+    throw new S3ResponseError(
+      'AuthorizationQueryParametersError',
+      'Query-string authentication version 4 requires the ' +
+        'X-Amz-Algorithm, X-Amz-Credential, X-Amz-Signature, ' +
+        'X-Amz-Date, X-Amz-SignedHeaders, and X-Amz-Expires parameters.',
+      400
+    )
+  }
+
+  const dateMatch = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/
+    .exec(amzDate)
+  if (!dateMatch) {
+    throw new S3ResponseError(
+      'AuthorizationQueryParametersError',
+      'X-Amz-Date must be in the ISO8601 Long Format ' +
+        '"yyyyMMdd\'T\'HHmmss\'Z\'"',
+      400
+    )
+  }
+  const [, year, month, day, hour, minute, second] = dateMatch.map(Number)
+  const signedAt = Date.UTC(year, month - 1, day, hour, minute, second)
+
+  const expiresSeconds = parseInt(expires, 10)
+  if (!/^\d+$/.test(expires)) {
+    throw new S3ResponseError(
+      'AuthorizationQueryParametersError',
+      'X-Amz-Expires should be a number',
+      400
+    )
+  }
+  if (expiresSeconds > MAX_PRESIGNED_EXPIRES) {
+    throw new S3ResponseError(
+      'AuthorizationQueryParametersError',
+      'X-Amz-Expires must be less than a week (in seconds) that is; ' +
+        'the maximum expires is 7 days',
+      400
+    )
+  }
+
+  if (Date.now() > signedAt + expiresSeconds * 1000) {
+    throw new S3ResponseError('AccessDenied', 'Request has expired', 403)
+  }
+}
+
+/**
+ * Validates the `Content-MD5` header against the request body. When
+ * it is required an `x-amz-checksum-*` header, as sent by SDK v3,
+ * satisfies the requirement instead.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {Buffer} buf
+ * @param {boolean} required
+ * @returns {void}
+ */
+function checkContentMD5 (req, buf, required) {
+  const header = getHeader(req, 'content-md5')
+  if (header === null) {
+    if (!required || parseChecksumHeaders(req.headers, buf) !== null) {
+      return
+    }
+    throw new S3ResponseError(
+      'InvalidRequest',
+      'Missing required header for this request: Content-MD5',
+      400
+    )
+  }
+
+  const expected = Buffer.from(header, 'base64')
+  if (expected.length !== 16 || expected.toString('base64') !== header) {
+    throw new S3ResponseError(
+      'InvalidDigest',
+      'The Content-MD5 you specified was invalid.',
+      400
+    )
+  }
+
+  const actual = crypto.createHash('md5').update(buf).digest()
+  if (!actual.equals(expected)) {
+    throw new S3ResponseError(
+      'BadDigest',
+      'The Content-MD5 you specified did not match what we received.',
+      400
+    )
+  }
+}
+
+/**
+ * Decodes the `aws-chunked` body of a streaming upload, as sent by
+ * SDK v3 and the Java SDK. Like HTTP trailers the headers declared
+ * in `x-amz-trailer` are merged into the request headers, so that a
+ * trailing checksum is validated like an `x-amz-checksum-*` header.
+ * Like S3 only checksums can trail, the other headers were already
+ * used by the access checks. Chunk signatures are not verified.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {Buffer} buf
+ * @returns {Buffer}
+ */
+function decodeAWSChunked (req, buf) {
+  const contentSHA256 = getHeader(req, 'x-amz-content-sha256') || ''
+  if (!contentSHA256.startsWith('STREAMING-')) return buf
+
+  const decodedLength = getHeader(req, 'x-amz-decoded-content-length')
+  if (decodedLength === null || !/^\d+$/.test(decodedLength)) {
+    throw new S3ResponseError(
+      'MissingContentLength',
+      'You must provide the Content-Length HTTP header.',
+      411
+    )
+  }
+
+  /** @type {Buffer[]} */
+  const chunks = []
+  let offset = 0
+  let size = -1
+  while (size !== 0) {
+    const lineEnd = buf.indexOf('\r\n', offset)
+    const sizeField = lineEnd === -1
+      ? ''
+      : buf.toString('latin1', offset, lineEnd).split(';')[0]
+    if (!/^[0-9a-fA-F]+$/.test(sizeField)) throw incompleteBodyError()
+
+    size = parseInt(sizeField, 16)
+    offset = lineEnd + 2
+    if (size === 0) break
+
+    const end = offset + size
+    if (buf.toString('latin1', end, end + 2) !== '\r\n') {
+      throw incompleteBodyError()
+    }
+    chunks.push(buf.slice(offset, end))
+    offset = end + 2
+  }
+
+  const body = Buffer.concat(chunks)
+  if (body.length !== parseInt(decodedLength, 10)) {
+    throw incompleteBodyError()
+  }
+
+  const trailer = getHeader(req, 'x-amz-trailer')
+  if (trailer !== null) {
+    const trailers = parseTrailers(buf.toString('utf8', offset))
+    for (const field of trailer.split(',')) {
+      const name = field.trim().toLowerCase()
+      const isChecksum = CHECKSUM_ALGORITHMS.some((algorithm) => {
+        return checksumHeaderName(algorithm) === name
+      })
+      const value = trailers[name]
+      if (!isChecksum || value === undefined) throw malformedTrailerError()
+      req.headers[name] = value
+    }
+  }
+
+  // S3 does not store the aws-chunked content coding.
+  const encodings = (getHeader(req, 'content-encoding') || '')
+    .split(',')
+    .map((e) => e.trim())
+    .filter((e) => e !== '' && e !== 'aws-chunked')
+  if (encodings.length > 0) {
+    req.headers['content-encoding'] = encodings.join(',')
+  } else {
+    delete req.headers['content-encoding']
+  }
+
+  return body
+}
+
+/**
+ * Parses the `name:value` lines that follow the last chunk of an
+ * `aws-chunked` body.
+ *
+ * @param {string} text
+ * @returns {Record<string, string | undefined>}
+ */
+function parseTrailers (text) {
+  /** @type {Record<string, string | undefined>} */
+  const trailers = {}
+  for (const line of text.split('\r\n')) {
+    if (line === '') continue
+
+    const index = line.indexOf(':')
+    if (index <= 0) throw malformedTrailerError()
+    trailers[line.slice(0, index).trim().toLowerCase()] =
+      line.slice(index + 1).trim()
+  }
+  return trailers
+}
+
+/**
+ * Validates the `x-amz-checksum-*` header of an upload, at most one
+ * checksum can be sent.
+ *
+ * @param {import('http').IncomingHttpHeaders} headers
+ * @param {Buffer} buf
+ * @returns {ObjectChecksum | null}
+ */
+function parseChecksumHeaders (headers, buf) {
+  const sent = CHECKSUM_ALGORITHMS.filter((algorithm) => {
+    return getHeaderValue(headers, checksumHeaderName(algorithm)) !== null
+  })
+  if (sent.length > 1) {
+    throw new S3ResponseError(
+      'InvalidRequest',
+      'Expecting a single x-amz-checksum- header. Multiple checksum ' +
+        'Types are not allowed.',
+      400
+    )
+  }
+  if (sent.length === 0) return null
+
+  const algorithm = sent[0]
+  const name = checksumHeaderName(algorithm)
+  const value = getHeaderValue(headers, name) || ''
+  const checksum = createChecksum(algorithm, buf)
+  const expected = Buffer.from(value, 'base64')
+  if (
+    expected.toString('base64') !== value ||
+    value.length !== checksum.value.length
+  ) {
+    throw new S3ResponseError(
+      'InvalidRequest', `Value for ${name} header is invalid.`, 400
+    )
+  }
+  if (value !== checksum.value) {
+    throw new S3ResponseError(
+      'BadDigest',
+      `The ${algorithm} you specified did not match the calculated ` +
+        'checksum.',
+      400
+    )
+  }
+  return checksum
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @returns {string | null}
+ */
+function parseChecksumAlgorithm (req) {
+  const header = getHeader(req, 'x-amz-checksum-algorithm')
+  if (header === null) return null
+
+  const algorithm = header.toUpperCase()
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm)) {
+    throw new S3ResponseError(
+      'InvalidRequest',
+      'Value for x-amz-checksum-algorithm header is invalid.',
+      400
+    )
+  }
+  return algorithm
+}
+
+/**
+ * Parts of an upload created with a checksum algorithm are always
+ * checksummed with it, the checksum is computed when not sent.
+ *
+ * @param {MultipartUpload} upload
+ * @param {ObjectChecksum | null} checksum
+ * @param {Buffer} content
+ * @returns {ObjectChecksum | null}
+ */
+function checkPartChecksum (upload, checksum, content) {
+  const algorithm = upload.checksumAlgorithm
+  if (algorithm === null || checksum === null) {
+    return algorithm === null ? checksum : createChecksum(algorithm, content)
+  }
+
+  if (checksum.algorithm !== algorithm) {
+    throw new S3ResponseError(
+      'InvalidRequest',
+      'Checksum Type mismatch occurred, expected checksum Type: ' +
+        `${algorithm.toLowerCase()}, actual checksum Type: ` +
+        checksum.algorithm.toLowerCase(),
+      400
+    )
+  }
+  return checksum
+}
+
+/**
+ * The `<Part>` of a complete request may repeat the checksum of
+ * the part.
+ *
+ * @param {XMLNode} node
+ * @param {MultipartPart} part
+ * @returns {boolean}
+ */
+function matchesPartChecksum (node, part) {
+  return CHECKSUM_ALGORITHMS.every((algorithm) => {
+    const value = xmlText(node, `Checksum${algorithm}`)
+    if (value === null) return true
+    return part.checksum !== null &&
+      part.checksum.algorithm === algorithm &&
+      part.checksum.value === value
+  })
+}
+
+/**
+ * Like S3 the checksum of a multipart object is the checksum of the
+ * part checksums followed by the number of parts.
+ *
+ * @param {string | null} algorithm
+ * @param {MultipartPart[]} parts
+ * @returns {ObjectChecksum | null}
+ */
+function compositeChecksum (algorithm, parts) {
+  if (algorithm === null) return null
+
+  const digests = parts.map((part) => {
+    const checksum = part.checksum || createChecksum(algorithm, part.content)
+    return Buffer.from(checksum.value, 'base64')
+  })
+  const { value } = createChecksum(algorithm, Buffer.concat(digests))
+  return { algorithm, value: `${value}-${parts.length}`, type: 'COMPOSITE' }
+}
+
+/**
+ * @param {string} algorithm
+ * @param {Buffer} buf
+ * @returns {ObjectChecksum}
+ */
+function createChecksum (algorithm, buf) {
+  /** @type {Buffer} */
+  let digest
+  if (algorithm === 'CRC32' || algorithm === 'CRC32C') {
+    digest = crc(algorithm === 'CRC32' ? CRC32_TABLE : CRC32C_TABLE, buf)
+  } else {
+    const hash = algorithm === 'SHA1' ? 'sha1' : 'sha256'
+    digest = crypto.createHash(hash).update(buf).digest()
+  }
+  return { algorithm, value: digest.toString('base64'), type: 'FULL_OBJECT' }
+}
+
+/**
+ * @param {number} polynomial
+ * @returns {Uint32Array}
+ */
+function crcTable (polynomial) {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? (c >>> 1) ^ polynomial : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+}
+
+/**
+ * @param {Uint32Array} table
+ * @param {Buffer} buf
+ * @returns {Buffer}
+ */
+function crc (table, buf) {
+  let c = 0xFFFFFFFF
+  for (const byte of buf) {
+    c = table[(c ^ byte) & 0xFF] ^ (c >>> 8)
+  }
+  const digest = Buffer.alloc(4)
+  digest.writeUInt32BE((c ^ 0xFFFFFFFF) >>> 0, 0)
+  return digest
+}
+
+/**
+ * @param {string} algorithm
+ * @returns {string}
+ */
+function checksumHeaderName (algorithm) {
+  return `x-amz-checksum-${algorithm.toLowerCase()}`
+}
+
+/**
+ * @param {ObjectChecksum | null} checksum
+ * @returns {Record<string, string>}
+ */
+function checksumHeaders (checksum) {
+  if (!checksum) return {}
+
+  return {
+    [checksumHeaderName(checksum.algorithm)]: checksum.value,
+    'x-amz-checksum-type': checksum.type
+  }
+}
+
+/**
+ * @param {ObjectChecksum | null} checksum
+ * @returns {string}
+ */
+function buildChecksumXML (checksum) {
+  if (!checksum) return ''
+
+  const name = `Checksum${checksum.algorithm}`
+  return `<${name}>${checksum.value}</${name}>`
+}
+
+/**
+ * Reads the metadata of the request headers or of the fields
+ * of a POST form upload.
+ *
+ * @param {import('http').IncomingHttpHeaders} headers
+ * @returns {{
+ *    metadata: Record<string, string>,
+ *    systemMetadata: Record<string, string>
+ * }}
+ */
+function parseObjectMetadata (headers) {
+  /** @type {Record<string, string>} */
+  const metadata = {}
+  /** @type {Record<string, string>} */
+  const systemMetadata = {}
+
+  let size = 0
+  for (const [name, value] of Object.entries(headers)) {
+    if (!name.startsWith('x-amz-meta-') || value === undefined) continue
+
+    const metaKey = name.slice('x-amz-meta-'.length)
+    const metaValue = Array.isArray(value) ? value.join(',') : value
+    metadata[metaKey] = metaValue
+    size += Buffer.byteLength(metaKey) + Buffer.byteLength(metaValue)
+  }
+
+  if (size > MAX_METADATA_SIZE) {
+    throw new S3ResponseError(
+      'MetadataTooLarge',
+      'Your metadata headers exceed the maximum allowed metadata size.',
+      400
+    )
+  }
+
+  for (const name of SYSTEM_METADATA_HEADERS) {
+    const value = headers[name.toLowerCase()]
+    if (typeof value === 'string') systemMetadata[name] = value
+  }
+
+  return { metadata, systemMetadata }
+}
+
+/**
+ * Parses the SSE headers of a write. Without any, new objects get
+ * the default encryption of the bucket.
+ *
+ * @param {import('http').IncomingHttpHeaders} headers
+ * @param {S3Bucket} s3bucket
+ * @returns {{
+ *    encryption: ServerSideEncryption | null,
+ *    customerKey: CustomerKey | null
+ * }}
+ */
+function parseEncryptionHeaders (headers, s3bucket) {
+  const algorithm = getHeaderValue(headers, 'x-amz-server-side-encryption')
+  const kmsKeyId = getHeaderValue(
+    headers, 'x-amz-server-side-encryption-aws-kms-key-id'
+  )
+  const context = getHeaderValue(
+    headers, 'x-amz-server-side-encryption-context'
+  )
+  const bucketKeyEnabled = getHeaderValue(
+    headers, 'x-amz-server-side-encryption-bucket-key-enabled'
+  ) === 'true'
+
+  const customerKey = parseCustomerKey(headers, 'x-amz-')
+  if (customerKey) {
+    if (algorithm !== null) {
+      throw new S3ResponseError(
+        'InvalidArgument',
+        'Server Side Encryption with Customer provided key is ' +
+          'incompatible with the encryption method specified',
+        400
+      )
+    }
+    return { encryption: null, customerKey }
+  }
+
+  if (algorithm === null) {
+    if (kmsKeyId !== null || context !== null) throw kmsHeaderError()
+    const defaults = s3bucket.encryption
+    return { encryption: defaults ? { ...defaults } : null, customerKey }
+  }
+
+  if (!SSE_ALGORITHMS.includes(algorithm)) {
+    throw new S3ResponseError(
+      'InvalidArgument',
+      'The encryption method specified is not supported',
+      400
+    )
+  }
+  const isKMS = algorithm !== 'AES256'
+  if (!isKMS && (kmsKeyId !== null || context !== null)) {
+    throw kmsHeaderError()
+  }
+  if (context !== null && !isEncryptionContext(context)) {
+    throw new S3ResponseError(
+      'InvalidArgument',
+      'The header \'x-amz-server-side-encryption-context\' shall be ' +
+        'Base64-encoded UTF-8 string holding JSON which represents a ' +
+        'string-string map',
+      400
+    )
+  }
+
+  return {
+    encryption: {
+      algorithm,
+      kmsKeyId,
+      context,
+      bucketKeyEnabled: isKMS && bucketKeyEnabled
+    },
+    customerKey
+  }
+}
+
+/**
+ * Parses the SSE-C headers, the `prefix` is `x-amz-` for the object
+ * of the request and `x-amz-copy-source-` for the source of a copy.
+ *
+ * @param {import('http').IncomingHttpHeaders} headers
+ * @param {string} prefix
+ * @returns {CustomerKey | null}
+ */
+function parseCustomerKey (headers, prefix) {
+  const name = `${prefix}server-side-encryption-customer`
+  const algorithm = getHeaderValue(headers, `${name}-algorithm`)
+  const key = getHeaderValue(headers, `${name}-key`)
+  const keyMD5 = getHeaderValue(headers, `${name}-key-md5`)
+  if (algorithm === null && key === null && keyMD5 === null) return null
+
+  if (algorithm === null) {
+    throw customerKeyError('must provide a valid encryption algorithm.')
+  }
+  if (algorithm !== 'AES256') {
+    throw new S3ResponseError(
+      'InvalidEncryptionAlgorithmError',
+      'The encryption request you specified is not valid. The valid ' +
+        'value is AES256.',
+      400
+    )
+  }
+  if (key === null) {
+    throw customerKeyError('must provide an appropriate secret key.')
+  }
+  if (keyMD5 === null) {
+    throw customerKeyError(
+      'must provide the client calculated MD5 of the secret key.'
+    )
+  }
+
+  const buf = Buffer.from(key, 'base64')
+  if (buf.length !== 32 || buf.toString('base64') !== key) {
+    throw new S3ResponseError(
+      'InvalidArgument',
+      'The secret key was invalid for the specified algorithm.',
+      400
+    )
+  }
+  const md5 = crypto.createHash('md5').update(buf).digest('base64')
+  if (md5 !== keyMD5) {
+    throw new S3ResponseError(
+      'InvalidArgument',
+      'The calculated MD5 hash of the key did not match the hash ' +
+        'that was provided.',
+      400
+    )
+  }
+  return { key: buf, md5 }
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isEncryptionContext (value) {
+  /** @type {unknown} */
+  let context = null
+  try {
+    const json = Buffer.from(value, 'base64').toString('utf8')
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    context = /** @type {unknown} */ (JSON.parse(json))
+  } catch (_err) {
+    return false
+  }
+  if (
+    typeof context !== 'object' ||
+    context === null ||
+    Array.isArray(context)
+  ) {
+    return false
+  }
+
+  const pairs = /** @type {Record<string, unknown>} */ (context)
+  return Object.keys(pairs).every((k) => typeof pairs[k] === 'string')
+}
+
+/**
+ * SSE-C objects are stored encrypted with AES-256 in CTR mode, the
+ * random IV is stored in front of the ciphertext.
+ *
+ * @param {S3Object} obj
+ * @param {ServerSideEncryption | null} encryption
+ * @param {CustomerKey | null} customerKey
+ * @returns {void}
+ */
+function encryptObject (obj, encryption, customerKey) {
+  obj.encryption = encryption
+  if (!customerKey) return
+
+  const content = typeof obj.content === 'string'
+    ? Buffer.from(obj.content)
+    : obj.content
+  const iv = crypto.randomBytes(16)
+  const cipher = crypto.createCipheriv('aes-256-ctr', customerKey.key, iv)
+  obj.content = Buffer.concat([iv, cipher.update(content), cipher.final()])
+  obj.customerKeyMD5 = customerKey.md5
+}
+
+/**
+ * Returns the plain content of an object.
+ *
+ * @param {import('http').IncomingHttpHeaders} headers
+ * @param {S3Object} obj
+ * @param {string} prefix
+ * @returns {Buffer}
+ */
+function readObjectContent (headers, obj, prefix) {
+  const customerKey = checkCustomerKey(headers, obj, prefix)
+  const content = typeof obj.content === 'string'
+    ? Buffer.from(obj.content)
+    : obj.content
+  if (!customerKey) return content
+
+  const decipher = crypto.createDecipheriv(
+    'aes-256-ctr', customerKey.key, content.slice(0, 16)
+  )
+  return Buffer.concat([
+    decipher.update(content.slice(16)), decipher.final()
+  ])
+}
+
+/**
+ * SSE-C objects can only be accessed with the key they were written
+ * with, that key is returned.
+ *
+ * @param {import('http').IncomingHttpHeaders} headers
+ * @param {S3Object} obj
+ * @param {string} prefix
+ * @returns {CustomerKey | null}
+ */
+function checkCustomerKey (headers, obj, prefix) {
+  const customerKey = parseCustomerKey(headers, prefix)
+  if (obj.customerKeyMD5 === null) {
+    if (customerKey) {
+      throw new S3ResponseError(
+        'InvalidRequest',
+        'The encryption parameters are not applicable to this object.',
+        400
+      )
+    }
+    return null
+  }
+
+  if (!customerKey) {
+    throw new S3ResponseError(
+      'InvalidRequest',
+      'The object was stored using a form of Server Side Encryption. ' +
+        'The correct parameters must be provided to retrieve the object.',
+      400
+    )
+  }
+  if (customerKey.md5 !== obj.customerKeyMD5) throw accessDeniedError()
+  return customerKey
+}
+
+/**
+ * Parts of an SSE-C multipart upload must be sent with the key the
+ * upload was created with.
+ *
+ * @param {import('http').IncomingHttpHeaders} headers
+ * @param {MultipartUpload} upload
+ * @returns {void}
+ */
+function checkUploadCustomerKey (headers, upload) {
+  const customerKey = parseCustomerKey(headers, 'x-amz-')
+  if (!upload.customerKey) {
+    if (customerKey) {
+      throw new S3ResponseError(
+        'InvalidRequest',
+        'The multipart upload initiate did not request encryption. ' +
+          'Subsequent part requests must not include encryption ' +
+          'parameters.',
+        400
+      )
+    }
+    return
+  }
+
+  if (!customerKey) {
+    throw new S3ResponseError(
+      'InvalidRequest',
+      'The multipart upload initiate requested encryption. ' +
+        'Subsequent part requests must include the appropriate ' +
+        'encryption parameters.',
+      400
+    )
+  }
+  if (!customerKey.key.equals(upload.customerKey.key)) {
+    throw new S3ResponseError(
+      'InvalidRequest',
+      'The provided encryption parameters did not match the ones used ' +
+        'originally.',
+      400
+    )
+  }
+}
+
+/**
+ * @param {S3Object | MultipartUpload} target
+ * @returns {Record<string, string>}
+ */
+function encryptionHeaders (target) {
+  /** @type {Record<string, string>} */
+  const headers = {}
+  const encryption = target.encryption
+  if (encryption) {
+    headers['x-amz-server-side-encryption'] = encryption.algorithm
+    if (encryption.algorithm !== 'AES256') {
+      headers['x-amz-server-side-encryption-aws-kms-key-id'] =
+        encryption.kmsKeyId || DEFAULT_KMS_KEY_ID
+    }
+    if (encryption.context !== null) {
+      headers['x-amz-server-side-encryption-context'] = encryption.context
+    }
+    if (encryption.bucketKeyEnabled) {
+      headers['x-amz-server-side-encryption-bucket-key-enabled'] = 'true'
+    }
+  }
+
+  /** @type {string | null} */
+  let customerKeyMD5 = null
+  if (target.type === 's3-multipart-upload') {
+    customerKeyMD5 = target.customerKey ? target.customerKey.md5 : null
+  } else {
+    customerKeyMD5 = target.customerKeyMD5
+  }
+  if (customerKeyMD5 !== null) {
+    headers['x-amz-server-side-encryption-customer-algorithm'] = 'AES256'
+    headers['x-amz-server-side-encryption-customer-key-MD5'] =
+      customerKeyMD5
+  }
+  return headers
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {ServerSideEncryption}
+ */
+function parseBucketEncryptionBody (buf) {
+  const body = parseXMLBody(buf)
+  const rules = xmlChildren(body, 'Rule')
+  if (body.name !== 'ServerSideEncryptionConfiguration' || rules.length !== 1) {
+    throw malformedXMLError()
+  }
+  const defaults = xmlChildren(rules[0], 'ApplyServerSideEncryptionByDefault')
+  const algorithm = defaults.length === 1
+    ? xmlText(defaults[0], 'SSEAlgorithm')
+    : null
+  if (algorithm === null) throw malformedXMLError()
+
+  if (!SSE_ALGORITHMS.includes(algorithm)) {
+    throw malformedXMLError()
+  }
+  const kmsKeyId = xmlText(defaults[0], 'KMSMasterKeyID')
+  const isKMS = algorithm !== 'AES256'
+  if (!isKMS && kmsKeyId !== null) {
+    throw new S3ResponseError(
+      'InvalidArgument',
+      'a KMSMasterKeyID is not applicable if the default sse algorithm ' +
+        'is not aws:kms or aws:kms:dsse',
+      400
+    )
+  }
+
+  return {
+    algorithm,
+    kmsKeyId,
+    context: null,
+    bucketKeyEnabled: isKMS && xmlText(rules[0], 'BucketKeyEnabled') === 'true'
+  }
+}
+
+/**
+ * @param {ServerSideEncryption} encryption
+ * @returns {string}
+ */
+function buildBucketEncryptionXML (encryption) {
+  const kmsKeyXML = encryption.kmsKeyId !== null
+    ? `<KMSMasterKeyID>${escapeXML(encryption.kmsKeyId)}</KMSMasterKeyID>`
+    : ''
+  const bucketKeyEnabled = String(encryption.bucketKeyEnabled)
+
+  return `<ServerSideEncryptionConfiguration>
+    <Rule>
+      <ApplyServerSideEncryptionByDefault>
+        <SSEAlgorithm>${encryption.algorithm}</SSEAlgorithm>
+        ${kmsKeyXML}
+      </ApplyServerSideEncryptionByDefault>
+      <BucketKeyEnabled>${bucketKeyEnabled}</BucketKeyEnabled>
+    </Rule>
+  </ServerSideEncryptionConfiguration>`
+}
+
+/**
+ * Parses the URL encoded `x-amz-tagging` header of an upload.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {Record<string, string>}
+ */
+function parseTaggingHeader (req) {
+  const header = getHeader(req, 'x-amz-tagging') || ''
+  return validateTags(
+    [...new url.URLSearchParams(header).entries()], MAX_OBJECT_TAGS
+  )
+}
+
+/**
+ * Splits the `multipart/form-data` body of a POST form upload into
+ * its fields, lower cased, and the `file`. Like S3 the fields after
+ * the file are ignored.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {Buffer} buf
+ * @returns {PostForm}
+ */
+function parseFormData (req, buf) {
+  const contentType = getHeader(req, 'content-type') || ''
+  const match = contentType.match(
+    /^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;\s]+))/i
+  )
+  if (!match) {
+    throw new S3ResponseError(
+      'PreconditionFailed',
+      'Bucket POST must be of the enclosure-type multipart/form-data.',
+      412
+    )
+  }
+  const boundary = match[1] || match[2]
+  const delimiter = `\r\n--${boundary}`
+
+  /** @type {Record<string, string | undefined>} */
+  const fields = {}
+  let offset = buf.indexOf(`--${boundary}`)
+  if (offset === -1) throw malformedPostError()
+  offset += boundary.length + 2
+
+  while (buf.toString('utf8', offset, offset + 2) !== '--') {
+    const start = offset + 2
+    const headerEnd = buf.indexOf('\r\n\r\n', start)
+    const end = buf.indexOf(delimiter, start)
+    if (headerEnd === -1 || end === -1 || headerEnd > end) {
+      throw malformedPostError()
+    }
+
+    const disposition = buf.toString('utf8', start, headerEnd)
+      .split('\r\n')
+      .find((line) => /^content-disposition:/i.test(line)) || ''
+    const name = disposition.match(/;\s*name="([^"]*)"/i)
+    if (!name) throw malformedPostError()
+
+    const content = buf.slice(headerEnd + 4, end)
+    const fieldName = name[1].toLowerCase()
+    if (fieldName === 'file') {
+      const filename = disposition.match(/;\s*filename="([^"]*)"/i)
+      return {
+        fields,
+        file: {
+          filename: filename ? filename[1].split(/[\\/]/).pop() || '' : '',
+          content
+        }
+      }
+    }
+
+    fields[fieldName] = content.toString('utf8')
+    offset = end + delimiter.length
+  }
+
+  return { fields, file: null }
+}
+
+/**
+ * Validates the policy document of a POST form upload and returns
+ * the access key that signed it, `null` for an anonymous upload.
+ *
+ * @param {Record<string, string | undefined>} fields
+ * @param {string} bucket
+ * @param {number} size
+ * @returns {string | null}
+ */
+function checkPostPolicy (fields, bucket, size) {
+  const credential = fields['x-amz-credential']
+  const accessKeyId = credential !== undefined
+    ? credential.split('/')[0]
+    : fields.awsaccesskeyid
+  if (fields.policy === undefined) {
+    if (accessKeyId !== undefined) throw missingPostFieldError('Policy')
+    return null
+  }
+  if (accessKeyId === undefined) {
+    throw missingPostFieldError('AWSAccessKeyId')
+  }
+
+  const signatureFields = credential !== undefined
+    ? ['X-Amz-Algorithm', 'X-Amz-Date', 'X-Amz-Signature']
+    : ['Signature']
+  for (const name of signatureFields) {
+    if (fields[name.toLowerCase()] === undefined) {
+      throw missingPostFieldError(name)
+    }
+  }
+
+  /** @type {unknown} */
+  let doc = null
+  try {
+    const json = Buffer.from(fields.policy, 'base64').toString('utf8')
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    doc = /** @type {unknown} */ (JSON.parse(json))
+  } catch (_err) {
+    doc = null
+  }
+  if (typeof doc !== 'object' || doc === null || Array.isArray(doc)) {
+    throw invalidPolicyDocumentError('Invalid Policy: Invalid JSON.')
+  }
+  const policy = /** @type {Record<string, unknown>} */ (doc)
+
+  const expiration = policy.expiration
+  if (expiration === undefined) {
+    throw invalidPolicyDocumentError(
+      'Invalid Policy: Policy missing expiration.'
+    )
+  }
+  const expires = typeof expiration === 'string' ? Date.parse(expiration) : NaN
+  if (isNaN(expires)) {
+    throw invalidPolicyDocumentError(
+      `Invalid Policy: Invalid 'expiration' value: '${String(expiration)}'`
+    )
+  }
+  if (expires < Date.now()) {
+    throw new S3ResponseError(
+      'AccessDenied', 'Invalid according to Policy: Policy expired.', 403
+    )
+  }
+
+  const conditions = policy.conditions
+  if (!Array.isArray(conditions)) {
+    throw invalidPolicyDocumentError(
+      'Invalid Policy: Policy missing conditions.'
+    )
+  }
+
+  /** @type {Set<string>} */
+  const covered = new Set()
+  for (const condition of /** @type {unknown[]} */ (conditions)) {
+    const parts = /** @type {unknown[] | null} */ (
+      Array.isArray(condition) ? condition : null
+    )
+    if (parts) {
+      const [operation, name, value] = parts
+      if (operation === 'content-length-range') {
+        checkContentLengthRange(Number(name), Number(value), size)
+        continue
+      }
+
+      if (
+        (operation !== 'eq' && operation !== 'starts-with') ||
+        typeof name !== 'string' ||
+        !name.startsWith('$') ||
+        typeof value !== 'string'
+      ) {
+        throw invalidPolicyDocumentError(
+          `Invalid Policy: Invalid Simple-Condition: ${JSON.stringify(parts)}`
+        )
+      }
+      const fieldName = name.slice(1).toLowerCase()
+      checkPostCondition(fields, bucket, operation, fieldName, value)
+      covered.add(fieldName)
+      continue
+    }
+
+    if (typeof condition !== 'object' || condition === null) {
+      throw invalidPolicyDocumentError(
+        `Invalid Policy: Invalid Simple-Condition: ${JSON.stringify(condition)}`
+      )
+    }
+    const exact = /** @type {Record<string, unknown>} */ (condition)
+    for (const name of Object.keys(exact)) {
+      const value = exact[name]
+      if (typeof value !== 'string') {
+        throw invalidPolicyDocumentError(
+          `Invalid Policy: Invalid Simple-Condition: ${JSON.stringify(exact)}`
+        )
+      }
+      checkPostCondition(fields, bucket, 'eq', name.toLowerCase(), value)
+      covered.add(name.toLowerCase())
+    }
+  }
+
+  const extra = Object.keys(fields).filter((name) => {
+    return !covered.has(name) &&
+      !POST_UNSIGNED_FIELDS.includes(name) &&
+      !name.startsWith('x-ignore-')
+  })
+  if (extra.length > 0) {
+    throw new S3ResponseError(
+      'AccessDenied',
+      `Invalid according to Policy: Extra input fields: ${extra.join(', ')}`,
+      403
+    )
+  }
+  return accessKeyId
+}
+
+/**
+ * The `bucket` condition is checked against the bucket of the URL.
+ *
+ * @param {Record<string, string | undefined>} fields
+ * @param {string} bucket
+ * @param {'eq' | 'starts-with'} operation
+ * @param {string} name
+ * @param {string} expected
+ * @returns {void}
+ */
+function checkPostCondition (fields, bucket, operation, name, expected) {
+  const value = name === 'bucket' ? bucket : fields[name]
+  const matched = value !== undefined && (
+    operation === 'eq' ? value === expected : value.startsWith(expected)
+  )
+  if (!matched) {
+    const condition = [operation, `$${name}`, expected].map((v) => {
+      return JSON.stringify(v)
+    }).join(', ')
+    throw new S3ResponseError(
+      'AccessDenied',
+      `Invalid according to Policy: Policy Condition failed: [${condition}]`,
+      403
+    )
+  }
+}
+
+/**
+ * @param {number} min
+ * @param {number} max
+ * @param {number} size
+ * @returns {void}
+ */
+function checkContentLengthRange (min, max, size) {
+  if (!Number.isInteger(min) || !Number.isInteger(max)) {
+    throw invalidPolicyDocumentError(
+      'Invalid Policy: Invalid content-length-range condition.'
+    )
+  }
+  if (size > max) {
+    throw new S3ResponseError(
+      'EntityTooLarge',
+      'Your proposed upload exceeds the maximum allowed size',
+      400
+    )
+  }
+  if (size < min) {
+    throw new S3ResponseError(
+      'EntityTooSmall',
+      'Your proposed upload is smaller than the minimum allowed size',
+      400
+    )
+  }
+}
+
+/**
+ * Only absolute `http:` & `https:` URLs are redirected to.
+ *
+ * @param {string | undefined} value
+ * @returns {url.URL | null}
+ */
+function parseRedirectURL (value) {
+  if (value === undefined) return null
+
+  try {
+    const redirect = new url.URL(value)
+    const isHTTP = redirect.protocol === 'http:' ||
+      redirect.protocol === 'https:'
+    return isHTTP ? redirect : null
+  } catch (_err) {
+    return null
+  }
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {[string, string][]}
+ */
+function parseTaggingBody (buf) {
+  const body = parseXMLBody(buf)
+  const tagSets = xmlChildren(body, 'TagSet')
+  if (body.name !== 'Tagging' || tagSets.length !== 1) {
+    throw malformedXMLError()
+  }
+
+  return xmlChildren(tagSets[0], 'Tag').map((tag) => {
+    const key = xmlText(tag, 'Key')
+    const value = xmlText(tag, 'Value')
+    if (key === null || value === null) {
+      throw malformedXMLError()
+    }
+    return [key, value]
+  })
+}
+
+/**
+ * Applies the S3 limits on the number of tags and the length
+ * of the tag keys & values.
+ *
+ * @param {[string, string][]} pairs
+ * @param {number} maxTags
+ * @returns {Record<string, string>}
+ */
+function validateTags (pairs, maxTags) {
+  if (pairs.length > maxTags) {
+    throw new S3ResponseError(
+      'BadRequest',
+      maxTags === MAX_OBJECT_TAGS
+        ? `Object tags cannot be greater than ${maxTags}`
+        : `Bucket tag count cannot be greater than ${maxTags}`,
+      400
+    )
+  }
+
+  /** @type {Record<string, string>} */
+  const tags = {}
+  /** @type {Set<string>} */
+  const seen = new Set()
+  for (const [key, value] of pairs) {
+    if (key === '') {
+      throw new S3ResponseError(
+        'InvalidTag', 'The TagKey you have provided is invalid', 400
+      )
+    }
+    if (key.length > MAX_TAG_KEY_LENGTH) {
+      throw new S3ResponseError(
+        'InvalidTag',
+        'The TagKey you have provided is too long, max ' +
+          String(MAX_TAG_KEY_LENGTH),
+        400
+      )
+    }
+    if (value.length > MAX_TAG_VALUE_LENGTH) {
+      throw new S3ResponseError(
+        'InvalidTag',
+        'The TagValue you have provided is too long, max ' +
+          String(MAX_TAG_VALUE_LENGTH),
+        400
+      )
+    }
+    if (seen.has(key)) {
+      throw new S3ResponseError(
+        'InvalidTag', 'Cannot provide multiple Tags with the same key', 400
+      )
+    }
+    seen.add(key)
+    tags[key] = value
+  }
+  return tags
+}
+
+/**
+ * @param {Record<string, string>} tags
+ * @returns {string}
+ */
+function buildTaggingXML (tags) {
+  let tagsXML = ''
+  for (const [key, value] of Object.entries(tags)) {
+    tagsXML += `<Tag>
+      <Key>${escapeXML(key)}</Key>
+      <Value>${escapeXML(value)}</Value>
+    </Tag>`
+  }
+
+  return `<Tagging>
+    <TagSet>
+      ${tagsXML}
+    </TagSet>
+  </Tagging>`
+}
+
+/**
+ * Parses a non-negative integer query parameter like `max-parts`,
+ * larger values are capped at `max` like S3 does.
+ *
+ * @param {import('querystring').ParsedUrlQuery} query
+ * @param {string} name
+ * @param {number} defaultValue
+ * @param {number} max
+ * @returns {number}
+ */
+function parseIntegerParam (query, name, defaultValue, max) {
+  const value = getQueryParam(query, name)
+  if (value === null) return defaultValue
+
+  if (!/^\d+$/.test(value)) {
+    throw new S3ResponseError(
+      'InvalidArgument',
+      `Argument ${name} must be an integer between 0 and 2147483647`,
+      400,
+      value
+    )
+  }
+  return Math.min(parseInt(value, 10), max)
+}
+
+/**
+ * @param {import('querystring').ParsedUrlQuery} query
+ * @returns {number}
+ */
+function parsePartNumber (query) {
+  const value = getQueryParam(query, 'partNumber') || ''
+  const partNumber = parseInt(value, 10)
+  if (
+    !/^\d+$/.test(value) ||
+    partNumber < 1 ||
+    partNumber > MAX_PART_NUMBER
+  ) {
+    throw new S3ResponseError(
+      'InvalidArgument',
+      `Part number must be an integer between 1 and ${MAX_PART_NUMBER}, ` +
+        'inclusive',
+      400,
+      value
+    )
+  }
+  return partNumber
+}
+
+/**
+ * Evaluates the conditional request headers against an object
+ * following the precedence rules of RFC 7232, which S3 implements.
+ *
+ * @param {Preconditions} conditions
+ * @param {S3Object} obj
+ * @returns {'pass' | 'not-modified' | 'failed'}
+ */
+function checkPreconditions (conditions, obj) {
+  const etag = formatETag(obj.md5)
+  const lastModified = Math.floor(
+    new Date(obj.lastModified).getTime() / 1000
+  )
+
+  if (conditions.ifMatch !== null) {
+    if (!matchesETag(conditions.ifMatch, etag)) return 'failed'
+  } else if (conditions.ifUnmodifiedSince !== null) {
+    const since = parseHTTPDate(conditions.ifUnmodifiedSince)
+    if (since !== null && lastModified > since) return 'failed'
+  }
+
+  if (conditions.ifNoneMatch !== null) {
+    if (matchesETag(conditions.ifNoneMatch, etag)) return 'not-modified'
+  } else if (conditions.ifModifiedSince !== null) {
+    const since = parseHTTPDate(conditions.ifModifiedSince)
+    if (since !== null && lastModified <= since) return 'not-modified'
+  }
+
+  return 'pass'
+}
+
+/**
+ * Evaluates `If-Match` & `If-None-Match` on writes against the
+ * current object. Like S3 only `If-None-Match: *` is supported and
+ * the date based conditions are ignored.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {S3Object | null} current
+ * @param {string} key
+ * @returns {void}
+ */
+function checkWriteConditions (req, current, key) {
+  const ifMatch = getHeader(req, 'if-match')
+  const ifNoneMatch = getHeader(req, 'if-none-match')
+
+  if (ifNoneMatch !== null && ifNoneMatch.trim() !== '*') {
+    throw new S3ResponseError(
+      'NotImplemented',
+      'A header you provided implies functionality that is not ' +
+        'implemented',
+      501,
+      key
+    )
+  }
+
+  if (!current) {
+    if (ifMatch !== null) {
+      throw new S3ResponseError(
+        'NoSuchKey', 'The specified key does not exist.', 404, key
+      )
+    }
+    return
+  }
+
+  const result = checkPreconditions({
+    ifMatch,
+    ifNoneMatch,
+    ifModifiedSince: null,
+    ifUnmodifiedSince: null
+  }, current)
+  if (result !== 'pass') {
+    throw preconditionFailedError(key)
+  }
+}
+
+/**
+ * @param {string} resource
+ * @returns {S3ResponseError}
+ */
+function preconditionFailedError (resource) {
+  return new S3ResponseError(
+    'PreconditionFailed',
+    'At least one of the pre-conditions you specified did not hold',
+    412,
+    resource
+  )
+}
+
+/**
+ * @param {string} header
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function matchesETag (header, etag) {
+  return header.split(',').some((value) => {
+    const candidate = value.trim()
+    return candidate === '*' || formatETag(candidate) === etag
+  })
+}
+
+/**
+ * @param {string} value
+ * @returns {number | null} seconds since the epoch
+ */
+function parseHTTPDate (value) {
+  const time = new Date(value).getTime()
+  if (Number.isNaN(time)) return null
+  return Math.floor(time / 1000)
+}
+
+/**
+ * S3 returns the ETag quoted, objects populated from a cache
+ * of `listObjectsV2()` may already contain the quotes.
+ *
+ * @param {string} md5
+ * @returns {string}
+ */
+function formatETag (md5) {
+  return `"${md5.replace(/"/g, '')}"`
+}
+
+/**
+ * Parses a `Range: bytes=start-end` header. Like S3 a malformed
+ * header or multiple ranges are ignored and the whole object
+ * is returned.
+ *
+ * @param {string} header
+ * @param {number} size
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null}
+ */
+function parseRange (header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim())
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null
+  }
+
+  if (match[1] === '') {
+    const suffix = parseInt(match[2], 10)
+    if (suffix === 0 || size === 0) return 'unsatisfiable'
+    return { start: Math.max(size - suffix, 0), end: size - 1 }
+  }
+
+  const start = parseInt(match[1], 10)
+  const end = match[2] === '' ? size - 1 : parseInt(match[2], 10)
+  if (match[2] !== '' && end < start) return null
+  if (start >= size) return 'unsatisfiable'
+
+  return { start, end: Math.min(end, size - 1) }
+}
+
+/**
+ * Implements the S3 bucket naming rules.
+ *
+ * @see https://docs.aws.amazon.com/AmazonS3/latest/userguide/bucketnamingrules.html
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isValidBucketName (name) {
+  if (name.length < 3 || name.length > 63) return false
+  if (!/^[a-z0-9][a-z0-9.-]*[a-z0-9]$/.test(name)) return false
+  if (name.includes('..')) return false
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(name)) return false
+  if (name.startsWith('xn--') || name.startsWith('sthree-')) return false
+  if (name.endsWith('-s3alias') || name.endsWith('--ol-s3')) return false
+  return true
+}
+
+/**
+ * A minimal XML parser for the request bodies that the aws-sdk
+ * sends. It ignores attributes, processing instructions and
+ * comments and does not support CDATA.
+ *
+ * @param {string} xml
+ * @returns {XMLNode}
+ */
+function parseXML (xml) {
+  const tokenRegex =
+    /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<(\/?)([\w:.-]+)[^>]*?(\/?)>|[^<]+/y
+
+  /** @type {XMLNode} */
+  const root = { name: '', text: '', children: [] }
+  /** @type {XMLNode[]} */
+  const stack = [root]
+
+  while (tokenRegex.lastIndex < xml.length) {
+    const match = tokenRegex.exec(xml)
+    if (!match) {
+      throw new Error('invalid xml')
+    }
+
+    const current = stack[stack.length - 1]
+    const [token, closing, name, selfClosing] = match
+    if (token[0] !== '<') {
+      current.text += unescapeXML(token)
+    } else if (!name) {
+      continue
+    } else if (closing) {
+      if (current.name !== name) {
+        throw new Error(`invalid xml, unexpected </${name}>`)
+      }
+      stack.pop()
+    } else {
+      /** @type {XMLNode} */
+      const node = { name, text: '', children: [] }
+      current.children.push(node)
+      if (!selfClosing) stack.push(node)
+    }
+  }
+
+  if (stack.length !== 1 || root.children.length !== 1) {
+    throw new Error('invalid xml, expected one root element')
+  }
+  return root.children[0]
+}
+
+/**
+ * @returns {S3ResponseError}
+ */
+function accessDeniedError () {
+  return new S3ResponseError('AccessDenied', 'Access Denied', 403)
+}
+
+/**
+ * @param {string} name
+ * @returns {S3ResponseError}
+ */
+function missingPostFieldError (name) {
+  return new S3ResponseError(
+    'InvalidArgument',
+    `Bucket POST must contain a field named '${name}'.  If it is ` +
+      'specified, please check the order of the fields.',
+    400
+  )
+}
+
+/**
+ * @returns {S3ResponseError}
+ */
+function kmsHeaderError () {
+  return new S3ResponseError(
+    'InvalidArgument',
+    'Server Side Encryption with AWS KMS managed key requires HTTP ' +
+      'header x-amz-server-side-encryption : aws:kms',
+    400
+  )
+}
+
+/**
+ * @param {string} requirement
+ * @returns {S3ResponseError}
+ */
+function customerKeyError (requirement) {
+  return new S3ResponseError(
+    'InvalidArgument',
+    'Requests specifying Server Side Encryption with Customer ' +
+      `provided keys ${requirement}`,
+    400
+  )
+}
+
+/**
+ * @returns {S3ResponseError}
+ */
+function incompleteBodyError () {
+  return new S3ResponseError(
+    'IncompleteBody', 'The request body terminated unexpectedly', 400
+  )
+}
+
+/**
+ * @returns {S3ResponseError}
+ */
+function malformedTrailerError () {
+  return new S3ResponseError(
+    'MalformedTrailerError',
+    'The request contained trailing data that was not well-formed or ' +
+      'did not conform to our published schema.',
+    400
+  )
+}
+
+/**
+ * @returns {S3ResponseError}
+ */
+function malformedPostError () {
+  return new S3ResponseError(
+    'MalformedPOSTRequest',
+    'The body of your POST request is not well-formed ' +
+      'multipart/form-data.',
+    400
+  )
+}
+
+/**
+ * @param {string} message
+ * @returns {S3ResponseError}
+ */
+function invalidPolicyDocumentError (message) {
+  return new S3ResponseError('InvalidPolicyDocument', message, 400)
+}
+
+/**
+ * @param {string} message
+ * @returns {S3ResponseError}
+ */
+function malformedPolicyError (message) {
+  return new S3ResponseError('MalformedPolicy', message, 400)
+}
+
+/**
+ * @returns {S3ResponseError}
+ */
+function malformedXMLError () {
+  return new S3ResponseError(
+    'MalformedXML',
+    'The XML you provided was not well-formed or did not ' +
+      'validate against our published schema',
+    400
+  )
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {XMLNode}
+ */
+function parseXMLBody (buf) {
+  try {
+    return parseXML(buf.toString('utf8'))
+  } catch (err) {
+    throw malformedXMLError()
+  }
+}
+
+/**
+ * @param {XMLNode} node
+ * @param {string} name
+ * @returns {XMLNode[]}
+ */
+function xmlChildren (node, name) {
+  return node.children.filter((c) => c.name === name)
+}
+
+/**
+ * @param {XMLNode} node
+ * @param {string} name
+ * @returns {string | null}
+ */
+function xmlText (node, name) {
+  const child = node.children.find((c) => c.name === name)
+  return child ? child.text : null
+}
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function unescapeXML (str) {
+  return str.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|quot|apos|amp);/g, (
+    /** @type {string} */ _,
+    /** @type {string} */ entity
+  ) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10)
+      return String.fromCodePoint(code)
+    }
+    return XML_ENTITIES[entity]
+  })
 }
 
 /** @returns {string} */
@@ -5,7 +5,10 @@ const AWS = require('aws-sdk')
 
 const FakeS3 = require('../index.js')
 
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024
+
 async function main () {
+  const args = parseArgs(process.argv.slice(2))
   const fakeS3 = new FakeS3({
     prefix: '',
     buckets: []
@@ -15,7 +18,7 @@ async function main () {
   const cachePath = path.join(__dirname, '..', 'fixtures')
   await fakeS3.populateFromCache(cachePath)
 
-  if (process.argv[2] !== 'download') {
+  if (args.command !== 'download') {
     const profiles = fakeS3._profiles
     const allBuckets = []
     for (const p of profiles.values()) {
@@ -92,7 +95,52 @@ async function main () {
         Contents: allObjects
       }
     )
+
+    if (!args.bodies) continue
+
+    // Cache bodies
+    for (const obj of allObjects) {
+      if (!obj.Key.startsWith(args.prefix)) continue
+      if (obj.Size > args.maxSize) continue
+
+      console.log('fetching body', bucketName, obj.Key, obj.Size)
+      const resp = await s3.getObject({
+        Bucket: bucketName,
+        Key: obj.Key
+      }).promise()
+
+      await fakeS3.cacheObjectBodyToDisk(
+        cachePath,
+        accessKeyId,
+        bucketName,
+        obj.Key,
+        resp.Body
+      )
+    }
+  }
+}
+
+function parseArgs (argv) {
+  const args = {
+    command: argv[0],
+    bodies: false,
+    prefix: '',
+    maxSize: DEFAULT_MAX_BODY_SIZE
   }
+
+  for (const arg of argv.slice(1)) {
+    if (arg === '--bodies') {
+      args.bodies = true
+    } else if (arg.startsWith('--prefix=')) {
+      args.prefix = arg.slice('--prefix='.length)
+    } else if (arg.startsWith('--max-size=')) {
+      args.maxSize = parseInt(arg.slice('--max-size='.length), 10)
+    } else {
+      throw new Error('unknown argument: ' + arg)
+    }
+  }
+
+  return args
 }
 
 main().then(null, (err) => {
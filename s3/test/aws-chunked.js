@@ -0,0 +1,182 @@
+// @ts-check
+'use strict'
+
+const { test } = require('./test-harness.js')
+
+const SIGNATURE = '0'.repeat(64)
+const CRC32 = Buffer.from('cbf43926', 'hex').toString('base64')
+
+test('putObject with a signed aws-chunked body', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const put = await harness.signedRawRequest('PUT', '/my-bucket/a', {
+    'x-amz-content-sha256': 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD',
+    'x-amz-decoded-content-length': '9',
+    'Content-Encoding': 'aws-chunked,gzip'
+  }, awsChunked(['12345', '6789'], true, ''))
+  t.equal(put.statusCode, 200)
+  t.equal(put.headers.etag, '"25f9e794323b453885f5181f1b624d0b"')
+
+  const obj = await s3.getObject({ Bucket: 'my-bucket', Key: 'a' }).promise()
+  t.equal(String(obj.Body), '123456789')
+  t.equal(obj.ContentLength, 9)
+  t.equal(obj.ContentEncoding, 'gzip')
+
+  const plain = await harness.signedRawRequest('PUT', '/my-bucket/b', {
+    'x-amz-content-sha256': 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD',
+    'x-amz-decoded-content-length': '9',
+    'Content-Encoding': 'aws-chunked'
+  }, awsChunked(['123456789'], true, ''))
+  t.equal(plain.statusCode, 200)
+
+  const head = await s3.headObject({ Bucket: 'my-bucket', Key: 'b' }).promise()
+  t.equal(head.ContentEncoding, undefined)
+
+  t.end()
+})
+
+test('putObject with a trailing checksum', {
+}, async (harness, t) => {
+  const headers = {
+    'x-amz-content-sha256': 'STREAMING-UNSIGNED-PAYLOAD-TRAILER',
+    'x-amz-decoded-content-length': '9',
+    'x-amz-trailer': 'x-amz-checksum-crc32',
+    'Content-Encoding': 'aws-chunked'
+  }
+
+  const put = await harness.signedRawRequest('PUT', '/my-bucket/a', headers,
+    awsChunked(['1234', '56789'], false, `x-amz-checksum-crc32:${CRC32}`)
+  )
+  t.equal(put.statusCode, 200)
+  t.equal(put.headers['x-amz-checksum-crc32'], CRC32)
+
+  const get = await harness.signedRawRequest('GET', '/my-bucket/a', {
+    'x-amz-checksum-mode': 'ENABLED'
+  })
+  t.equal(get.body, '123456789')
+  t.equal(get.headers['x-amz-checksum-crc32'], CRC32)
+
+  const signed = await harness.signedRawRequest('PUT', '/my-bucket/b', {
+    ...headers,
+    'x-amz-content-sha256': 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD-TRAILER'
+  }, awsChunked(['123456789'], true,
+    `x-amz-checksum-crc32:${CRC32}\r\n` +
+    `x-amz-trailer-signature:${SIGNATURE}`
+  ))
+  t.equal(signed.statusCode, 200)
+  t.equal(signed.headers['x-amz-checksum-crc32'], CRC32)
+
+  const mismatch = await harness.signedRawRequest(
+    'PUT', '/my-bucket/c', headers,
+    awsChunked(['other', 'body'], false, `x-amz-checksum-crc32:${CRC32}`)
+  )
+  t.equal(mismatch.statusCode, 400)
+  t.ok(mismatch.body.includes('<Code>BadDigest</Code>'))
+
+  const missing = await harness.signedRawRequest(
+    'PUT', '/my-bucket/c', headers, awsChunked(['123456789'], false, '')
+  )
+  t.equal(missing.statusCode, 400)
+  t.ok(missing.body.includes('<Code>MalformedTrailerError</Code>'))
+
+  const acl = await harness.signedRawRequest('PUT', '/my-bucket/c', {
+    ...headers, 'x-amz-trailer': 'x-amz-acl'
+  }, awsChunked(['123456789'], false, 'x-amz-acl:public-read-write'))
+  t.equal(acl.statusCode, 400)
+  t.ok(acl.body.includes('<Code>MalformedTrailerError</Code>'))
+
+  const list = await harness.getS3().listObjectsV2({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.equal(list.KeyCount, 2)
+
+  t.end()
+})
+
+test('putObject rejects malformed aws-chunked bodies', {
+}, async (harness, t) => {
+  const headers = {
+    'x-amz-content-sha256': 'STREAMING-UNSIGNED-PAYLOAD-TRAILER',
+    'x-amz-decoded-content-length': '9',
+    'Content-Encoding': 'aws-chunked'
+  }
+
+  const short = await harness.signedRawRequest('PUT', '/my-bucket/a', {
+    ...headers, 'x-amz-decoded-content-length': '10'
+  }, awsChunked(['123456789'], false, ''))
+  t.equal(short.statusCode, 400)
+  t.ok(short.body.includes('<Code>IncompleteBody</Code>'))
+
+  const truncated = await harness.signedRawRequest(
+    'PUT', '/my-bucket/a', headers, '9\r\n1234'
+  )
+  t.equal(truncated.statusCode, 400)
+  t.ok(truncated.body.includes('<Code>IncompleteBody</Code>'))
+
+  const noLength = await harness.signedRawRequest('PUT', '/my-bucket/a', {
+    'x-amz-content-sha256': 'STREAMING-UNSIGNED-PAYLOAD-TRAILER'
+  }, awsChunked(['123456789'], false, ''))
+  t.equal(noLength.statusCode, 411)
+  t.ok(noLength.body.includes('<Code>MissingContentLength</Code>'))
+
+  t.end()
+})
+
+test('uploadPart with an aws-chunked body', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const upload = await s3.createMultipartUpload({
+    Bucket: 'my-bucket', Key: 'multi'
+  }).promise()
+  const uploadId = upload.UploadId || ''
+
+  const part = await harness.signedRawRequest('PUT',
+    `/my-bucket/multi?partNumber=1&uploadId=${uploadId}`, {
+      'x-amz-content-sha256': 'STREAMING-UNSIGNED-PAYLOAD-TRAILER',
+      'x-amz-decoded-content-length': '9',
+      'x-amz-trailer': 'x-amz-checksum-crc32',
+      'Content-Encoding': 'aws-chunked'
+    }, awsChunked(['123456789'], false, `x-amz-checksum-crc32:${CRC32}`)
+  )
+  t.equal(part.statusCode, 200)
+  t.equal(part.headers['x-amz-checksum-crc32'], CRC32)
+
+  await s3.completeMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'multi',
+    UploadId: uploadId,
+    MultipartUpload: {
+      Parts: [{ PartNumber: 1, ETag: String(part.headers.etag) }]
+    }
+  }).promise()
+
+  const obj = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'multi'
+  }).promise()
+  t.equal(String(obj.Body), '123456789')
+
+  t.end()
+})
+
+/**
+ * Encodes the chunks like the SDK v3 streaming uploads, followed by
+ * the final empty chunk & the trailer lines.
+ *
+ * @param {string[]} chunks
+ * @param {boolean} signed
+ * @param {string} trailer
+ * @returns {string}
+ */
+function awsChunked (chunks, signed, trailer) {
+  const extension = signed ? `;chunk-signature=${SIGNATURE}` : ''
+  const body = chunks.map((chunk) => {
+    const size = Buffer.byteLength(chunk).toString(16)
+    return `${size}${extension}\r\n${chunk}\r\n`
+  })
+  body.push(`0${extension}\r\n`)
+  if (trailer !== '') body.push(`${trailer}\r\n`)
+  body.push('\r\n')
+  return body.join('')
+}
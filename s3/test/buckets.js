@@ -0,0 +1,140 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+test('createBucket shows up in listBuckets', async (harness, t) => {
+  const s3 = harness.getS3()
+  const before = Date.now()
+
+  const resp = await s3.createBucket({
+    Bucket: 'new-bucket',
+    CreateBucketConfiguration: {
+      LocationConstraint: 'eu-west-1'
+    }
+  }).promise()
+  t.equal(resp.Location, '/new-bucket')
+
+  const data = await s3.listBuckets().promise()
+  t.ok(data.Buckets)
+  const buckets = data.Buckets || []
+  t.deepEqual(buckets.map((b) => b.Name), ['my-bucket', 'new-bucket'])
+
+  const created = buckets[1].CreationDate
+  t.ok(created instanceof Date)
+  t.ok(created && created.getTime() >= before)
+
+  const head = await s3.headBucket({ Bucket: 'new-bucket' }).promise()
+  t.ok(head)
+})
+
+test('createBucket without initial buckets', {
+  buckets: []
+}, async (harness, t) => {
+  await harness.createBucket('new-bucket')
+
+  const resp = await harness.uploadFileForBucket(
+    'new-bucket', 'foo/my-file', 'some text'
+  )
+  t.ok(resp.ETag)
+
+  const files = harness.getFiles('new-bucket')
+  t.equal(files.objects.length, 1)
+})
+
+test('createBucket for existing buckets', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  harness.server.populateBuckets('other-account', {
+    Owner: { DisplayName: 'other', ID: '2' },
+    Buckets: [{ Name: 'other-bucket' }]
+  })
+
+  try {
+    await s3.createBucket({ Bucket: 'my-bucket' }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'BucketAlreadyOwnedByYou')
+    t.equal(err.statusCode, 409)
+  }
+
+  try {
+    await s3.createBucket({ Bucket: 'other-bucket' }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'BucketAlreadyExists')
+    t.equal(err.statusCode, 409)
+  }
+})
+
+test('createBucket with invalid names', async (harness, t) => {
+  const s3 = harness.getS3()
+  const invalidNames = [
+    'ab',
+    'a'.repeat(64),
+    'My-Bucket',
+    '-bucket',
+    'bucket-',
+    'my..bucket',
+    '192.168.5.4',
+    'xn--bucket',
+    'bucket-s3alias',
+    'my_bucket'
+  ]
+
+  for (const name of invalidNames) {
+    try {
+      await s3.createBucket({ Bucket: name }).promise()
+      t.ok(false, `not reached: ${name}`)
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {StatusError} */ (maybeErr)
+      t.equal(err.code, 'InvalidBucketName', name)
+      t.equal(err.statusCode, 400)
+    }
+  }
+
+  const resp = await s3.createBucket({ Bucket: 'my.bucket-123' }).promise()
+  t.ok(resp)
+})
+
+test('deleteBucket', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  await harness.createBucket('new-bucket')
+  await harness.uploadFileForBucket('new-bucket', 'foo/my-file', 'text')
+
+  try {
+    await s3.deleteBucket({ Bucket: 'new-bucket' }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'BucketNotEmpty')
+    t.equal(err.statusCode, 409)
+  }
+
+  await s3.deleteObject({ Bucket: 'new-bucket', Key: 'foo/my-file' })
+    .promise()
+  await s3.deleteBucket({ Bucket: 'new-bucket' }).promise()
+
+  const data = await s3.listBuckets().promise()
+  t.deepEqual((data.Buckets || []).map((b) => b.Name), ['my-bucket'])
+
+  try {
+    await s3.deleteBucket({ Bucket: 'new-bucket' }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchBucket')
+  }
+})
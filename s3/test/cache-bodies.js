@@ -0,0 +1,96 @@
+// @ts-check
+'use strict'
+
+const os = require('os')
+const path = require('path')
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+/** @returns {string} */
+function tmpCachePath () {
+  return path.join(
+    os.tmpdir(), `test-fake-s3-cache-${process.pid}-${Date.now()}`
+  )
+}
+
+test('cached bodies are served by getObject', {
+  buckets: ['bucket1']
+}, async (harness, t) => {
+  const cachePath = tmpCachePath()
+
+  await harness.uploadFileForBucket('bucket1', 'foo/a', 'body of a')
+  await harness.uploadFileForBucket('bucket1', 'foo/b', 'body of b')
+
+  const s3 = harness.getS3()
+  const creds = s3.config.credentials
+  const accessKeyId = (creds && creds.accessKeyId) || ''
+
+  const buckets = await s3.listBuckets().promise()
+  await harness.server.cacheBucketsToDisk(cachePath, accessKeyId, buckets)
+  const objects = await s3.listObjectsV2({ Bucket: 'bucket1' }).promise()
+  await harness.server.cacheObjectsToDisk(
+    cachePath, accessKeyId, 'bucket1', objects
+  )
+  await harness.server.cacheObjectBodyToDisk(
+    cachePath, accessKeyId, 'bucket1', 'foo/a', Buffer.from('body of a')
+  )
+
+  const server2 = harness.getCacheServer(cachePath)
+  await server2.bootstrap()
+  const cacheS3 = harness.getCacheS3()
+
+  const a = await cacheS3.getObject({
+    Bucket: 'bucket1', Key: 'foo/a'
+  }).promise()
+  t.equal(String(a.Body), 'body of a')
+  t.equal(a.ContentLength, 9)
+
+  const ranged = await cacheS3.getObject({
+    Bucket: 'bucket1', Key: 'foo/a', Range: 'bytes=0-3'
+  }).promise()
+  t.equal(String(ranged.Body), 'body')
+
+  const b = await cacheS3.getObject({
+    Bucket: 'bucket1', Key: 'foo/b'
+  }).promise()
+  t.equal(String(b.Body), '', 'listing-only objects keep an empty body')
+
+  const list = await cacheS3.listObjectsV2({ Bucket: 'bucket1' }).promise()
+  t.equal(list.KeyCount, 2)
+
+  t.end()
+})
+
+test('cached bodies support keys longer than a file name', {
+  buckets: ['bucket1']
+}, async (harness, t) => {
+  const cachePath = tmpCachePath()
+  const key = 'deep/' + 'x'.repeat(400)
+
+  await harness.uploadFileForBucket('bucket1', key, 'long key body')
+
+  const s3 = harness.getS3()
+  const buckets = await s3.listBuckets().promise()
+  await harness.server.cacheBucketsToDisk(cachePath, 'default', buckets)
+  const objects = await s3.listObjectsV2({ Bucket: 'bucket1' }).promise()
+  await harness.server.cacheObjectsToDisk(
+    cachePath, 'default', 'bucket1', objects
+  )
+  await harness.server.cacheObjectBodyToDisk(
+    cachePath, 'default', 'bucket1', key, Buffer.from('long key body')
+  )
+
+  const server2 = harness.getCacheServer(cachePath)
+  await server2.bootstrap()
+
+  const obj = await harness.getCacheS3().getObject({
+    Bucket: 'bucket1', Key: key
+  }).promise()
+  t.equal(String(obj.Body), 'long key body')
+
+  t.end()
+})
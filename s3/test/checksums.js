@@ -0,0 +1,226 @@
+// @ts-check
+'use strict'
+
+const crypto = require('crypto')
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+const BODY = '123456789'
+/** @type {Record<string, string>} */
+const CHECKSUMS = {
+  crc32: Buffer.from('cbf43926', 'hex').toString('base64'),
+  crc32c: Buffer.from('e3069283', 'hex').toString('base64'),
+  sha1: crypto.createHash('sha1').update(BODY).digest('base64'),
+  sha256: crypto.createHash('sha256').update(BODY).digest('base64')
+}
+
+test('putObject validates the Content-MD5', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  await s3.putObject({
+    Bucket: 'my-bucket',
+    Key: 'a',
+    Body: BODY,
+    ContentMD5: crypto.createHash('md5').update(BODY).digest('base64')
+  }).promise()
+
+  try {
+    await s3.putObject({
+      Bucket: 'my-bucket',
+      Key: 'a',
+      Body: BODY,
+      ContentMD5: crypto.createHash('md5').update('other').digest('base64')
+    }).promise()
+    t.fail('expected BadDigest')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 400)
+    t.equal(err.code, 'BadDigest')
+  }
+
+  try {
+    await s3.putObject({
+      Bucket: 'my-bucket', Key: 'a', Body: BODY, ContentMD5: 'not-md5'
+    }).promise()
+    t.fail('expected InvalidDigest')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'InvalidDigest')
+  }
+
+  t.end()
+})
+
+test('putObject validates & stores x-amz-checksum-*', {
+}, async (harness, t) => {
+  for (const name of Object.keys(CHECKSUMS)) {
+    const header = `x-amz-checksum-${name}`
+    const put = await harness.signedRawRequest('PUT', `/my-bucket/${name}`, {
+      [header]: CHECKSUMS[name]
+    }, BODY)
+    t.equal(put.statusCode, 200, name)
+    t.equal(put.headers[header], CHECKSUMS[name])
+
+    const plain = await harness.signedRawRequest(
+      'GET', `/my-bucket/${name}`
+    )
+    t.equal(plain.body, BODY)
+    t.equal(plain.headers[header], undefined)
+
+    const get = await harness.signedRawRequest('GET', `/my-bucket/${name}`, {
+      'x-amz-checksum-mode': 'ENABLED'
+    })
+    t.equal(get.headers[header], CHECKSUMS[name])
+    t.equal(get.headers['x-amz-checksum-type'], 'FULL_OBJECT')
+
+    const head = await harness.signedRawRequest('HEAD', `/my-bucket/${name}`, {
+      'x-amz-checksum-mode': 'ENABLED'
+    })
+    t.equal(head.headers[header], CHECKSUMS[name])
+  }
+
+  const range = await harness.signedRawRequest('GET', '/my-bucket/crc32', {
+    'x-amz-checksum-mode': 'ENABLED',
+    'Range': 'bytes=0-3'
+  })
+  t.equal(range.statusCode, 206)
+  t.equal(range.headers['x-amz-checksum-crc32'], undefined)
+
+  const mismatch = await harness.signedRawRequest('PUT', '/my-bucket/bad', {
+    'x-amz-checksum-sha256': CHECKSUMS.sha256
+  }, 'other body')
+  t.equal(mismatch.statusCode, 400)
+  t.ok(mismatch.body.includes('<Code>BadDigest</Code>'))
+
+  const invalid = await harness.signedRawRequest('PUT', '/my-bucket/bad', {
+    'x-amz-checksum-crc32': CHECKSUMS.sha1
+  }, BODY)
+  t.equal(invalid.statusCode, 400)
+  t.ok(invalid.body.includes('x-amz-checksum-crc32 header is invalid'))
+
+  const multiple = await harness.signedRawRequest('PUT', '/my-bucket/bad', {
+    'x-amz-checksum-crc32': CHECKSUMS.crc32,
+    'x-amz-checksum-sha1': CHECKSUMS.sha1
+  }, BODY)
+  t.equal(multiple.statusCode, 400)
+  t.ok(multiple.body.includes('Multiple checksum Types are not allowed'))
+
+  t.end()
+})
+
+test('multipart uploads with a checksum algorithm', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const create = await harness.signedRawRequest(
+    'POST', '/my-bucket/multi?uploads', {
+      'x-amz-checksum-algorithm': 'SHA256'
+    }
+  )
+  t.equal(create.headers['x-amz-checksum-algorithm'], 'SHA256')
+  const match = /<UploadId>([^<]+)<\/UploadId>/.exec(create.body)
+  const uploadId = match ? match[1] : ''
+  const partPath = `/my-bucket/multi?partNumber=1&uploadId=${uploadId}`
+
+  const wrongType = await harness.signedRawRequest('PUT', partPath, {
+    'x-amz-checksum-crc32': CHECKSUMS.crc32
+  }, BODY)
+  t.equal(wrongType.statusCode, 400)
+  t.ok(wrongType.body.includes('Checksum Type mismatch'))
+
+  const part = await harness.signedRawRequest('PUT', partPath, {
+    'x-amz-checksum-sha256': CHECKSUMS.sha256
+  }, BODY)
+  t.equal(part.statusCode, 200)
+  t.equal(part.headers['x-amz-checksum-sha256'], CHECKSUMS.sha256)
+
+  const parts = await harness.signedRawRequest(
+    'GET', `/my-bucket/multi?uploadId=${uploadId}`
+  )
+  t.ok(parts.body.includes(
+    `<ChecksumSHA256>${CHECKSUMS.sha256}</ChecksumSHA256>`
+  ))
+
+  await s3.completeMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'multi',
+    UploadId: uploadId,
+    MultipartUpload: {
+      Parts: [{ PartNumber: 1, ETag: String(part.headers.etag) }]
+    }
+  }).promise()
+
+  const composite = crypto.createHash('sha256')
+    .update(Buffer.from(CHECKSUMS.sha256, 'base64'))
+    .digest('base64')
+  const get = await harness.signedRawRequest('GET', '/my-bucket/multi', {
+    'x-amz-checksum-mode': 'ENABLED'
+  })
+  t.equal(get.body, BODY)
+  t.equal(get.headers['x-amz-checksum-sha256'], `${composite}-1`)
+  t.equal(get.headers['x-amz-checksum-type'], 'COMPOSITE')
+
+  const attributes = await harness.signedRawRequest(
+    'GET', '/my-bucket/multi?attributes', {
+      'x-amz-object-attributes': 'Checksum,ObjectParts'
+    }
+  )
+  t.ok(attributes.body.includes(
+    `<ChecksumSHA256>${composite}-1</ChecksumSHA256>`
+  ))
+  t.ok(attributes.body.includes('<ChecksumType>COMPOSITE</ChecksumType>'))
+  t.ok(attributes.body.includes('<TotalPartsCount>1</TotalPartsCount>'))
+
+  t.end()
+})
+
+test('getObjectAttributes', {
+}, async (harness, t) => {
+  await harness.signedRawRequest('PUT', '/my-bucket/a', {
+    'x-amz-checksum-crc32c': CHECKSUMS.crc32c
+  }, BODY)
+
+  const path = '/my-bucket/a?attributes'
+  const res = await harness.signedRawRequest('GET', path, {
+    'x-amz-object-attributes': 'ETag,Checksum,StorageClass,ObjectSize'
+  })
+  t.equal(res.statusCode, 200)
+  t.ok(res.headers['last-modified'])
+  const md5 = crypto.createHash('md5').update(BODY).digest('hex')
+  t.ok(res.body.includes(`<ETag>${md5}</ETag>`))
+  t.ok(res.body.includes(`<ChecksumCRC32C>${CHECKSUMS.crc32c}`))
+  t.ok(res.body.includes('<ChecksumType>FULL_OBJECT</ChecksumType>'))
+  t.ok(res.body.includes('<StorageClass>STANDARD</StorageClass>'))
+  t.ok(res.body.includes('<ObjectSize>9</ObjectSize>'))
+  t.notOk(res.body.includes('<ObjectParts>'))
+
+  const sizeOnly = await harness.signedRawRequest('GET', path, {
+    'x-amz-object-attributes': 'ObjectSize'
+  })
+  t.notOk(sizeOnly.body.includes('<ETag>'))
+
+  const missing = await harness.signedRawRequest('GET', path)
+  t.equal(missing.statusCode, 400)
+  t.ok(missing.body.includes('x-amz-object-attributes'))
+
+  const invalid = await harness.signedRawRequest('GET', path, {
+    'x-amz-object-attributes': 'ETag,Color'
+  })
+  t.equal(invalid.statusCode, 400)
+  t.ok(invalid.body.includes('<Code>InvalidArgument</Code>'))
+
+  const noKey = await harness.signedRawRequest(
+    'GET', '/my-bucket/b?attributes', { 'x-amz-object-attributes': 'ETag' }
+  )
+  t.equal(noKey.statusCode, 404)
+  t.ok(noKey.body.includes('<Code>NoSuchKey</Code>'))
+
+  t.end()
+})
@@ -0,0 +1,193 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+test('getObject with If-None-Match', async (harness, t) => {
+  const s3 = harness.getS3()
+  await harness.uploadFile('foo/a', 'body')
+
+  const head = await s3.headObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+
+  try {
+    await s3.getObject({
+      Bucket: 'my-bucket', Key: 'foo/a', IfNoneMatch: head.ETag
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NotModified')
+    t.equal(err.statusCode, 304)
+  }
+
+  const get = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'foo/a', IfNoneMatch: '"other"'
+  }).promise()
+  t.equal(String(get.Body), 'body')
+})
+
+test('getObject with If-Modified-Since', async (harness, t) => {
+  const s3 = harness.getS3()
+  await harness.uploadFile('foo/a', 'body')
+
+  try {
+    await s3.getObject({
+      Bucket: 'my-bucket',
+      Key: 'foo/a',
+      IfModifiedSince: new Date(Date.now() + 60 * 1000)
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 304)
+  }
+
+  const get = await s3.getObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/a',
+    IfModifiedSince: new Date(Date.now() - 60 * 1000)
+  }).promise()
+  t.equal(String(get.Body), 'body')
+})
+
+test('getObject and headObject with If-Match', async (harness, t) => {
+  const s3 = harness.getS3()
+  await harness.uploadFile('foo/a', 'body')
+
+  try {
+    await s3.getObject({
+      Bucket: 'my-bucket', Key: 'foo/a', IfMatch: '"other"'
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'PreconditionFailed')
+    t.equal(err.statusCode, 412)
+  }
+
+  try {
+    await s3.headObject({
+      Bucket: 'my-bucket',
+      Key: 'foo/a',
+      IfUnmodifiedSince: new Date(Date.now() - 60 * 1000)
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 412)
+  }
+
+  // If-Match takes precedence over If-Unmodified-Since
+  const head = await s3.headObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/a',
+    IfMatch: '*',
+    IfUnmodifiedSince: new Date(Date.now() - 60 * 1000)
+  }).promise()
+  t.equal(head.ContentLength, 4)
+})
+
+test('putObject with If-None-Match: *', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const create = s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'one'
+  })
+  setHeader(create, 'If-None-Match', '*')
+  await create.promise()
+
+  const overwrite = s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'two'
+  })
+  setHeader(overwrite, 'If-None-Match', '*')
+  try {
+    await overwrite.promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'PreconditionFailed')
+    t.equal(err.statusCode, 412)
+  }
+
+  const files = harness.getFiles('my-bucket')
+  t.equal(String(files.objects[0].content), 'one')
+})
+
+test('putObject and copyObject with If-Match', async (harness, t) => {
+  const s3 = harness.getS3()
+  await harness.uploadFile('foo/a', 'one')
+  const head = await s3.headObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+
+  const stale = s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'two'
+  })
+  setHeader(stale, 'If-Match', '"other"')
+  try {
+    await stale.promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 412)
+  }
+
+  const missing = s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/missing', Body: 'two'
+  })
+  setHeader(missing, 'If-Match', '"other"')
+  try {
+    await missing.promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchKey')
+  }
+
+  const update = s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'two'
+  })
+  setHeader(update, 'If-Match', head.ETag || '')
+  await update.promise()
+
+  await harness.uploadFile('foo/b', 'three')
+  const copy = s3.copyObject({
+    Bucket: 'my-bucket', Key: 'foo/b', CopySource: 'my-bucket/foo/a'
+  })
+  setHeader(copy, 'If-None-Match', '*')
+  try {
+    await copy.promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 412)
+  }
+})
+
+/**
+ * The aws-sdk has no parameters for conditional writes.
+ *
+ * @param {import('aws-sdk').Request<unknown, import('aws-sdk').AWSError>} req
+ * @param {string} name
+ * @param {string} value
+ * @returns {void}
+ */
+function setHeader (req, name, value) {
+  req.on('build', () => {
+    req.httpRequest.headers[name] = value
+  })
+}
@@ -0,0 +1,195 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+test('copyObject within a bucket', async (harness, t) => {
+  const s3 = harness.getS3()
+  const upload = await harness.uploadFile('foo/my-file', 'some text')
+
+  const resp = await s3.copyObject({
+    Bucket: 'my-bucket',
+    Key: 'bar/my-copy',
+    CopySource: '/my-bucket/foo/my-file'
+  }).promise()
+
+  t.ok(resp.CopyObjectResult)
+  const result = resp.CopyObjectResult || {}
+  t.equal(result.ETag, upload.ETag)
+  t.ok(result.LastModified instanceof Date)
+
+  const copy = await s3.getObject({
+    Bucket: 'my-bucket',
+    Key: 'bar/my-copy'
+  }).promise()
+  t.equal(String(copy.Body), 'some text')
+  t.equal(copy.ETag, upload.ETag)
+})
+
+test('copyObject across buckets and profiles', {
+  buckets: ['bucket1', 'bucket2']
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  await harness.uploadFileForBucket('bucket1', 'foo/my file', 'some text')
+
+  await s3.copyObject({
+    Bucket: 'bucket2',
+    Key: 'foo/my-copy',
+    CopySource: 'bucket1/' + encodeURIComponent('foo/my file')
+  }).promise()
+
+  const copy = await s3.getObject({
+    Bucket: 'bucket2',
+    Key: 'foo/my-copy'
+  }).promise()
+  t.equal(String(copy.Body), 'some text')
+
+  harness.server.populateBuckets('other-account', {
+    Owner: { DisplayName: 'other', ID: '2' },
+    Buckets: [{ Name: 'other-bucket' }]
+  })
+  harness.server.populateObjects('other-account', 'other-bucket', {
+    Contents: [{
+      Key: 'cached/file',
+      LastModified: new Date().toISOString(),
+      ETag: '"d41d8cd98f00b204e9800998ecf8427e"',
+      Size: 0
+    }]
+  })
+
+  const resp = await s3.copyObject({
+    Bucket: 'bucket2',
+    Key: 'from-cache',
+    CopySource: 'other-bucket/cached/file'
+  }).promise()
+  t.equal(
+    resp.CopyObjectResult && resp.CopyObjectResult.ETag,
+    '"d41d8cd98f00b204e9800998ecf8427e"'
+  )
+})
+
+test('copyObject onto itself', async (harness, t) => {
+  const s3 = harness.getS3()
+  await harness.uploadFile('foo/my-file', 'some text')
+
+  try {
+    await s3.copyObject({
+      Bucket: 'my-bucket',
+      Key: 'foo/my-file',
+      CopySource: 'my-bucket/foo/my-file'
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'InvalidRequest')
+    t.equal(err.statusCode, 400)
+  }
+
+  const resp = await s3.copyObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file',
+    CopySource: 'my-bucket/foo/my-file',
+    MetadataDirective: 'REPLACE'
+  }).promise()
+  t.ok(resp.CopyObjectResult)
+})
+
+test('copyObject with conditions', async (harness, t) => {
+  const s3 = harness.getS3()
+  const upload = await harness.uploadFile('foo/my-file', 'some text')
+  const past = new Date(Date.now() - 60 * 1000)
+  const future = new Date(Date.now() + 60 * 1000)
+
+  const resp1 = await s3.copyObject({
+    Bucket: 'my-bucket',
+    Key: 'copy1',
+    CopySource: 'my-bucket/foo/my-file',
+    CopySourceIfMatch: upload.ETag,
+    CopySourceIfModifiedSince: past
+  }).promise()
+  t.ok(resp1.CopyObjectResult)
+
+  const resp2 = await s3.copyObject({
+    Bucket: 'my-bucket',
+    Key: 'copy2',
+    CopySource: 'my-bucket/foo/my-file',
+    CopySourceIfNoneMatch: '"abc"',
+    CopySourceIfUnmodifiedSince: future
+  }).promise()
+  t.ok(resp2.CopyObjectResult)
+
+  const failures = [
+    { CopySourceIfMatch: '"abc"' },
+    { CopySourceIfNoneMatch: upload.ETag },
+    { CopySourceIfModifiedSince: future },
+    { CopySourceIfUnmodifiedSince: past }
+  ]
+  for (const conditions of failures) {
+    try {
+      await s3.copyObject({
+        Bucket: 'my-bucket',
+        Key: 'copy3',
+        CopySource: 'my-bucket/foo/my-file',
+        ...conditions
+      }).promise()
+      t.ok(false, 'not reached')
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {StatusError} */ (maybeErr)
+      t.equal(err.code, 'PreconditionFailed')
+      t.equal(err.statusCode, 412)
+    }
+  }
+})
+
+test('copyObject with missing source', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  try {
+    await s3.copyObject({
+      Bucket: 'my-bucket',
+      Key: 'copy',
+      CopySource: 'my-bucket/missing'
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchKey')
+    t.equal(err.statusCode, 404)
+  }
+
+  try {
+    await s3.copyObject({
+      Bucket: 'example-bucket',
+      Key: 'copy',
+      CopySource: 'my-bucket/missing'
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchBucket')
+  }
+})
+
+test('copyObject with a malformed copy source', async (harness, t) => {
+  try {
+    await harness.getS3().copyObject({
+      Bucket: 'my-bucket',
+      Key: 'copy',
+      CopySource: 'my-bucket/%E0'
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'InvalidArgument')
+    t.equal(err.statusCode, 400)
+  }
+})
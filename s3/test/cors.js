@@ -0,0 +1,227 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+/** @type {import('aws-sdk').S3.CORSRules} */
+const RULES = [{
+  AllowedOrigins: ['http://*.example.com'],
+  AllowedMethods: ['GET', 'PUT', 'HEAD'],
+  AllowedHeaders: ['content-type', 'x-amz-*'],
+  ExposeHeaders: ['ETag', 'x-amz-version-id'],
+  MaxAgeSeconds: 3000
+}, {
+  AllowedOrigins: ['*'],
+  AllowedMethods: ['GET']
+}]
+
+/**
+ * @param {import('./test-harness.js')} harness
+ * @returns {Promise<void>}
+ */
+async function putCORS (harness) {
+  await harness.getS3().putBucketCors({
+    Bucket: 'my-bucket',
+    CORSConfiguration: { CORSRules: RULES }
+  }).promise()
+}
+
+test('put, get & delete bucket cors', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  try {
+    await s3.getBucketCors({ Bucket: 'my-bucket' }).promise()
+    t.fail('expected NoSuchCORSConfiguration')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 404)
+    t.equal(err.code, 'NoSuchCORSConfiguration')
+  }
+
+  await putCORS(harness)
+  const config = await s3.getBucketCors({ Bucket: 'my-bucket' }).promise()
+  t.deepEqual(config.CORSRules, [{
+    ...RULES[0]
+  }, {
+    AllowedHeaders: [],
+    AllowedMethods: ['GET'],
+    AllowedOrigins: ['*'],
+    ExposeHeaders: []
+  }])
+
+  await s3.deleteBucketCors({ Bucket: 'my-bucket' }).promise()
+  try {
+    await s3.getBucketCors({ Bucket: 'my-bucket' }).promise()
+    t.fail('expected NoSuchCORSConfiguration')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchCORSConfiguration')
+  }
+
+  t.end()
+})
+
+test('invalid cors configurations', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  /** @type {[import('aws-sdk').S3.CORSRule, string, string][]} */
+  const cases = [
+    [{ AllowedOrigins: ['*'], AllowedMethods: ['PATCH'] }, 'InvalidRequest',
+      'Found unsupported HTTP method in CORS config. ' +
+        'Unsupported method is PATCH'],
+    [{ AllowedOrigins: ['http://*.*.com'], AllowedMethods: ['GET'] },
+      'InvalidRequest',
+      'AllowedOrigin "http://*.*.com" can not have more than one wildcard.'],
+    [{ AllowedOrigins: [], AllowedMethods: ['GET'] }, 'MalformedXML',
+      'The XML you provided was not well-formed or did not validate ' +
+        'against our published schema']
+  ]
+
+  for (const [rule, code, message] of cases) {
+    try {
+      await s3.putBucketCors({
+        Bucket: 'my-bucket',
+        CORSConfiguration: { CORSRules: [rule] }
+      }).promise()
+      t.fail(`expected ${code}`)
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {StatusError} */ (maybeErr)
+      t.equal(err.statusCode, 400)
+      t.equal(err.code, code)
+      t.equal(err.message, message)
+    }
+  }
+
+  t.end()
+})
+
+test('preflight requests', {
+}, async (harness, t) => {
+  const url = `http://${harness.server.getHostPort()}/my-bucket/foo/a`
+
+  const disabled = await harness.rawRequest('OPTIONS', url, {
+    'Origin': 'http://app.example.com',
+    'Access-Control-Request-Method': 'PUT'
+  })
+  t.equal(disabled.statusCode, 403)
+  t.ok(disabled.body.includes('CORS is not enabled for this bucket.'))
+
+  await putCORS(harness)
+
+  const allowed = await harness.rawRequest('OPTIONS', url, {
+    'Origin': 'http://app.example.com',
+    'Access-Control-Request-Method': 'PUT',
+    'Access-Control-Request-Headers': 'Content-Type, X-Amz-Meta-Name'
+  })
+  t.equal(allowed.statusCode, 200)
+  t.equal(
+    allowed.headers['access-control-allow-origin'], 'http://app.example.com'
+  )
+  t.equal(allowed.headers['access-control-allow-credentials'], 'true')
+  t.equal(allowed.headers['access-control-allow-methods'], 'GET, PUT, HEAD')
+  t.equal(
+    allowed.headers['access-control-allow-headers'],
+    'content-type, x-amz-meta-name'
+  )
+  t.equal(
+    allowed.headers['access-control-expose-headers'],
+    'ETag, x-amz-version-id'
+  )
+  t.equal(allowed.headers['access-control-max-age'], '3000')
+
+  const anyOrigin = await harness.rawRequest('OPTIONS', url, {
+    'Origin': 'http://other.com',
+    'Access-Control-Request-Method': 'GET'
+  })
+  t.equal(anyOrigin.statusCode, 200)
+  t.equal(anyOrigin.headers['access-control-allow-origin'], '*')
+  t.equal(anyOrigin.headers['access-control-allow-credentials'], undefined)
+
+  const badOrigin = await harness.rawRequest('OPTIONS', url, {
+    'Origin': 'http://other.com',
+    'Access-Control-Request-Method': 'PUT'
+  })
+  t.equal(badOrigin.statusCode, 403)
+  t.ok(badOrigin.body.includes('<Code>AccessForbidden</Code>'))
+
+  const badHeader = await harness.rawRequest('OPTIONS', url, {
+    'Origin': 'http://app.example.com',
+    'Access-Control-Request-Method': 'PUT',
+    'Access-Control-Request-Headers': 'authorization'
+  })
+  t.equal(badHeader.statusCode, 403)
+
+  const noOrigin = await harness.rawRequest('OPTIONS', url, {
+    'Access-Control-Request-Method': 'PUT'
+  })
+  t.equal(noOrigin.statusCode, 400)
+
+  t.end()
+})
+
+test('cors headers on actual responses', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const url = `http://${harness.server.getHostPort()}/my-bucket`
+
+  await putCORS(harness)
+  await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'one', ACL: 'public-read'
+  }).promise()
+
+  const get = await harness.rawRequest('GET', `${url}/foo/a`, {
+    Origin: 'http://app.example.com'
+  })
+  t.equal(get.statusCode, 200)
+  t.equal(get.body, 'one')
+  t.equal(get.headers['access-control-allow-origin'], 'http://app.example.com')
+  t.equal(
+    get.headers['access-control-expose-headers'], 'ETag, x-amz-version-id'
+  )
+  t.equal(
+    get.headers.vary,
+    'Origin, Access-Control-Request-Headers, Access-Control-Request-Method'
+  )
+
+  const denied = await harness.rawRequest('GET', `${url}/foo/b`, {
+    Origin: 'http://app.example.com'
+  })
+  t.equal(denied.statusCode, 403)
+  t.equal(
+    denied.headers['access-control-allow-origin'], 'http://app.example.com',
+    'errors have cors headers too'
+  )
+
+  const noOrigin = await harness.rawRequest('GET', `${url}/foo/a`, {})
+  t.equal(noOrigin.headers['access-control-allow-origin'], undefined)
+
+  const badMethod = await harness.rawRequest('DELETE', `${url}/foo/a`, {
+    Origin: 'http://app.example.com'
+  })
+  t.equal(badMethod.headers['access-control-allow-origin'], undefined)
+
+  t.end()
+})
+
+test('cors headers on a request with a malformed url', {
+}, async (harness, t) => {
+  await putCORS(harness)
+
+  const get = await harness.rawRequest('GET', '/my-bucket/%E0', {
+    Origin: 'http://app.example.com'
+  })
+  t.ok(get.statusCode >= 400, 'the error is still answered')
+  t.ok(get.body.includes('<Error>'))
+  t.equal(get.headers['access-control-allow-origin'], undefined)
+
+  t.end()
+})
@@ -0,0 +1,146 @@
+// @ts-check
+'use strict'
+
+const crypto = require('crypto')
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+test('deleteObjects removes keys', async (harness, t) => {
+  await harness.uploadFile('foo/a', 'a')
+  await harness.uploadFile('foo/b', 'b')
+  await harness.uploadFile('foo/c', 'c')
+
+  const resp = await harness.getS3().deleteObjects({
+    Bucket: 'my-bucket',
+    Delete: {
+      Objects: [
+        { Key: 'foo/a' },
+        { Key: 'foo/c' },
+        { Key: 'foo/missing' }
+      ]
+    }
+  }).promise()
+
+  t.deepEqual((resp.Deleted || []).map((d) => d.Key), [
+    'foo/a', 'foo/c', 'foo/missing'
+  ])
+  t.deepEqual(resp.Errors, [])
+
+  const files = harness.getFiles('my-bucket')
+  t.deepEqual(files.objects.map((o) => o.key), ['foo/b'])
+})
+
+test('deleteObjects in quiet mode', async (harness, t) => {
+  await harness.uploadFile('foo/a', 'a')
+
+  const resp = await harness.getS3().deleteObjects({
+    Bucket: 'my-bucket',
+    Delete: {
+      Quiet: true,
+      Objects: [{ Key: 'foo/a' }, { Key: '' }]
+    }
+  }).promise()
+
+  t.deepEqual(resp.Deleted, [])
+  t.deepEqual((resp.Errors || []).map((e) => [e.Key, e.Code]), [
+    ['', 'InvalidArgument']
+  ])
+  t.equal(harness.getFiles('my-bucket').objects.length, 0)
+})
+
+test('deleteObjects validates Content-MD5', async (harness, t) => {
+  const s3 = harness.getS3()
+  const params = {
+    Bucket: 'my-bucket',
+    Delete: { Objects: [{ Key: 'foo/a' }] }
+  }
+
+  const cases = [
+    { md5: null, code: 'InvalidRequest' },
+    { md5: 'not-an-md5', code: 'InvalidDigest' },
+    { md5: '1B2M2Y8AsgTpgAmY7PhCfg==', code: 'BadDigest' }
+  ]
+
+  for (const { md5, code } of cases) {
+    const req = s3.deleteObjects(params)
+    req.on('afterBuild', () => {
+      if (md5 === null) {
+        delete req.httpRequest.headers['Content-MD5']
+      } else {
+        req.httpRequest.headers['Content-MD5'] = md5
+      }
+    })
+
+    try {
+      await req.promise()
+      t.ok(false, 'not reached')
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {StatusError} */ (maybeErr)
+      t.equal(err.code, code)
+      t.equal(err.statusCode, 400)
+    }
+  }
+})
+
+test('deleteObjects with an x-amz-checksum header', async (harness, t) => {
+  await harness.uploadFile('foo/a', 'a')
+  const s3 = harness.getS3()
+  const params = {
+    Bucket: 'my-bucket',
+    Delete: { Objects: [{ Key: 'foo/a' }] }
+  }
+
+  // SDK v3 sends a checksum header instead of the Content-MD5.
+  const cases = [
+    { checksum: (/** @type {string} */ body) => sha256(body), code: null },
+    { checksum: () => sha256('other'), code: 'BadDigest' }
+  ]
+
+  for (const { checksum, code } of cases) {
+    const req = s3.deleteObjects(params)
+    req.on('afterBuild', () => {
+      delete req.httpRequest.headers['Content-MD5']
+      req.httpRequest.headers['x-amz-checksum-sha256'] =
+        checksum(String(req.httpRequest.body))
+    })
+
+    try {
+      const resp = await req.promise()
+      t.equal(code, null)
+      t.deepEqual((resp.Deleted || []).map((d) => d.Key), ['foo/a'])
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {StatusError} */ (maybeErr)
+      t.equal(err.code, code)
+      t.equal(err.statusCode, 400)
+    }
+  }
+  t.equal(harness.getFiles('my-bucket').objects.length, 0)
+})
+
+test('deleteObjects on missing bucket', async (harness, t) => {
+  try {
+    await harness.getS3().deleteObjects({
+      Bucket: 'no-bucket',
+      Delete: { Objects: [{ Key: 'foo/a' }] }
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchBucket')
+  }
+})
+
+/**
+ * @param {string} body
+ * @returns {string}
+ */
+function sha256 (body) {
+  return crypto.createHash('sha256').update(body).digest('base64')
+}
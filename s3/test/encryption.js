@@ -0,0 +1,394 @@
+// @ts-check
+'use strict'
+
+const crypto = require('crypto')
+
+/**
+ * @typedef {import('../index.js').S3ObjectAlias} S3Object
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+const CUSTOMER_KEY = crypto.randomBytes(32)
+
+test('put, get & delete bucket encryption', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  try {
+    await s3.getBucketEncryption({ Bucket: 'my-bucket' }).promise()
+    t.fail('expected ServerSideEncryptionConfigurationNotFoundError')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 404)
+    t.equal(err.code, 'ServerSideEncryptionConfigurationNotFoundError')
+  }
+
+  await s3.putBucketEncryption({
+    Bucket: 'my-bucket',
+    ServerSideEncryptionConfiguration: {
+      Rules: [{
+        ApplyServerSideEncryptionByDefault: {
+          SSEAlgorithm: 'aws:kms',
+          KMSMasterKeyID: 'my-key'
+        }
+      }]
+    }
+  }).promise()
+  const config = await s3.getBucketEncryption({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.deepEqual(config.ServerSideEncryptionConfiguration, {
+    Rules: [{
+      ApplyServerSideEncryptionByDefault: {
+        SSEAlgorithm: 'aws:kms',
+        KMSMasterKeyID: 'my-key'
+      }
+    }]
+  })
+
+  const put = await s3.putObject({
+    Bucket: 'my-bucket', Key: 'a', Body: 'a'
+  }).promise()
+  t.equal(put.ServerSideEncryption, 'aws:kms')
+  t.equal(put.SSEKMSKeyId, 'my-key')
+
+  const head = await s3.headObject({ Bucket: 'my-bucket', Key: 'a' })
+    .promise()
+  t.equal(head.ServerSideEncryption, 'aws:kms')
+  t.equal(head.SSEKMSKeyId, 'my-key')
+
+  const explicit = await s3.putObject({
+    Bucket: 'my-bucket', Key: 'b', Body: 'b', ServerSideEncryption: 'AES256'
+  }).promise()
+  t.equal(explicit.ServerSideEncryption, 'AES256')
+  t.equal(explicit.SSEKMSKeyId, undefined)
+
+  await s3.deleteBucketEncryption({ Bucket: 'my-bucket' }).promise()
+  const plain = await s3.putObject({
+    Bucket: 'my-bucket', Key: 'c', Body: 'c'
+  }).promise()
+  t.equal(plain.ServerSideEncryption, undefined)
+
+  try {
+    await s3.putBucketEncryption({
+      Bucket: 'my-bucket',
+      ServerSideEncryptionConfiguration: {
+        Rules: [{
+          ApplyServerSideEncryptionByDefault: {
+            SSEAlgorithm: 'AES256',
+            KMSMasterKeyID: 'my-key'
+          }
+        }]
+      }
+    }).promise()
+    t.fail('expected InvalidArgument')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'InvalidArgument')
+  }
+
+  t.end()
+})
+
+test('SSE-S3 & SSE-KMS headers are stored and echoed', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const put = await s3.putObject({
+    Bucket: 'my-bucket',
+    Key: 'kms',
+    Body: 'secret',
+    ServerSideEncryption: 'aws:kms'
+  }).promise()
+  t.equal(put.ServerSideEncryption, 'aws:kms')
+  t.equal(put.SSEKMSKeyId, 'alias/aws/s3')
+
+  const get = await s3.getObject({ Bucket: 'my-bucket', Key: 'kms' })
+    .promise()
+  t.equal(String(get.Body), 'secret')
+  t.equal(get.ServerSideEncryption, 'aws:kms')
+  t.equal(get.SSEKMSKeyId, 'alias/aws/s3')
+
+  const copy = await s3.copyObject({
+    Bucket: 'my-bucket',
+    Key: 'kms',
+    CopySource: 'my-bucket/kms',
+    ServerSideEncryption: 'AES256'
+  }).promise()
+  t.equal(copy.ServerSideEncryption, 'AES256')
+  const head = await s3.headObject({ Bucket: 'my-bucket', Key: 'kms' })
+    .promise()
+  t.equal(head.ServerSideEncryption, 'AES256')
+
+  const upload = await s3.createMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'multi',
+    ServerSideEncryption: 'aws:kms',
+    SSEKMSKeyId: 'my-key'
+  }).promise()
+  t.equal(upload.ServerSideEncryption, 'aws:kms')
+  t.equal(upload.SSEKMSKeyId, 'my-key')
+  const part = await s3.uploadPart({
+    Bucket: 'my-bucket',
+    Key: 'multi',
+    UploadId: upload.UploadId || '',
+    PartNumber: 1,
+    Body: 'part'
+  }).promise()
+  const done = await s3.completeMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'multi',
+    UploadId: upload.UploadId || '',
+    MultipartUpload: { Parts: [{ PartNumber: 1, ETag: part.ETag }] }
+  }).promise()
+  t.equal(done.ServerSideEncryption, 'aws:kms')
+  t.equal(done.SSEKMSKeyId, 'my-key')
+
+  /** @type {[import('aws-sdk').S3.PutObjectRequest, string][]} */
+  const invalid = [[
+    { Bucket: 'my-bucket', Key: 'bad', ServerSideEncryption: 'aws:foo' },
+    'not supported'
+  ], [
+    {
+      Bucket: 'my-bucket',
+      Key: 'bad',
+      ServerSideEncryption: 'AES256',
+      SSEKMSKeyId: 'my-key'
+    },
+    'requires HTTP header x-amz-server-side-encryption : aws:kms'
+  ], [
+    { Bucket: 'my-bucket', Key: 'bad', SSEKMSKeyId: 'my-key' },
+    'requires HTTP header'
+  ]]
+  for (const [params, message] of invalid) {
+    try {
+      await s3.putObject(params).promise()
+      t.fail('expected InvalidArgument')
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {StatusError} */ (maybeErr)
+      t.equal(err.code, 'InvalidArgument')
+      t.ok(err.message.includes(message), message)
+    }
+  }
+
+  t.end()
+})
+
+test('SSE-C encrypts the stored body', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  /** @type {S3Object[]} */
+  const created = []
+  harness.server.on('objectCreated', (/** @type {S3Object} */ obj) => {
+    created.push(obj)
+  })
+
+  const put = await harness.signedRawRequest('PUT', '/my-bucket/secret', {
+    ...customerKeyHeaders(CUSTOMER_KEY)
+  }, 'top secret')
+  t.equal(put.statusCode, 200)
+  t.equal(
+    put.headers['x-amz-server-side-encryption-customer-algorithm'],
+    'AES256'
+  )
+  t.equal(
+    put.headers['x-amz-server-side-encryption-customer-key-md5'],
+    md5(CUSTOMER_KEY)
+  )
+
+  t.equal(created.length, 1)
+  t.equal(created[0].contentLength, 10)
+  t.notOk(String(created[0].content).includes('top secret'))
+
+  const get = await harness.signedRawRequest('GET', '/my-bucket/secret', {
+    ...customerKeyHeaders(CUSTOMER_KEY)
+  })
+  t.equal(get.statusCode, 200)
+  t.equal(get.body, 'top secret')
+  t.equal(get.headers['content-length'], '10')
+
+  const range = await harness.signedRawRequest('GET', '/my-bucket/secret', {
+    ...customerKeyHeaders(CUSTOMER_KEY),
+    'Range': 'bytes=4-9'
+  })
+  t.equal(range.statusCode, 206)
+  t.equal(range.body, 'secret')
+
+  try {
+    await s3.getObject({ Bucket: 'my-bucket', Key: 'secret' }).promise()
+    t.fail('expected InvalidRequest')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 400)
+    t.equal(err.code, 'InvalidRequest')
+  }
+
+  const wrongKey = await harness.signedRawRequest('GET', '/my-bucket/secret', {
+    ...customerKeyHeaders(crypto.randomBytes(32))
+  })
+  t.equal(wrongKey.statusCode, 403)
+  t.ok(wrongKey.body.includes('<Code>AccessDenied</Code>'))
+
+  const head = await harness.signedRawRequest('HEAD', '/my-bucket/secret', {
+    ...customerKeyHeaders(CUSTOMER_KEY)
+  })
+  t.equal(head.statusCode, 200)
+  t.equal(head.headers['content-length'], '10')
+
+  const copy = await harness.signedRawRequest('PUT', '/my-bucket/copy', {
+    ...customerKeyHeaders(CUSTOMER_KEY, 'x-amz-copy-source-'),
+    'x-amz-copy-source': '/my-bucket/secret'
+  })
+  t.equal(copy.statusCode, 200)
+  const plain = await s3.getObject({ Bucket: 'my-bucket', Key: 'copy' })
+    .promise()
+  t.equal(String(plain.Body), 'top secret')
+
+  t.end()
+})
+
+test('SSE-C objects in events & waitForObject()', {
+}, async (harness, t) => {
+  const waiting = harness.server.waitForObject('my-bucket', 'secret', {
+    predicate: (obj) => obj.customerKeyMD5 === md5(CUSTOMER_KEY)
+  })
+  const byBody = harness.server.waitForObject('my-bucket', 'secret', {
+    predicate: (obj) => String(obj.content) === 'top secret',
+    timeout: 100
+  }).then(() => null, (/** @type {Error} */ err) => err)
+
+  const put = await harness.signedRawRequest('PUT', '/my-bucket/secret', {
+    ...customerKeyHeaders(CUSTOMER_KEY)
+  }, 'top secret')
+  t.equal(put.statusCode, 200)
+
+  const obj = await waiting
+  const content = Buffer.from(obj.content)
+  t.equal(content.length, 16 + 10, 'the IV & the ciphertext')
+  const decipher = crypto.createDecipheriv(
+    'aes-256-ctr', CUSTOMER_KEY, content.slice(0, 16)
+  )
+  t.equal(String(Buffer.concat([
+    decipher.update(content.slice(16)), decipher.final()
+  ])), 'top secret')
+
+  const err = await byBody
+  t.ok(err, 'a predicate never sees the plain body')
+
+  t.end()
+})
+
+test('SSE-C validates the customer key', {
+}, async (harness, t) => {
+  const headers = customerKeyHeaders(CUSTOMER_KEY)
+
+  const badMD5 = await harness.signedRawRequest('PUT', '/my-bucket/a', {
+    ...headers,
+    'x-amz-server-side-encryption-customer-key-MD5':
+      md5(crypto.randomBytes(32))
+  }, 'a')
+  t.equal(badMD5.statusCode, 400)
+  t.ok(badMD5.body.includes('The calculated MD5 hash of the key'))
+
+  const shortKey = Buffer.from('too short')
+  const badKey = await harness.signedRawRequest('PUT', '/my-bucket/a', {
+    ...customerKeyHeaders(shortKey)
+  }, 'a')
+  t.equal(badKey.statusCode, 400)
+  t.ok(badKey.body.includes('The secret key was invalid'))
+
+  const badAlgorithm = await harness.signedRawRequest('PUT', '/my-bucket/a', {
+    ...headers,
+    'x-amz-server-side-encryption-customer-algorithm': 'AES128'
+  }, 'a')
+  t.equal(badAlgorithm.statusCode, 400)
+  t.ok(badAlgorithm.body.includes(
+    '<Code>InvalidEncryptionAlgorithmError</Code>'
+  ))
+
+  const mixed = await harness.signedRawRequest('PUT', '/my-bucket/a', {
+    ...headers,
+    'x-amz-server-side-encryption': 'AES256'
+  }, 'a')
+  t.equal(mixed.statusCode, 400)
+  t.ok(mixed.body.includes('incompatible with the encryption method'))
+
+  await harness.uploadFileForBucket('my-bucket', 'plain', 'plain')
+  const notApplicable = await harness.signedRawRequest(
+    'GET', '/my-bucket/plain', headers
+  )
+  t.equal(notApplicable.statusCode, 400)
+  t.ok(notApplicable.body.includes('not applicable to this object'))
+
+  t.end()
+})
+
+test('SSE-C multipart uploads', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const headers = customerKeyHeaders(CUSTOMER_KEY)
+
+  const create = await harness.signedRawRequest(
+    'POST', '/my-bucket/multi?uploads', headers
+  )
+  t.equal(create.statusCode, 200)
+  t.equal(
+    create.headers['x-amz-server-side-encryption-customer-key-md5'],
+    md5(CUSTOMER_KEY)
+  )
+  const match = /<UploadId>([^<]+)<\/UploadId>/.exec(create.body)
+  const uploadId = match ? match[1] : ''
+
+  const partPath = `/my-bucket/multi?partNumber=1&uploadId=${uploadId}`
+
+  const noKey = await harness.signedRawRequest('PUT', partPath, {}, 'part')
+  t.equal(noKey.statusCode, 400)
+  t.ok(noKey.body.includes('must include the appropriate encryption'))
+
+  const part = await harness.signedRawRequest('PUT', partPath, headers, 'part')
+  t.equal(part.statusCode, 200)
+
+  await s3.completeMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'multi',
+    UploadId: uploadId,
+    MultipartUpload: {
+      Parts: [{ PartNumber: 1, ETag: String(part.headers.etag) }]
+    }
+  }).promise()
+
+  const get = await harness.signedRawRequest('GET', '/my-bucket/multi', headers)
+  t.equal(get.statusCode, 200)
+  t.equal(get.body, 'part')
+
+  t.end()
+})
+
+/**
+ * @param {Buffer} key
+ * @param {string} [prefix]
+ * @returns {Record<string, string>}
+ */
+function customerKeyHeaders (key, prefix = 'x-amz-') {
+  const name = `${prefix}server-side-encryption-customer`
+  return {
+    [`${name}-algorithm`]: 'AES256',
+    [`${name}-key`]: key.toString('base64'),
+    [`${name}-key-MD5`]: md5(key)
+  }
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {string}
+ */
+function md5 (buf) {
+  return crypto.createHash('md5').update(buf).digest('base64')
+}
@@ -0,0 +1,108 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+test('getObject returns the uploaded body', async (harness, t) => {
+  const upload = await harness.uploadFile('foo/my-file', 'some text')
+
+  const resp = await harness.getS3().getObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file'
+  }).promise()
+
+  t.ok(resp.Body)
+  t.equal(String(resp.Body), 'some text')
+  t.equal(resp.ContentLength, 9)
+  t.equal(resp.ETag, upload.ETag)
+  t.equal(resp.AcceptRanges, 'bytes')
+  t.ok(resp.LastModified instanceof Date)
+})
+
+test('getObject with a range', async (harness, t) => {
+  await harness.uploadFile('foo/my-file', '0123456789')
+  const s3 = harness.getS3()
+
+  const resp1 = await s3.getObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file',
+    Range: 'bytes=2-5'
+  }).promise()
+  t.equal(String(resp1.Body), '2345')
+  t.equal(resp1.ContentLength, 4)
+  t.equal(resp1.ContentRange, 'bytes 2-5/10')
+
+  const resp2 = await s3.getObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file',
+    Range: 'bytes=7-'
+  }).promise()
+  t.equal(String(resp2.Body), '789')
+  t.equal(resp2.ContentRange, 'bytes 7-9/10')
+
+  const resp3 = await s3.getObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file',
+    Range: 'bytes=-4'
+  }).promise()
+  t.equal(String(resp3.Body), '6789')
+  t.equal(resp3.ContentRange, 'bytes 6-9/10')
+
+  const resp4 = await s3.getObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file',
+    Range: 'bytes=5-100'
+  }).promise()
+  t.equal(String(resp4.Body), '56789')
+  t.equal(resp4.ContentRange, 'bytes 5-9/10')
+})
+
+test('getObject ignores malformed ranges', async (harness, t) => {
+  await harness.uploadFile('foo/my-file', '0123456789')
+
+  const resp = await harness.getS3().getObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file',
+    Range: 'bytes=5-2'
+  }).promise()
+  t.equal(String(resp.Body), '0123456789')
+  t.equal(resp.ContentRange, undefined)
+})
+
+test('getObject with unsatisfiable range', async (harness, t) => {
+  await harness.uploadFile('foo/my-file', '0123456789')
+
+  try {
+    await harness.getS3().getObject({
+      Bucket: 'my-bucket',
+      Key: 'foo/my-file',
+      Range: 'bytes=10-'
+    }).promise()
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'InvalidRange')
+    t.equal(err.statusCode, 416)
+    return
+  }
+  t.ok(false, 'not reached')
+})
+
+test('getObject on missing bucket', async (harness, t) => {
+  try {
+    await harness.getS3().getObject({
+      Bucket: 'no-bucket',
+      Key: 'foo/my-file'
+    }).promise()
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchBucket')
+    return
+  }
+  t.ok(false, 'not reached')
+})
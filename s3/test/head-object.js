@@ -0,0 +1,88 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+test('headObject returns the getObject headers', async (harness, t) => {
+  const upload = await harness.uploadFile('foo/my-file', 'some text')
+
+  const resp = await harness.getS3().headObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file'
+  }).promise()
+
+  t.equal(resp.ContentLength, 9)
+  t.equal(resp.ETag, upload.ETag)
+  t.equal(resp.AcceptRanges, 'bytes')
+  t.equal(resp.ContentType, 'application/octet-stream')
+  t.ok(resp.LastModified instanceof Date)
+})
+
+test('headObject on missing key', async (harness, t) => {
+  try {
+    await harness.getS3().headObject({
+      Bucket: 'my-bucket',
+      Key: 'foo/missing'
+    }).promise()
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NotFound')
+    t.equal(err.statusCode, 404)
+    return
+  }
+  t.ok(false, 'not reached')
+})
+
+test('headObject on missing bucket', async (harness, t) => {
+  try {
+    await harness.getS3().headObject({
+      Bucket: 'no-bucket',
+      Key: 'foo/my-file'
+    }).promise()
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NotFound')
+    t.equal(err.statusCode, 404)
+    return
+  }
+  t.ok(false, 'not reached')
+})
+
+test('objectExists waiter', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const [resp] = await Promise.all([
+    s3.waitFor('objectExists', {
+      Bucket: 'my-bucket',
+      Key: 'foo/my-file',
+      $waiter: { delay: 0.05, maxAttempts: 20 }
+    }).promise(),
+    harness.uploadFile('foo/my-file', 'some text')
+  ])
+
+  t.equal(resp.ContentLength, 9)
+})
+
+test('headBucket', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const resp = await s3.headBucket({ Bucket: 'my-bucket' }).promise()
+  t.ok(resp)
+
+  try {
+    await s3.headBucket({ Bucket: 'no-bucket' }).promise()
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NotFound')
+    t.equal(err.statusCode, 404)
+    return
+  }
+  t.ok(false, 'not reached')
+})
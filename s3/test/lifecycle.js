@@ -0,0 +1,413 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ * @typedef {import('../index.js').S3Event} S3Event
+ * @typedef {import('../index.js').S3ObjectAlias} S3Object
+ */
+
+const { test } = require('./test-harness.js')
+
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * @param {number} days
+ * @returns {Date}
+ */
+function daysFromNow (days) {
+  return new Date(Date.now() + days * DAY)
+}
+
+/**
+ * @param {import('aws-sdk').S3} s3
+ * @param {import('aws-sdk').S3.LifecycleRules} rules
+ * @returns {Promise<void>}
+ */
+async function putLifecycle (s3, rules) {
+  await s3.putBucketLifecycleConfiguration({
+    Bucket: 'my-bucket',
+    LifecycleConfiguration: { Rules: rules }
+  }).promise()
+}
+
+test('put, get & delete bucket lifecycle configuration', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  try {
+    await s3.getBucketLifecycleConfiguration({
+      Bucket: 'my-bucket'
+    }).promise()
+    t.fail('expected NoSuchLifecycleConfiguration')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 404)
+    t.equal(err.code, 'NoSuchLifecycleConfiguration')
+  }
+
+  await putLifecycle(s3, [{
+    ID: 'tmp',
+    Status: 'Enabled',
+    Filter: { Prefix: 'tmp/' },
+    Expiration: { Days: 1 },
+    AbortIncompleteMultipartUpload: { DaysAfterInitiation: 7 }
+  }, {
+    ID: 'archive',
+    Status: 'Disabled',
+    Filter: {
+      And: {
+        Prefix: 'logs/',
+        Tags: [{ Key: 'class', Value: 'cold' }]
+      }
+    },
+    Transitions: [{ Days: 30, StorageClass: 'GLACIER' }],
+    NoncurrentVersionExpiration: { NoncurrentDays: 10 }
+  }, {
+    ID: 'dated',
+    Status: 'Enabled',
+    Filter: { Tag: { Key: 'temp', Value: 'true' } },
+    Expiration: { Date: new Date('2030-01-01T00:00:00.000Z') }
+  }])
+
+  const config = await s3.getBucketLifecycleConfiguration({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.deepEqual(config.Rules, [{
+    ID: 'tmp',
+    Status: 'Enabled',
+    Filter: { Prefix: 'tmp/' },
+    Expiration: { Days: 1 },
+    Transitions: [],
+    NoncurrentVersionTransitions: [],
+    AbortIncompleteMultipartUpload: { DaysAfterInitiation: 7 }
+  }, {
+    ID: 'archive',
+    Status: 'Disabled',
+    Filter: {
+      And: {
+        Prefix: 'logs/',
+        Tags: [{ Key: 'class', Value: 'cold' }]
+      }
+    },
+    Transitions: [{ Days: 30, StorageClass: 'GLACIER' }],
+    NoncurrentVersionTransitions: [],
+    NoncurrentVersionExpiration: { NoncurrentDays: 10 }
+  }, {
+    ID: 'dated',
+    Status: 'Enabled',
+    Filter: { Tag: { Key: 'temp', Value: 'true' } },
+    Expiration: { Date: new Date('2030-01-01T00:00:00.000Z') },
+    Transitions: [],
+    NoncurrentVersionTransitions: []
+  }])
+
+  await s3.deleteBucketLifecycle({ Bucket: 'my-bucket' }).promise()
+  try {
+    await s3.getBucketLifecycleConfiguration({
+      Bucket: 'my-bucket'
+    }).promise()
+    t.fail('expected NoSuchLifecycleConfiguration')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchLifecycleConfiguration')
+  }
+
+  t.end()
+})
+
+test('invalid lifecycle configurations', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  /** @type {[import('aws-sdk').S3.LifecycleRule, string][]} */
+  const cases = [
+    [{ Status: 'Enabled', Filter: { Prefix: '' } }, 'InvalidRequest'],
+    [{
+      Status: 'Enabled', Filter: { Prefix: '' }, Expiration: { Days: 0 }
+    }, 'InvalidArgument'],
+    [{
+      Status: 'Enabled',
+      Filter: { Prefix: '' },
+      Expiration: { Date: new Date('2030-01-01T12:00:00.000Z') }
+    }, 'InvalidArgument'],
+    [{
+      Status: 'Enabled',
+      Filter: { Tag: { Key: 'a', Value: 'b' } },
+      AbortIncompleteMultipartUpload: { DaysAfterInitiation: 1 }
+    }, 'InvalidRequest'],
+    [{
+      Status: 'Enabled',
+      Filter: { Prefix: '' },
+      Transitions: [{ Days: 1, StorageClass: 'STANDARD' }]
+    }, 'MalformedXML']
+  ]
+
+  for (const [rule, code] of cases) {
+    try {
+      await putLifecycle(s3, [rule])
+      t.fail(`expected ${code}`)
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {StatusError} */ (maybeErr)
+      t.equal(err.statusCode, 400)
+      t.equal(err.code, code)
+    }
+  }
+
+  try {
+    await putLifecycle(s3, [{
+      ID: 'same', Status: 'Enabled', Prefix: '', Expiration: { Days: 1 }
+    }, {
+      ID: 'same', Status: 'Enabled', Prefix: '', Expiration: { Days: 2 }
+    }])
+    t.fail('expected InvalidArgument')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'InvalidArgument')
+  }
+
+  t.end()
+})
+
+test('runLifecycle() expires objects by prefix', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const topicArn = 'arn:aws:sns:us-east-1:123456789012:lifecycle'
+
+  /** @type {S3Event[]} */
+  const events = []
+  harness.server.setNotificationTarget(topicArn, (event) => {
+    events.push(event)
+  })
+  await s3.putBucketNotificationConfiguration({
+    Bucket: 'my-bucket',
+    NotificationConfiguration: {
+      TopicConfigurations: [{
+        TopicArn: topicArn,
+        Events: ['s3:LifecycleExpiration:*']
+      }]
+    }
+  }).promise()
+  /** @type {string[]} */
+  const removed = []
+  harness.server.on('objectRemoved', (/** @type {S3Object} */ obj) => {
+    removed.push(obj.key)
+  })
+
+  await putLifecycle(s3, [{
+    ID: 'tmp',
+    Status: 'Enabled',
+    Filter: { Prefix: 'tmp/' },
+    Expiration: { Days: 1 }
+  }, {
+    ID: 'disabled',
+    Status: 'Disabled',
+    Filter: { Prefix: '' },
+    Expiration: { Days: 1 }
+  }])
+  await harness.uploadFile('tmp/a', 'one')
+  await harness.uploadFile('keep/b', 'two')
+
+  t.deepEqual(await harness.server.runLifecycle(), [])
+  t.deepEqual(await harness.server.runLifecycle(daysFromNow(1)), [],
+    'days are rounded up to the next midnight')
+
+  const actions = await harness.server.runLifecycle(daysFromNow(2))
+  t.deepEqual(actions, [{
+    action: 'Expiration', bucket: 'my-bucket', key: 'tmp/a'
+  }])
+  t.deepEqual(removed, ['tmp/a'])
+
+  const list = await s3.listObjectsV2({ Bucket: 'my-bucket' }).promise()
+  t.equal(list.KeyCount, 1)
+  t.equal((list.Contents || [])[0].Key, 'keep/b')
+
+  await harness.server.waitForNotifications()
+  t.equal(events.length, 1)
+  const record = events[0].Records[0]
+  t.equal(record.eventName, 'LifecycleExpiration:Delete')
+  t.equal(record.userIdentity.principalId, 's3.amazonaws.com')
+  t.equal(record.s3.object.key, 'tmp/a')
+
+  t.end()
+})
+
+test('runLifecycle() filters by tags & dates', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  await putLifecycle(s3, [{
+    ID: 'temp',
+    Status: 'Enabled',
+    Filter: { Tag: { Key: 'temp', Value: 'true' } },
+    Expiration: { Date: new Date('2030-01-01T00:00:00.000Z') }
+  }])
+  await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'one', Tagging: 'temp=true'
+  }).promise()
+  await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/b', Body: 'two', Tagging: 'temp=false'
+  }).promise()
+
+  t.deepEqual(
+    await harness.server.runLifecycle(new Date('2029-12-31T23:59:59Z')), []
+  )
+  const actions = await harness.server.runLifecycle(
+    new Date('2030-01-01T00:00:00Z')
+  )
+  t.deepEqual(actions.map((a) => a.key), ['foo/a'])
+
+  t.end()
+})
+
+test('runLifecycle() transitions storage classes', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  await putLifecycle(s3, [{
+    ID: 'archive',
+    Status: 'Enabled',
+    Filter: { Prefix: 'logs/' },
+    Transitions: [
+      { Days: 30, StorageClass: 'STANDARD_IA' },
+      { Days: 90, StorageClass: 'GLACIER' }
+    ],
+    Expiration: { Days: 365 }
+  }])
+  await harness.uploadFile('logs/a', 'log line')
+
+  const ia = await harness.server.runLifecycle(daysFromNow(31))
+  t.deepEqual(ia, [{
+    action: 'Transition',
+    bucket: 'my-bucket',
+    key: 'logs/a',
+    storageClass: 'STANDARD_IA'
+  }])
+  t.deepEqual(await harness.server.runLifecycle(daysFromNow(31)), [],
+    'transitions only apply once')
+
+  const list = await s3.listObjectsV2({ Bucket: 'my-bucket' }).promise()
+  t.equal((list.Contents || [])[0].StorageClass, 'STANDARD_IA')
+  const obj = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'logs/a'
+  }).promise()
+  t.equal(obj.StorageClass, 'STANDARD_IA')
+  t.equal(String(obj.Body), 'log line')
+
+  const glacier = await harness.server.runLifecycle(daysFromNow(100))
+  t.deepEqual(glacier.map((a) => a.storageClass), ['GLACIER'])
+
+  const head = await s3.headObject({
+    Bucket: 'my-bucket', Key: 'logs/a'
+  }).promise()
+  t.equal(head.StorageClass, 'GLACIER')
+  try {
+    await s3.getObject({ Bucket: 'my-bucket', Key: 'logs/a' }).promise()
+    t.fail('expected InvalidObjectState')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 403)
+    t.equal(err.code, 'InvalidObjectState')
+  }
+
+  const expired = await harness.server.runLifecycle(daysFromNow(400))
+  t.deepEqual(expired.map((a) => a.action), ['Expiration'])
+
+  t.end()
+})
+
+test('runLifecycle() on a versioned bucket', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  await s3.putBucketVersioning({
+    Bucket: 'my-bucket',
+    VersioningConfiguration: { Status: 'Enabled' }
+  }).promise()
+  await putLifecycle(s3, [{
+    ID: 'versions',
+    Status: 'Enabled',
+    Filter: { Prefix: '' },
+    Expiration: { Days: 30 },
+    NoncurrentVersionExpiration: { NoncurrentDays: 10 }
+  }, {
+    ID: 'markers',
+    Status: 'Enabled',
+    Filter: { Prefix: '' },
+    Expiration: { ExpiredObjectDeleteMarker: true }
+  }])
+
+  const v1 = await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'one'
+  }).promise()
+  const v2 = await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'two'
+  }).promise()
+
+  const noncurrent = await harness.server.runLifecycle(daysFromNow(12))
+  t.deepEqual(noncurrent, [{
+    action: 'NoncurrentVersionExpiration',
+    bucket: 'my-bucket',
+    key: 'foo/a',
+    versionId: v1.VersionId
+  }])
+
+  const expired = await harness.server.runLifecycle(daysFromNow(32))
+  t.deepEqual(expired.map((a) => a.action), ['Expiration'])
+
+  const versions = await s3.listObjectVersions({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.deepEqual((versions.Versions || []).map((v) => v.VersionId), [
+    v2.VersionId
+  ])
+  t.equal((versions.DeleteMarkers || []).length, 1)
+
+  const cleanup = await harness.server.runLifecycle(daysFromNow(50))
+  t.deepEqual(cleanup.map((a) => a.action), [
+    'NoncurrentVersionExpiration', 'ExpiredObjectDeleteMarker'
+  ])
+
+  const after = await s3.listObjectVersions({ Bucket: 'my-bucket' }).promise()
+  t.deepEqual(after.Versions, [])
+  t.deepEqual(after.DeleteMarkers, [])
+
+  t.end()
+})
+
+test('runLifecycle() aborts incomplete multipart uploads', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  await putLifecycle(s3, [{
+    ID: 'uploads',
+    Status: 'Enabled',
+    Filter: { Prefix: 'uploads/' },
+    AbortIncompleteMultipartUpload: { DaysAfterInitiation: 7 }
+  }])
+  const upload = await s3.createMultipartUpload({
+    Bucket: 'my-bucket', Key: 'uploads/big'
+  }).promise()
+  await s3.createMultipartUpload({
+    Bucket: 'my-bucket', Key: 'other/big'
+  }).promise()
+
+  t.deepEqual(await harness.server.runLifecycle(daysFromNow(3)), [])
+  const actions = await harness.server.runLifecycle(daysFromNow(8))
+  t.deepEqual(actions, [{
+    action: 'AbortIncompleteMultipartUpload',
+    bucket: 'my-bucket',
+    key: 'uploads/big',
+    uploadId: upload.UploadId
+  }])
+
+  const uploads = harness.server.getMultipartUploads('my-bucket').uploads
+  t.deepEqual(uploads.map((u) => u.key), ['other/big'])
+
+  t.end()
+})
@@ -0,0 +1,144 @@
+// @ts-check
+'use strict'
+
+const { test } = require('./test-harness.js')
+
+/**
+ * @typedef {{
+ *    Key?: string,
+ *    Owner?: { DisplayName?: string, ID?: string }
+ * }} ListEntry
+ */
+
+test('listObjects paginates with marker', async (harness, t) => {
+  for (const key of ['foo/a', 'foo/b', 'foo/c']) {
+    await harness.uploadFile(key, 'body')
+  }
+
+  const s3 = harness.getS3()
+  const page1 = await s3.listObjects({
+    Bucket: 'my-bucket',
+    MaxKeys: 2
+  }).promise()
+  t.equal(page1.IsTruncated, true)
+  t.equal(page1.Marker, '')
+  t.equal(page1.NextMarker, undefined)
+  t.deepEqual(listContents(page1).map((o) => o.Key), [
+    'foo/a', 'foo/b'
+  ])
+
+  const page2 = await s3.listObjects({
+    Bucket: 'my-bucket',
+    MaxKeys: 2,
+    Marker: 'foo/b'
+  }).promise()
+  t.equal(page2.IsTruncated, false)
+  t.equal(page2.Marker, 'foo/b')
+  t.deepEqual(listContents(page2).map((o) => o.Key), ['foo/c'])
+})
+
+test('listObjects returns NextMarker with delimiter', async (harness, t) => {
+  for (const key of ['foo/a/1', 'foo/a/2', 'foo/b', 'foo/c/1']) {
+    await harness.uploadFile(key, 'body')
+  }
+
+  const s3 = harness.getS3()
+  const page1 = await s3.listObjects({
+    Bucket: 'my-bucket',
+    Prefix: 'foo/',
+    Delimiter: '/',
+    MaxKeys: 1
+  }).promise()
+  t.equal(page1.IsTruncated, true)
+  t.equal(page1.NextMarker, 'foo/a/')
+  t.deepEqual((page1.CommonPrefixes || []).map((p) => p.Prefix), [
+    'foo/a/'
+  ])
+
+  const page2 = await s3.listObjects({
+    Bucket: 'my-bucket',
+    Prefix: 'foo/',
+    Delimiter: '/',
+    Marker: page1.NextMarker
+  }).promise()
+  t.equal(page2.IsTruncated, false)
+  t.equal(page2.NextMarker, undefined)
+  t.deepEqual(listContents(page2).map((o) => o.Key), ['foo/b'])
+  t.deepEqual((page2.CommonPrefixes || []).map((p) => p.Prefix), [
+    'foo/c/'
+  ])
+})
+
+test('listObjectsV2 with FetchOwner', async (harness, t) => {
+  await harness.uploadFile('foo/a', 'body')
+
+  const s3 = harness.getS3()
+  const noOwner = await s3.listObjectsV2({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.deepEqual(listContents(noOwner).map((o) => o.Owner), [undefined])
+
+  const withOwner = await s3.listObjectsV2({
+    Bucket: 'my-bucket',
+    FetchOwner: true
+  }).promise()
+  t.deepEqual(listContents(withOwner).map((o) => o.Owner), [{
+    DisplayName: 'admin',
+    ID: '1'
+  }])
+})
+
+test('list APIs with EncodingType url', async (harness, t) => {
+  await harness.uploadFile('foo/a b&c', 'body')
+
+  const s3 = harness.getS3()
+  const v2 = await s3.listObjectsV2({
+    Bucket: 'my-bucket',
+    EncodingType: 'url'
+  }).promise()
+  t.equal(v2.EncodingType, 'url')
+  t.deepEqual(listContents(v2).map((o) => o.Key), ['foo/a+b%26c'])
+
+  const v1 = await s3.listObjects({
+    Bucket: 'my-bucket',
+    Prefix: 'foo/a b',
+    EncodingType: 'url'
+  }).promise()
+  t.equal(v1.Prefix, 'foo/a+b')
+  t.deepEqual(listContents(v1).map((o) => o.Key), ['foo/a+b%26c'])
+})
+
+test('list APIs with an invalid max-keys', async (harness, t) => {
+  await harness.uploadFile('foo/a', 'body')
+
+  for (const path of ['/my-bucket', '/my-bucket?list-type=2']) {
+    for (const value of ['-1', 'abc', '1.5']) {
+      const sep = path.includes('?') ? '&' : '?'
+      const res = await harness.signedRawRequest(
+        'GET', `${path}${sep}max-keys=${value}`
+      )
+      t.equal(res.statusCode, 400, `${path} max-keys=${value}`)
+      t.ok(res.body.includes('<Code>InvalidArgument</Code>'))
+    }
+  }
+
+  const s3 = harness.getS3()
+  const v1 = await s3.listObjects({
+    Bucket: 'my-bucket', MaxKeys: 5000
+  }).promise()
+  t.equal(v1.MaxKeys, 1000)
+
+  const v2 = await s3.listObjectsV2({
+    Bucket: 'my-bucket', MaxKeys: 0
+  }).promise()
+  t.equal(v2.MaxKeys, 0)
+  t.equal(v2.KeyCount, 0)
+})
+
+/**
+ * @param {{ Contents?: ListEntry[] }} resp
+ * @returns {ListEntry[]}
+ */
+function listContents (resp) {
+  return resp.Contents || []
+}
@@ -0,0 +1,155 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+const HEADERS = {
+  ContentType: 'text/plain',
+  ContentEncoding: 'identity',
+  ContentDisposition: 'attachment; filename="a.txt"',
+  CacheControl: 'max-age=60',
+  ContentLanguage: 'en'
+}
+
+test('putObject stores metadata and headers', async (harness, t) => {
+  const s3 = harness.getS3()
+  const expires = new Date('2030-01-01T00:00:00.000Z')
+
+  await s3.putObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file',
+    Body: 'some text',
+    Metadata: { 'owner': 'alice', 'build-id': '42' },
+    Expires: expires,
+    ...HEADERS
+  }).promise()
+
+  const get = await s3.getObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file'
+  }).promise()
+  t.deepEqual(get.Metadata, { 'owner': 'alice', 'build-id': '42' })
+  t.equal(get.ContentType, HEADERS.ContentType)
+  t.equal(get.ContentEncoding, HEADERS.ContentEncoding)
+  t.equal(get.ContentDisposition, HEADERS.ContentDisposition)
+  t.equal(get.CacheControl, HEADERS.CacheControl)
+  t.equal(get.ContentLanguage, HEADERS.ContentLanguage)
+  t.equal(get.Expires && get.Expires.getTime(), expires.getTime())
+
+  const head = await s3.headObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file'
+  }).promise()
+  t.deepEqual(head.Metadata, { 'owner': 'alice', 'build-id': '42' })
+  t.equal(head.ContentType, HEADERS.ContentType)
+})
+
+test('getObject with response header overrides', async (harness, t) => {
+  const s3 = harness.getS3()
+  await s3.putObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file',
+    Body: 'some text',
+    ContentType: 'text/plain'
+  }).promise()
+
+  const get = await s3.getObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file',
+    ResponseContentType: 'application/json',
+    ResponseContentDisposition: 'attachment; filename="b.json"'
+  }).promise()
+  t.equal(get.ContentType, 'application/json')
+  t.equal(get.ContentDisposition, 'attachment; filename="b.json"')
+})
+
+test('copyObject metadata directives', async (harness, t) => {
+  const s3 = harness.getS3()
+  await s3.putObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my-file',
+    Body: 'some text',
+    ContentType: 'text/plain',
+    Metadata: { owner: 'alice' }
+  }).promise()
+
+  await s3.copyObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/copy',
+    CopySource: 'my-bucket/foo/my-file'
+  }).promise()
+  const copy = await s3.headObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/copy'
+  }).promise()
+  t.deepEqual(copy.Metadata, { owner: 'alice' })
+  t.equal(copy.ContentType, 'text/plain')
+
+  await s3.copyObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/replace',
+    CopySource: 'my-bucket/foo/my-file',
+    MetadataDirective: 'REPLACE',
+    ContentType: 'text/html',
+    Metadata: { owner: 'bob' }
+  }).promise()
+  const replaced = await s3.headObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/replace'
+  }).promise()
+  t.deepEqual(replaced.Metadata, { owner: 'bob' })
+  t.equal(replaced.ContentType, 'text/html')
+})
+
+test('multipart upload keeps the metadata', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const create = await s3.createMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi',
+    ContentType: 'text/csv',
+    Metadata: { rows: '3' }
+  }).promise()
+  const uploadId = create.UploadId || ''
+  const part = await s3.uploadPart({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi',
+    UploadId: uploadId,
+    PartNumber: 1,
+    Body: 'a,b,c'
+  }).promise()
+  await s3.completeMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi',
+    UploadId: uploadId,
+    MultipartUpload: { Parts: [{ PartNumber: 1, ETag: part.ETag }] }
+  }).promise()
+
+  const head = await s3.headObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi'
+  }).promise()
+  t.deepEqual(head.Metadata, { rows: '3' })
+  t.equal(head.ContentType, 'text/csv')
+})
+
+test('putObject with too much metadata', async (harness, t) => {
+  try {
+    await harness.getS3().putObject({
+      Bucket: 'my-bucket',
+      Key: 'foo/my-file',
+      Body: 'some text',
+      Metadata: { large: 'a'.repeat(2100) }
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'MetadataTooLarge')
+    t.equal(err.statusCode, 400)
+  }
+})
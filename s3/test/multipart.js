@@ -0,0 +1,327 @@
+// @ts-check
+'use strict'
+
+const crypto = require('crypto')
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+const MB = 1024 * 1024
+
+test('s3.upload() of a multipart sized body', async (harness, t) => {
+  const body = Buffer.alloc(11 * MB, 'a')
+  body.write('end', body.length - 3)
+
+  const resp = await harness.getS3().upload({
+    Bucket: 'my-bucket',
+    Key: 'foo/big-file',
+    Body: body
+  }, { partSize: 5 * MB, queueSize: 1 }).promise()
+
+  /** @type {Buffer[]} */
+  const md5s = []
+  for (let i = 0; i < body.length; i += 5 * MB) {
+    md5s.push(crypto.createHash('md5')
+      .update(body.slice(i, i + 5 * MB)).digest())
+  }
+  const etag = crypto.createHash('md5')
+    .update(Buffer.concat(md5s)).digest('hex')
+  t.equal(resp.ETag, `"${etag}-3"`)
+  t.equal(resp.Key, 'foo/big-file')
+
+  const obj = await harness.getS3().getObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/big-file'
+  }).promise()
+  t.equal(obj.ContentLength, body.length)
+  t.ok(Buffer.isBuffer(obj.Body) && obj.Body.equals(body))
+
+  const uploads = harness.server.getMultipartUploads('my-bucket')
+  t.equal(uploads.uploads.length, 0)
+})
+
+test('multipart upload lifecycle', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const create = await s3.createMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi'
+  }).promise()
+  t.equal(create.Bucket, 'my-bucket')
+  t.equal(create.Key, 'foo/multi')
+  t.ok(create.UploadId)
+  const uploadId = create.UploadId || ''
+
+  const leaked = harness.server.getMultipartUploads('my-bucket')
+  t.equal(leaked.uploads.length, 1)
+  t.equal(leaked.uploads[0].key, 'foo/multi')
+
+  const part1 = await s3.uploadPart({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi',
+    UploadId: uploadId,
+    PartNumber: 1,
+    Body: Buffer.alloc(5 * MB, 'a')
+  }).promise()
+  await harness.uploadFile('foo/source', '0123456789')
+  const part2 = await s3.uploadPartCopy({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi',
+    UploadId: uploadId,
+    PartNumber: 2,
+    CopySource: 'my-bucket/foo/source',
+    CopySourceRange: 'bytes=2-5'
+  }).promise()
+  t.ok(part2.CopyPartResult && part2.CopyPartResult.ETag)
+
+  const list = await s3.listParts({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi',
+    UploadId: uploadId
+  }).promise()
+  t.deepEqual((list.Parts || []).map((p) => [p.PartNumber, p.Size]), [
+    [1, 5 * MB],
+    [2, 4]
+  ])
+
+  const page = await s3.listParts({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi',
+    UploadId: uploadId,
+    MaxParts: 1
+  }).promise()
+  t.equal(page.IsTruncated, true)
+  t.equal(page.NextPartNumberMarker, 1)
+
+  const complete = await s3.completeMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi',
+    UploadId: uploadId,
+    MultipartUpload: {
+      Parts: [{
+        PartNumber: 1, ETag: part1.ETag
+      }, {
+        PartNumber: 2,
+        ETag: part2.CopyPartResult && part2.CopyPartResult.ETag
+      }]
+    }
+  }).promise()
+  t.ok(complete.ETag && /^"[0-9a-f]{32}-2"$/.test(complete.ETag))
+  t.ok(complete.Location && complete.Location.endsWith('/my-bucket/foo/multi'))
+
+  const obj = await s3.getObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi',
+    Range: 'bytes=-5'
+  }).promise()
+  t.equal(String(obj.Body), 'a2345')
+
+  t.equal(harness.server.getMultipartUploads('my-bucket').uploads.length, 0)
+})
+
+test('completeMultipartUpload validation', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const create = await s3.createMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi'
+  }).promise()
+  const uploadId = create.UploadId || ''
+
+  const part1 = await s3.uploadPart({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi',
+    UploadId: uploadId,
+    PartNumber: 1,
+    Body: 'small part'
+  }).promise()
+  const part2 = await s3.uploadPart({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi',
+    UploadId: uploadId,
+    PartNumber: 2,
+    Body: 'last part'
+  }).promise()
+
+  const cases = [{
+    code: 'EntityTooSmall',
+    parts: [
+      { PartNumber: 1, ETag: part1.ETag },
+      { PartNumber: 2, ETag: part2.ETag }
+    ]
+  }, {
+    code: 'InvalidPartOrder',
+    parts: [
+      { PartNumber: 2, ETag: part2.ETag },
+      { PartNumber: 1, ETag: part1.ETag }
+    ]
+  }, {
+    code: 'InvalidPart',
+    parts: [
+      { PartNumber: 1, ETag: part2.ETag }
+    ]
+  }, {
+    code: 'InvalidPart',
+    parts: [
+      { PartNumber: 3, ETag: part2.ETag }
+    ]
+  }]
+
+  for (const { code, parts } of cases) {
+    try {
+      await s3.completeMultipartUpload({
+        Bucket: 'my-bucket',
+        Key: 'foo/multi',
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts }
+      }).promise()
+      t.ok(false, 'not reached')
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {StatusError} */ (maybeErr)
+      t.equal(err.code, code)
+      t.equal(err.statusCode, 400)
+    }
+  }
+
+  const complete = await s3.completeMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'foo/multi',
+    UploadId: uploadId,
+    MultipartUpload: { Parts: [{ PartNumber: 2, ETag: part2.ETag }] }
+  }).promise()
+  t.ok(complete.ETag && complete.ETag.endsWith('-1"'))
+})
+
+test('uploadPart with invalid upload or part number', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  try {
+    await s3.uploadPart({
+      Body: 'some content',
+      Bucket: 'my-bucket',
+      Key: 'my-multipart.txt',
+      PartNumber: 1,
+      UploadId: 'id'
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchUpload')
+    t.equal(err.statusCode, 404)
+  }
+
+  const create = await s3.createMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'my-multipart.txt'
+  }).promise()
+
+  try {
+    await s3.uploadPart({
+      Body: 'some content',
+      Bucket: 'my-bucket',
+      Key: 'my-multipart.txt',
+      PartNumber: 10001,
+      UploadId: create.UploadId || ''
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'InvalidArgument')
+    t.equal(err.statusCode, 400)
+  }
+})
+
+test('abortMultipartUpload and listMultipartUploads', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const keys = ['a/one', 'a/two', 'b/three', 'c']
+  /** @type {Record<string, string>} */
+  const ids = {}
+  for (const key of keys) {
+    const create = await s3.createMultipartUpload({
+      Bucket: 'my-bucket',
+      Key: key
+    }).promise()
+    ids[key] = create.UploadId || ''
+  }
+
+  const list = await s3.listMultipartUploads({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.deepEqual((list.Uploads || []).map((u) => u.Key), keys)
+  t.equal(list.IsTruncated, false)
+
+  const grouped = await s3.listMultipartUploads({
+    Bucket: 'my-bucket',
+    Delimiter: '/'
+  }).promise()
+  t.deepEqual((grouped.Uploads || []).map((u) => u.Key), ['c'])
+  t.deepEqual((grouped.CommonPrefixes || []).map((p) => p.Prefix), [
+    'a/', 'b/'
+  ])
+
+  const page1 = await s3.listMultipartUploads({
+    Bucket: 'my-bucket',
+    MaxUploads: 2
+  }).promise()
+  t.equal(page1.IsTruncated, true)
+  t.deepEqual((page1.Uploads || []).map((u) => u.Key), ['a/one', 'a/two'])
+
+  const page2 = await s3.listMultipartUploads({
+    Bucket: 'my-bucket',
+    KeyMarker: page1.NextKeyMarker,
+    UploadIdMarker: page1.NextUploadIdMarker
+  }).promise()
+  t.deepEqual((page2.Uploads || []).map((u) => u.Key), ['b/three', 'c'])
+
+  await s3.abortMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'a/two',
+    UploadId: ids['a/two']
+  }).promise()
+
+  const uploads = harness.server.getMultipartUploads('my-bucket').uploads
+  t.deepEqual(uploads.map((u) => u.key), ['a/one', 'b/three', 'c'])
+
+  try {
+    await s3.abortMultipartUpload({
+      Bucket: 'my-bucket',
+      Key: 'a/two',
+      UploadId: ids['a/two']
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchUpload')
+  }
+})
+
+test('listing parts & uploads with invalid limits', async (harness, t) => {
+  const upload = await harness.getS3().createMultipartUpload({
+    Bucket: 'my-bucket', Key: 'foo/big'
+  }).promise()
+  const uploadId = upload.UploadId || ''
+
+  for (const path of [
+    `/my-bucket/foo/big?uploadId=${uploadId}&max-parts=abc`,
+    `/my-bucket/foo/big?uploadId=${uploadId}&part-number-marker=-1`,
+    '/my-bucket?uploads&max-uploads=abc'
+  ]) {
+    const res = await harness.signedRawRequest('GET', path)
+    t.equal(res.statusCode, 400, path)
+    t.ok(res.body.includes('<Code>InvalidArgument</Code>'))
+  }
+
+  const uploads = await harness.signedRawRequest(
+    'GET', '/my-bucket?uploads&max-uploads=5000'
+  )
+  t.equal(uploads.statusCode, 200)
+  t.ok(uploads.body.includes('<MaxUploads>1000</MaxUploads>'))
+})
@@ -0,0 +1,435 @@
+// @ts-check
+'use strict'
+
+const crypto = require('crypto')
+const http = require('http')
+const util = require('util')
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ * @typedef {import('../index.js').S3Event} S3Event
+ */
+
+const { FakeLambdaAPI } = require('../../lambda/index.js')
+const { test } = require('./test-harness.js')
+
+const TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:uploads'
+
+/**
+ * @param {import('./test-harness.js')} harness
+ * @param {string} arn
+ * @returns {S3Event[]}
+ */
+function collectEvents (harness, arn) {
+  /** @type {S3Event[]} */
+  const events = []
+  harness.server.setNotificationTarget(arn, (event) => {
+    events.push(event)
+  })
+  return events
+}
+
+/**
+ * @param {S3Event[]} events
+ * @returns {string[]}
+ */
+function eventNames (events) {
+  return events.map((e) => {
+    const record = e.Records[0]
+    return `${record.eventName} ${record.s3.object.key}`
+  })
+}
+
+test('put & get bucket notification configuration', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const empty = await s3.getBucketNotificationConfiguration({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.deepEqual(empty.TopicConfigurations, [])
+
+  await s3.putBucketNotificationConfiguration({
+    Bucket: 'my-bucket',
+    NotificationConfiguration: {
+      TopicConfigurations: [{
+        Id: 'images',
+        TopicArn: TOPIC_ARN,
+        Events: ['s3:ObjectCreated:*', 's3:ObjectRemoved:Delete'],
+        Filter: {
+          Key: {
+            FilterRules: [
+              { Name: 'prefix', Value: 'images/' },
+              { Name: 'suffix', Value: '.jpg' }
+            ]
+          }
+        }
+      }],
+      LambdaFunctionConfigurations: [{
+        LambdaFunctionArn:
+          'arn:aws:lambda:us-east-1:123456789012:function:resize',
+        Events: ['s3:ObjectCreated:Put']
+      }]
+    }
+  }).promise()
+
+  const config = await s3.getBucketNotificationConfiguration({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.deepEqual(config.TopicConfigurations, [{
+    Id: 'images',
+    TopicArn: TOPIC_ARN,
+    Events: ['s3:ObjectCreated:*', 's3:ObjectRemoved:Delete'],
+    Filter: {
+      Key: {
+        FilterRules: [
+          { Name: 'prefix', Value: 'images/' },
+          { Name: 'suffix', Value: '.jpg' }
+        ]
+      }
+    }
+  }])
+  const lambdaConfigs = config.LambdaFunctionConfigurations || []
+  t.equal(lambdaConfigs.length, 1)
+  t.ok(lambdaConfigs[0].Id, 'an id is generated')
+  t.equal(lambdaConfigs[0].LambdaFunctionArn,
+    'arn:aws:lambda:us-east-1:123456789012:function:resize')
+
+  t.end()
+})
+
+test('invalid notification configurations', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  try {
+    await s3.putBucketNotificationConfiguration({
+      Bucket: 'my-bucket',
+      NotificationConfiguration: {
+        TopicConfigurations: [{
+          TopicArn: TOPIC_ARN,
+          Events: ['ObjectCreated:*']
+        }]
+      }
+    }).promise()
+    t.fail('expected InvalidArgument')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 400)
+    t.equal(err.code, 'InvalidArgument')
+  }
+
+  try {
+    await s3.putBucketNotificationConfiguration({
+      Bucket: 'my-bucket',
+      NotificationConfiguration: {
+        TopicConfigurations: [{
+          TopicArn: TOPIC_ARN,
+          Events: ['s3:ObjectCreated:*'],
+          Filter: {
+            Key: {
+              FilterRules: [
+                { Name: 'prefix', Value: 'a/' },
+                { Name: 'Prefix', Value: 'b/' }
+              ]
+            }
+          }
+        }]
+      }
+    }).promise()
+    t.fail('expected InvalidArgument')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 400)
+    t.equal(err.code, 'InvalidArgument')
+  }
+
+  try {
+    await s3.putBucketNotificationConfiguration({
+      Bucket: 'missing-bucket',
+      NotificationConfiguration: {}
+    }).promise()
+    t.fail('expected NoSuchBucket')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchBucket')
+  }
+
+  t.end()
+})
+
+test('notifications for created objects with filters', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const events = collectEvents(harness, TOPIC_ARN)
+
+  await s3.putBucketNotificationConfiguration({
+    Bucket: 'my-bucket',
+    NotificationConfiguration: {
+      TopicConfigurations: [{
+        Id: 'images',
+        TopicArn: TOPIC_ARN,
+        Events: ['s3:ObjectCreated:*'],
+        Filter: {
+          Key: {
+            FilterRules: [
+              { Name: 'Prefix', Value: 'images/' },
+              { Name: 'Suffix', Value: '.jpg' }
+            ]
+          }
+        }
+      }]
+    }
+  }).promise()
+
+  await harness.uploadFile('images/my photo.jpg', 'jpg data')
+  await harness.uploadFile('images/notes.txt', 'txt data')
+  await harness.uploadFile('other/photo.jpg', 'jpg data')
+  await harness.server.waitForNotifications()
+
+  t.equal(events.length, 1)
+  const record = events[0].Records[0]
+  t.equal(record.eventVersion, '2.1')
+  t.equal(record.eventSource, 'aws:s3')
+  t.equal(record.awsRegion, 'us-east-1')
+  t.equal(record.eventName, 'ObjectCreated:Put')
+  t.ok(record.eventTime)
+  t.ok(record.userIdentity.principalId)
+  t.equal(record.s3.configurationId, 'images')
+  t.equal(record.s3.bucket.name, 'my-bucket')
+  t.equal(record.s3.bucket.arn, 'arn:aws:s3:::my-bucket')
+  t.equal(record.s3.object.key, 'images/my+photo.jpg')
+  t.equal(record.s3.object.size, 8)
+  t.equal(record.s3.object.eTag,
+    crypto.createHash('md5').update('jpg data').digest('hex'))
+  t.ok(/^[0-9A-F]{16}$/.test(record.s3.object.sequencer))
+  t.equal(record.s3.object.versionId, undefined)
+
+  t.end()
+})
+
+test('notifications for copy, multipart & delete', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const events = collectEvents(harness, TOPIC_ARN)
+
+  await s3.putBucketNotificationConfiguration({
+    Bucket: 'my-bucket',
+    NotificationConfiguration: {
+      TopicConfigurations: [{
+        TopicArn: TOPIC_ARN,
+        Events: ['s3:ObjectCreated:*', 's3:ObjectRemoved:*']
+      }]
+    }
+  }).promise()
+
+  await harness.uploadFile('foo/a', 'some text')
+  await s3.copyObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/b',
+    CopySource: 'my-bucket/foo/a'
+  }).promise()
+
+  const upload = await s3.createMultipartUpload({
+    Bucket: 'my-bucket', Key: 'foo/c'
+  }).promise()
+  const uploadId = upload.UploadId || ''
+  const part = await s3.uploadPart({
+    Bucket: 'my-bucket',
+    Key: 'foo/c',
+    UploadId: uploadId,
+    PartNumber: 1,
+    Body: 'part body'
+  }).promise()
+  await s3.completeMultipartUpload({
+    Bucket: 'my-bucket',
+    Key: 'foo/c',
+    UploadId: uploadId,
+    MultipartUpload: {
+      Parts: [{ PartNumber: 1, ETag: part.ETag }]
+    }
+  }).promise()
+
+  await harness.deleteFile('foo/a')
+  await s3.deleteObjects({
+    Bucket: 'my-bucket',
+    Delete: {
+      Objects: [{ Key: 'foo/b' }, { Key: 'foo/c' }]
+    }
+  }).promise()
+  await harness.server.waitForNotifications()
+
+  t.deepEqual(eventNames(events), [
+    'ObjectCreated:Put foo/a',
+    'ObjectCreated:Copy foo/b',
+    'ObjectCreated:CompleteMultipartUpload foo/c',
+    'ObjectRemoved:Delete foo/a',
+    'ObjectRemoved:Delete foo/b',
+    'ObjectRemoved:Delete foo/c'
+  ])
+
+  const sequencers = events.map((e) => e.Records[0].s3.object.sequencer)
+  t.deepEqual([...sequencers].sort(), sequencers, 'sequencers increase')
+
+  t.end()
+})
+
+test('notifications for versioned buckets', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const events = collectEvents(harness, TOPIC_ARN)
+
+  await s3.putBucketVersioning({
+    Bucket: 'my-bucket',
+    VersioningConfiguration: { Status: 'Enabled' }
+  }).promise()
+  await s3.putBucketNotificationConfiguration({
+    Bucket: 'my-bucket',
+    NotificationConfiguration: {
+      TopicConfigurations: [{
+        TopicArn: TOPIC_ARN,
+        Events: ['s3:ObjectCreated:Put', 's3:ObjectRemoved:*']
+      }]
+    }
+  }).promise()
+
+  const put = await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'v1'
+  }).promise()
+  const del = await s3.deleteObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  await s3.deleteObject({
+    Bucket: 'my-bucket', Key: 'foo/a', VersionId: put.VersionId
+  }).promise()
+  await harness.server.waitForNotifications()
+
+  t.deepEqual(eventNames(events), [
+    'ObjectCreated:Put foo/a',
+    'ObjectRemoved:DeleteMarkerCreated foo/a',
+    'ObjectRemoved:Delete foo/a'
+  ])
+  t.deepEqual(events.map((e) => e.Records[0].s3.object.versionId), [
+    put.VersionId, del.VersionId, put.VersionId
+  ])
+
+  t.end()
+})
+
+test('notifications to a webhook', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  /** @type {S3Event[]} */
+  const received = []
+  const webhook = http.createServer((req, res) => {
+    /** @type {Buffer[]} */
+    const chunks = []
+    req.on('data', (/** @type {Buffer} */ chunk) => chunks.push(chunk))
+    req.on('end', () => {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const event = /** @type {S3Event} */ (
+        JSON.parse(Buffer.concat(chunks).toString('utf8'))
+      )
+      received.push(event)
+      res.statusCode = event.Records[0].s3.object.key === 'foo/fail'
+        ? 500
+        : 200
+      res.end()
+    })
+  })
+  await util.promisify((/** @type {() => void} */ cb) => {
+    webhook.listen(0, 'localhost', cb)
+  })()
+  const addr = webhook.address()
+  const port = addr && typeof addr === 'object' ? addr.port : 0
+
+  const queueArn = 'arn:aws:sqs:us-east-1:123456789012:uploads'
+  harness.server.setNotificationTarget(
+    queueArn, `http://localhost:${port}/s3-events`
+  )
+  await s3.putBucketNotificationConfiguration({
+    Bucket: 'my-bucket',
+    NotificationConfiguration: {
+      QueueConfigurations: [{
+        QueueArn: queueArn,
+        Events: ['s3:ObjectCreated:*']
+      }]
+    }
+  }).promise()
+
+  await harness.uploadFile('foo/a', 'some text')
+  await harness.server.waitForNotifications()
+  t.deepEqual(eventNames(received), ['ObjectCreated:Put foo/a'])
+
+  await harness.uploadFile('foo/fail', 'some text')
+  try {
+    await harness.server.waitForNotifications()
+    t.fail('expected the delivery to fail')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {Error} */ (maybeErr)
+    t.ok(/failed with 500/.test(err.message))
+  }
+  await harness.server.waitForNotifications()
+
+  await util.promisify((/** @type {() => void} */ cb) => {
+    webhook.close(cb)
+  })()
+  t.end()
+})
+
+test('notifications invoke FakeLambdaAPI functions', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const lambdaServer = new FakeLambdaAPI()
+  harness.server.lambda = lambdaServer
+
+  /** @type {unknown[]} */
+  const payloads = []
+  lambdaServer.setFunctionHandler('resize', (payload) => {
+    payloads.push(payload)
+  })
+
+  await s3.putBucketNotificationConfiguration({
+    Bucket: 'my-bucket',
+    NotificationConfiguration: {
+      LambdaFunctionConfigurations: [{
+        LambdaFunctionArn:
+          'arn:aws:lambda:us-east-1:123456789012:function:resize',
+        Events: ['s3:ObjectCreated:*'],
+        Filter: {
+          Key: { FilterRules: [{ Name: 'prefix', Value: 'images/' }] }
+        }
+      }, {
+        LambdaFunctionArn:
+          'arn:aws:lambda:us-east-1:123456789012:function:missing',
+        Events: ['s3:ObjectRemoved:*']
+      }]
+    }
+  }).promise()
+
+  await harness.uploadFile('images/a.png', 'png data')
+  await harness.uploadFile('docs/a.txt', 'txt data')
+  await harness.server.waitForNotifications()
+
+  t.equal(payloads.length, 1)
+  const event = /** @type {S3Event} */ (payloads[0])
+  t.equal(event.Records[0].eventName, 'ObjectCreated:Put')
+  t.equal(event.Records[0].s3.object.key, 'images/a.png')
+
+  await harness.deleteFile('images/a.png')
+  try {
+    await harness.server.waitForNotifications()
+    t.fail('expected ResourceNotFoundException')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {Error} */ (maybeErr)
+    t.equal(err.name, 'ResourceNotFoundException')
+  }
+
+  t.end()
+})
@@ -0,0 +1,164 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ * @typedef {import('../index.js').S3ObjectAlias} S3Object
+ */
+
+const { test } = require('./test-harness.js')
+
+test('objectCreated & objectRemoved events', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  /** @type {string[]} */
+  const events = []
+  harness.server.on('objectCreated', (/** @type {S3Object} */ obj) => {
+    events.push(`created ${obj.key} ${obj.content.toString()}`)
+  })
+  harness.server.on('objectRemoved', (/** @type {S3Object} */ obj) => {
+    events.push(`removed ${obj.key} ${obj.content.toString()}`)
+  })
+
+  await harness.uploadFile('foo/a', 'one')
+  await s3.copyObject({
+    Bucket: 'my-bucket', Key: 'foo/b', CopySource: 'my-bucket/foo/a'
+  }).promise()
+  await harness.deleteFile('foo/a')
+  await harness.deleteFile('foo/missing')
+  await s3.deleteObjects({
+    Bucket: 'my-bucket',
+    Delete: { Objects: [{ Key: 'foo/b' }] }
+  }).promise()
+
+  t.deepEqual(events, [
+    'created foo/a one',
+    'created foo/b one',
+    'removed foo/a one',
+    'removed foo/b one'
+  ])
+
+  t.end()
+})
+
+test('waitForObject() for a key', {
+}, async (harness, t) => {
+  const [obj] = await Promise.all([
+    harness.server.waitForObject('my-bucket', 'bar/exact'),
+    harness.uploadFile('bar/other', 'other'),
+    harness.uploadFile('bar/exact', 'exact')
+  ])
+  t.equal(obj.key, 'bar/exact')
+  t.equal(obj.content.toString(), 'exact')
+
+  const existing = await harness.server.waitForObject('my-bucket', 'bar/other')
+  t.equal(existing.content.toString(), 'other', 'resolves existing objects')
+
+  t.equal(harness.server.listenerCount('objectCreated'), 0)
+  t.equal(harness.server.listenerCount('objectRemoved'), 0)
+
+  t.end()
+})
+
+test('waitForObject() with a glob & predicate', {
+}, async (harness, t) => {
+  await harness.uploadFile('reports/2020/a.json', '{"done":false}')
+
+  const waiting = harness.server.waitForObject(
+    'my-bucket', 'reports/*/*.json', {
+      predicate: (obj) => obj.content.toString().includes('"done":true')
+    }
+  )
+  await harness.uploadFile('reports/2020/nested/b.json', '{"done":true}')
+  await harness.uploadFile('reports/2020/b.txt', '{"done":true}')
+  await harness.uploadFile('reports/2021/c.json', '{"done":true}')
+
+  const obj = await waiting
+  t.equal(obj.key, 'reports/2021/c.json')
+
+  const deep = await harness.server.waitForObject(
+    'my-bucket', 'reports/**/b.?son'
+  )
+  t.equal(deep.key, 'reports/2020/nested/b.json')
+
+  await harness.uploadFile('reports/top.json', '{"done":true}')
+  const top = await harness.server.waitForObject(
+    'my-bucket', 'reports/**/top.json'
+  )
+  t.equal(top.key, 'reports/top.json', '**/ matches zero segments')
+
+  t.end()
+})
+
+test('waitForObject() timeout', {
+}, async (harness, t) => {
+  const start = Date.now()
+  try {
+    await harness.server.waitForObject('my-bucket', 'foo/never', {
+      timeout: 100
+    })
+    t.fail('expected a timeout')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {Error} */ (maybeErr)
+    t.equal(err.message, 'Timed out waiting for my-bucket/foo/never')
+  }
+  t.ok(Date.now() - start >= 100)
+  t.equal(harness.server.listenerCount('objectCreated'), 0)
+
+  t.end()
+})
+
+test('waitForFiles() sees populated objects', {
+}, async (harness, t) => {
+  const pending = harness.waitForFiles('my-bucket', 1)
+  setTimeout(() => {
+    harness.server.populateObjects('default', 'my-bucket', {
+      Contents: [{
+        Key: 'foo/cached',
+        LastModified: new Date().toISOString(),
+        ETag: '"0ceba125bd0b23ccb487aeb3c29a6783"',
+        Size: 4
+      }]
+    })
+  }, 50)
+
+  const files = await pending
+  t.deepEqual(files && files.objects.map((o) => o.key), ['foo/cached'])
+  t.equal(harness.server.listenerCount('objectCreated'), 0)
+
+  t.end()
+})
+
+test('waitForObject() with a throwing predicate', {
+}, async (harness, t) => {
+  const [err] = await Promise.all([
+    harness.server.waitForObject('my-bucket', 'foo/*', {
+      predicate: () => { throw new Error('bad predicate') }
+    }).then(() => null, (/** @type {Error} */ err) => err),
+    harness.uploadFile('foo/a', 'one')
+  ])
+  t.equal(err && err.message, 'bad predicate')
+  t.equal(harness.server.listenerCount('objectCreated'), 0)
+
+  t.end()
+})
+
+test('waitForObjectRemoved()', {
+}, async (harness, t) => {
+  const none = await harness.server.waitForObjectRemoved(
+    'my-bucket', 'foo/*'
+  )
+  t.equal(none, null, 'resolves null without a matching object')
+
+  await harness.uploadFile('foo/a', 'one')
+  const [removed] = await Promise.all([
+    harness.server.waitForObjectRemoved('my-bucket', 'foo/*'),
+    harness.deleteFile('foo/a')
+  ])
+  t.ok(removed)
+  t.equal(removed && removed.key, 'foo/a')
+
+  t.end()
+})
@@ -0,0 +1,217 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const FakeS3 = require('../index.js')
+const { test } = require('./test-harness.js')
+
+/**
+ * @param {import('./test-harness.js')} harness
+ * @param {string} bucket
+ * @param {string} key
+ * @param {number} size
+ * @returns {void}
+ */
+function populateListingOnly (harness, bucket, key, size) {
+  harness.server.populateObjects('default', bucket, {
+    Contents: [{
+      Key: key,
+      LastModified: new Date().toISOString(),
+      ETag: '"0ceba125bd0b23ccb487aeb3c29a6783"',
+      Size: size
+    }]
+  })
+}
+
+test('listing-only objects have an empty body by default', {
+}, async (harness, t) => {
+  populateListingOnly(harness, 'my-bucket', 'foo/big', 100)
+
+  const obj = await harness.getS3().getObject({
+    Bucket: 'my-bucket', Key: 'foo/big'
+  }).promise()
+  t.equal(String(obj.Body), '')
+
+  t.end()
+})
+
+test('placeholder bodies match the listed size', {
+  buckets: ['zero-bucket', 'random-bucket', 'lorem-bucket'],
+  placeholderBodies: [
+    { bucket: 'zero-bucket', mode: 'zero' },
+    { bucket: 'random-bucket', mode: 'random' },
+    { bucket: 'lorem-bucket', mode: 'lorem' }
+  ]
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  populateListingOnly(harness, 'zero-bucket', 'a', 1000)
+  populateListingOnly(harness, 'random-bucket', 'a', 1000)
+  populateListingOnly(harness, 'random-bucket', 'b', 1000)
+  populateListingOnly(harness, 'lorem-bucket', 'a', 1000)
+
+  const zero = await s3.getObject({
+    Bucket: 'zero-bucket', Key: 'a'
+  }).promise()
+  t.equal(zero.ContentLength, 1000)
+  t.ok(Buffer.alloc(1000).equals(/** @type {Buffer} */ (zero.Body)))
+
+  const random1 = await s3.getObject({
+    Bucket: 'random-bucket', Key: 'a'
+  }).promise()
+  const random2 = await s3.getObject({
+    Bucket: 'random-bucket', Key: 'a'
+  }).promise()
+  const randomB = await s3.getObject({
+    Bucket: 'random-bucket', Key: 'b'
+  }).promise()
+  const body1 = /** @type {Buffer} */ (random1.Body)
+  t.equal(body1.length, 1000)
+  t.ok(body1.equals(/** @type {Buffer} */ (random2.Body)),
+    'random bodies are deterministic')
+  t.notOk(body1.equals(/** @type {Buffer} */ (randomB.Body)),
+    'random bodies are seeded by key')
+  t.notOk(body1.equals(Buffer.alloc(1000)))
+
+  const lorem = await s3.getObject({
+    Bucket: 'lorem-bucket', Key: 'a'
+  }).promise()
+  const loremBody = String(lorem.Body)
+  t.equal(loremBody.length, 1000)
+  t.ok(/^[a-zA-Z ,.\n]+$/.test(loremBody))
+  t.ok(loremBody.includes('Lorem ipsum dolor sit amet'))
+
+  t.end()
+})
+
+test('range reads of placeholder bodies', {
+  buckets: ['random-bucket', 'lorem-bucket'],
+  placeholderBodies: [
+    { bucket: 'random-bucket', mode: 'random' },
+    { bucket: 'lorem-bucket', mode: 'lorem' }
+  ]
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  populateListingOnly(harness, 'random-bucket', 'a', 5000)
+  populateListingOnly(harness, 'lorem-bucket', 'a', 5000)
+
+  for (const bucket of ['random-bucket', 'lorem-bucket']) {
+    const full = await s3.getObject({
+      Bucket: bucket, Key: 'a'
+    }).promise()
+    const fullBody = /** @type {Buffer} */ (full.Body)
+
+    for (const [start, end] of [[0, 0], [17, 33], [1000, 4999], [4090, 4999]]) {
+      const part = await s3.getObject({
+        Bucket: bucket, Key: 'a', Range: `bytes=${start}-${end}`
+      }).promise()
+      t.equal(part.ContentRange, `bytes ${start}-${end}/5000`)
+      t.ok(fullBody.slice(start, end + 1).equals(
+        /** @type {Buffer} */ (part.Body)
+      ), `${bucket} range ${start}-${end} matches the full body`)
+    }
+
+    const suffix = await s3.getObject({
+      Bucket: bucket, Key: 'a', Range: 'bytes=-10'
+    }).promise()
+    t.ok(fullBody.slice(4990).equals(/** @type {Buffer} */ (suffix.Body)))
+  }
+
+  try {
+    await s3.getObject({
+      Bucket: 'random-bucket', Key: 'a', Range: 'bytes=5000-'
+    }).promise()
+    t.fail('expected InvalidRange')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 416)
+    t.equal(err.code, 'InvalidRange')
+  }
+
+  t.end()
+})
+
+test('placeholder bodies larger than a buffer', {
+  buckets: ['random-bucket'],
+  placeholderBodies: [{ bucket: 'random-bucket', mode: 'random' }]
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const size = 8 * 1024 * 1024 * 1024
+  populateListingOnly(harness, 'random-bucket', 'huge', size)
+  populateListingOnly(harness, 'random-bucket', 'blocks', 200 * 1024)
+
+  const head = await s3.headObject({
+    Bucket: 'random-bucket', Key: 'huge'
+  }).promise()
+  t.equal(head.ContentLength, size)
+
+  const tail = await s3.getObject({
+    Bucket: 'random-bucket', Key: 'huge', Range: 'bytes=-100'
+  }).promise()
+  t.equal(tail.ContentRange, `bytes ${size - 100}-${size - 1}/${size}`)
+  t.equal(/** @type {Buffer} */ (tail.Body).length, 100)
+
+  const full = await s3.getObject({
+    Bucket: 'random-bucket', Key: 'blocks'
+  }).promise()
+  const fullBody = /** @type {Buffer} */ (full.Body)
+  t.equal(fullBody.length, 200 * 1024)
+
+  const part = await s3.getObject({
+    Bucket: 'random-bucket', Key: 'blocks', Range: 'bytes=65500-131100'
+  }).promise()
+  t.ok(fullBody.slice(65500, 131101).equals(
+    /** @type {Buffer} */ (part.Body)
+  ), 'ranges across blocks match the full body')
+
+  t.end()
+})
+
+test('placeholder bodies per prefix', {
+  placeholderBodies: [
+    { bucket: 'my-bucket', mode: 'zero' },
+    { bucket: 'my-bucket', prefix: 'docs/', mode: 'lorem' }
+  ]
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  populateListingOnly(harness, 'my-bucket', 'docs/readme', 50)
+  populateListingOnly(harness, 'my-bucket', 'images/logo', 50)
+
+  const docs = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'docs/readme'
+  }).promise()
+  t.notOk(Buffer.alloc(50).equals(/** @type {Buffer} */ (docs.Body)))
+  t.ok(/^[a-zA-Z ,.\n]+$/.test(String(docs.Body)))
+
+  const image = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'images/logo'
+  }).promise()
+  t.ok(Buffer.alloc(50).equals(/** @type {Buffer} */ (image.Body)))
+
+  await harness.uploadFileForBucket('my-bucket', 'docs/real', 'real body')
+  const real = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'docs/real'
+  }).promise()
+  t.equal(String(real.Body), 'real body', 'uploaded objects are unchanged')
+
+  t.end()
+})
+
+test('invalid placeholder mode', {}, (_harness, t) => {
+  t.throws(() => {
+    /* eslint-disable-next-line no-new */
+    new FakeS3({
+      prefix: '',
+      buckets: [],
+      placeholderBodies: [{
+        bucket: 'b',
+        mode: /** @type {'zero'} */ (/** @type {unknown} */ ('ones'))
+      }]
+    })
+  }, /mode must be one of zero, random, lorem/)
+
+  t.end()
+})
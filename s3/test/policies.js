@@ -0,0 +1,372 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+/**
+ * @param {import('./test-harness.js')} harness
+ * @param {object} policy
+ * @returns {Promise<void>}
+ */
+async function putPolicy (harness, policy) {
+  await harness.getS3().putBucketPolicy({
+    Bucket: 'my-bucket',
+    Policy: JSON.stringify(policy)
+  }).promise()
+}
+
+/**
+ * @param {Promise<unknown>} promise
+ * @returns {Promise<StatusError | null>}
+ */
+async function getError (promise) {
+  try {
+    await promise
+    return null
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    return err
+  }
+}
+
+test('put, get & delete bucket policy', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const missing = await getError(
+    s3.getBucketPolicy({ Bucket: 'my-bucket' }).promise()
+  )
+  t.equal(missing && missing.statusCode, 404)
+  t.equal(missing && missing.code, 'NoSuchBucketPolicy')
+
+  const policy = {
+    Version: '2012-10-17',
+    Statement: [{
+      Sid: 'PublicRead',
+      Effect: 'Allow',
+      Principal: '*',
+      Action: 's3:GetObject',
+      Resource: 'arn:aws:s3:::my-bucket/public/*'
+    }]
+  }
+  await putPolicy(harness, policy)
+
+  const result = await s3.getBucketPolicy({ Bucket: 'my-bucket' }).promise()
+  t.equal(result.Policy, JSON.stringify(policy))
+
+  await s3.deleteBucketPolicy({ Bucket: 'my-bucket' }).promise()
+  const deleted = await getError(
+    s3.getBucketPolicy({ Bucket: 'my-bucket' }).promise()
+  )
+  t.equal(deleted && deleted.code, 'NoSuchBucketPolicy')
+
+  t.end()
+})
+
+test('invalid bucket policies', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const statement = {
+    Effect: 'Allow',
+    Principal: '*',
+    Action: 's3:GetObject',
+    Resource: 'arn:aws:s3:::my-bucket/*'
+  }
+
+  /** @type {[string, string][]} */
+  const cases = [
+    ['not json', 'Policies must be valid JSON and the first byte must be \'{\''],
+    [JSON.stringify({ Version: '2012-10-17' }),
+      'Missing required field Statement'],
+    [JSON.stringify({ Statement: [{ ...statement, Effect: 'Maybe' }] }),
+      'Invalid effect: Maybe'],
+    [JSON.stringify({ Statement: [{ ...statement, Principal: undefined }] }),
+      'Missing required field Principal'],
+    [JSON.stringify({ Statement: [{ ...statement, Action: 'ec2:*' }] }),
+      'Policy has invalid action'],
+    [JSON.stringify({
+      Statement: [{ ...statement, Resource: 'arn:aws:s3:::other-bucket/*' }]
+    }), 'Policy has invalid resource'],
+    [JSON.stringify({
+      Statement: [{
+        ...statement,
+        Condition: { NumericLessThan: { 's3:max-keys': '10' } }
+      }]
+    }), 'Invalid Condition type : NumericLessThan']
+  ]
+
+  for (const [policy, message] of cases) {
+    const err = await getError(s3.putBucketPolicy({
+      Bucket: 'my-bucket', Policy: policy
+    }).promise())
+    t.equal(err && err.statusCode, 400)
+    t.equal(err && err.code, 'MalformedPolicy')
+    t.equal(err && err.message, message)
+  }
+
+  t.end()
+})
+
+test('anonymous requests need a policy or ACL', {
+}, async (harness, t) => {
+  await harness.uploadFile('public/a', 'public body')
+  await harness.uploadFile('private/b', 'private body')
+
+  const url = `http://${harness.server.getHostPort()}/my-bucket`
+  const denied = await harness.rawRequest('GET', `${url}/public/a`)
+  t.equal(denied.statusCode, 403)
+  t.ok(denied.body.includes('<Code>AccessDenied</Code>'))
+
+  t.equal(
+    (await harness.rawRequest('GET', `${url}?list-type=2`)).statusCode, 403
+  )
+  t.equal(
+    (await harness.rawRequest('PUT', `${url}/upload`, {}, 'x')).statusCode, 403
+  )
+
+  await putPolicy(harness, {
+    Version: '2012-10-17',
+    Statement: [{
+      Effect: 'Allow',
+      Principal: { AWS: '*' },
+      Action: ['s3:GetObject'],
+      Resource: ['arn:aws:s3:::my-bucket/public/*']
+    }]
+  })
+
+  const allowed = await harness.rawRequest('GET', `${url}/public/a`)
+  t.equal(allowed.statusCode, 200)
+  t.equal(allowed.body, 'public body')
+  t.equal((await harness.rawRequest('GET', `${url}/private/b`)).statusCode, 403)
+  t.equal((await harness.rawRequest('HEAD', `${url}/public/a`)).statusCode, 200)
+  t.equal(
+    (await harness.rawRequest('GET', `${url}/public/missing`)).statusCode,
+    403, 'missing keys are hidden without s3:ListBucket'
+  )
+
+  t.end()
+})
+
+test('allowAnonymous serves unsigned requests', {
+  allowAnonymous: true
+}, async (harness, t) => {
+  await harness.uploadFile('private/b', 'private body')
+
+  const get = await harness.rawRequest('GET', '/my-bucket/private/b')
+  t.equal(get.statusCode, 200)
+  t.equal(get.body, 'private body')
+  t.equal(
+    (await harness.rawRequest('GET', '/my-bucket?list-type=2')).statusCode,
+    200
+  )
+  const put = await harness.rawRequest('PUT', '/my-bucket/upload', {}, 'x')
+  t.equal(put.statusCode, 200)
+  const upload = await harness.getS3().getObject({
+    Bucket: 'my-bucket', Key: 'upload'
+  }).promise()
+  t.equal(String(upload.Body), 'x')
+
+  await putPolicy(harness, {
+    Version: '2012-10-17',
+    Statement: [{
+      Effect: 'Deny',
+      Principal: '*',
+      Action: ['s3:GetObject'],
+      Resource: ['arn:aws:s3:::my-bucket/private/*']
+    }]
+  })
+  t.equal(
+    (await harness.rawRequest('GET', '/my-bucket/private/b')).statusCode, 403,
+    'an explicit deny still applies'
+  )
+
+  t.end()
+})
+
+test('policy statements deny access keys', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const other = harness.getSigV4S3('other-key')
+
+  await harness.uploadFile('foo/a', 'one')
+  await harness.uploadFile('home/b', 'two')
+  await putPolicy(harness, {
+    Version: '2012-10-17',
+    Statement: [{
+      Effect: 'Deny',
+      Principal: { AWS: 'arn:aws:iam::123456789012:user/other-key' },
+      Action: ['s3:DeleteObject', 's3:PutObject*'],
+      Resource: 'arn:aws:s3:::my-bucket/*'
+    }, {
+      Effect: 'Deny',
+      Principal: { AWS: ['other-key'] },
+      Action: 's3:ListBucket',
+      Resource: 'arn:aws:s3:::my-bucket',
+      Condition: { StringNotLike: { 's3:prefix': 'home/*' } }
+    }]
+  })
+
+  const deleteErr = await getError(other.deleteObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise())
+  t.equal(deleteErr && deleteErr.statusCode, 403)
+  t.equal(deleteErr && deleteErr.code, 'AccessDenied')
+
+  const tagErr = await getError(other.putObjectTagging({
+    Bucket: 'my-bucket',
+    Key: 'foo/a',
+    Tagging: { TagSet: [{ Key: 'a', Value: 'b' }] }
+  }).promise())
+  t.equal(tagErr && tagErr.code, 'AccessDenied')
+
+  const obj = await other.getObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.equal(String(obj.Body), 'one')
+
+  const home = await other.listObjectsV2({
+    Bucket: 'my-bucket', Prefix: 'home/'
+  }).promise()
+  t.equal(home.KeyCount, 1)
+  const listErr = await getError(other.listObjectsV2({
+    Bucket: 'my-bucket'
+  }).promise())
+  t.equal(listErr && listErr.code, 'AccessDenied')
+
+  const deleted = await s3.deleteObjects({
+    Bucket: 'my-bucket',
+    Delete: { Objects: [{ Key: 'foo/a' }] }
+  }).promise()
+  t.equal((deleted.Deleted || []).length, 1)
+
+  const batch = await other.deleteObjects({
+    Bucket: 'my-bucket',
+    Delete: { Objects: [{ Key: 'home/b' }] }
+  }).promise()
+  t.equal((batch.Errors || []).length, 1)
+  t.equal((batch.Errors || [])[0].Code, 'AccessDenied')
+
+  t.end()
+})
+
+test('owner can always manage a denying policy', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+
+  await harness.uploadFile('foo/a', 'one')
+  await putPolicy(harness, {
+    Version: '2012-10-17',
+    Statement: [{
+      Effect: 'Deny',
+      Principal: '*',
+      Action: 's3:*',
+      Resource: ['arn:aws:s3:::my-bucket', 'arn:aws:s3:::my-bucket/*']
+    }]
+  })
+
+  const getErr = await getError(s3.getObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise())
+  t.equal(getErr && getErr.code, 'AccessDenied')
+
+  const copyErr = await getError(s3.copyObject({
+    Bucket: 'my-bucket', Key: 'foo/b', CopySource: 'my-bucket/foo/a'
+  }).promise())
+  t.equal(copyErr && copyErr.code, 'AccessDenied')
+
+  await s3.deleteBucketPolicy({ Bucket: 'my-bucket' }).promise()
+  const obj = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.equal(String(obj.Body), 'one')
+
+  t.end()
+})
+
+test('canned object ACLs', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const url = `http://${harness.server.getHostPort()}/my-bucket`
+
+  await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'one', ACL: 'public-read'
+  }).promise()
+
+  const get = await harness.rawRequest('GET', `${url}/foo/a`)
+  t.equal(get.statusCode, 200)
+  t.equal(get.body, 'one')
+
+  const acl = await s3.getObjectAcl({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.deepEqual(acl.Owner, { DisplayName: 'admin', ID: '1' })
+  t.deepEqual(acl.Grants, [{
+    Grantee: { Type: 'CanonicalUser', DisplayName: 'admin', ID: '1' },
+    Permission: 'FULL_CONTROL'
+  }, {
+    Grantee: {
+      Type: 'Group', URI: 'http://acs.amazonaws.com/groups/global/AllUsers'
+    },
+    Permission: 'READ'
+  }])
+
+  await s3.putObjectAcl({
+    Bucket: 'my-bucket', Key: 'foo/a', ACL: 'private'
+  }).promise()
+  t.equal((await harness.rawRequest('GET', `${url}/foo/a`)).statusCode, 403)
+
+  const privateAcl = await s3.getObjectAcl({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.equal((privateAcl.Grants || []).length, 1)
+
+  const invalid = await getError(s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/b', Body: 'two', ACL: 'everyone'
+  }).promise())
+  t.equal(invalid && invalid.statusCode, 400)
+  t.equal(invalid && invalid.code, 'InvalidArgument')
+
+  t.end()
+})
+
+test('canned bucket ACLs', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const url = `http://${harness.server.getHostPort()}/public-bucket`
+
+  await s3.createBucket({
+    Bucket: 'public-bucket', ACL: 'public-read'
+  }).promise()
+  await harness.uploadFileForBucket('public-bucket', 'foo/a', 'one')
+
+  const list = await harness.rawRequest('GET', `${url}?list-type=2`)
+  t.equal(list.statusCode, 200)
+  t.ok(list.body.includes('<Key>foo/a</Key>'))
+  t.equal((await harness.rawRequest('GET', `${url}/foo/a`)).statusCode, 403,
+    'objects keep their own ACL')
+  t.equal(
+    (await harness.rawRequest('GET', `${url}/foo/missing`)).statusCode, 404
+  )
+  t.equal(
+    (await harness.rawRequest('PUT', `${url}/foo/b`, {}, 'two')).statusCode, 403
+  )
+
+  await s3.putBucketAcl({
+    Bucket: 'public-bucket', ACL: 'public-read-write'
+  }).promise()
+  t.equal(
+    (await harness.rawRequest('PUT', `${url}/foo/b`, {}, 'two')).statusCode, 200
+  )
+
+  const acl = await s3.getBucketAcl({ Bucket: 'public-bucket' }).promise()
+  t.deepEqual((acl.Grants || []).map((g) => g.Permission), [
+    'FULL_CONTROL', 'READ', 'WRITE'
+  ])
+
+  t.end()
+})
@@ -0,0 +1,240 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('../index.js').S3ObjectAlias} S3Object
+ * @typedef {import('./test-harness.js').RawResponse} RawResponse
+ * @typedef {{ filename: string, content: string }} FormFile
+ */
+
+const { test } = require('./test-harness.js')
+
+test('post object with a presigned policy', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const url = `http://${harness.server.getHostPort()}/my-bucket`
+
+  /** @type {S3Object[]} */
+  const created = []
+  harness.server.on('objectCreated', (/** @type {S3Object} */ obj) => {
+    created.push(obj)
+  })
+
+  const { fields } = s3.createPresignedPost({
+    Bucket: 'my-bucket',
+    /* eslint-disable-next-line no-template-curly-in-string */
+    Fields: { key: 'uploads/${filename}' },
+    Conditions: [
+      ['content-length-range', 0, 100],
+      ['starts-with', '$Content-Type', 'text/']
+    ],
+    Expires: 60
+  })
+
+  const res = await postForm(harness, url, {
+    ...fields,
+    'Content-Type': 'text/plain',
+    'x-ignore-submit': 'Upload'
+  }, { filename: 'a.txt', content: 'hello' })
+  t.equal(res.statusCode, 204)
+  t.equal(res.body, '')
+  t.equal(res.headers.etag, '"5d41402abc4b2a76b9719d911017c592"')
+  t.equal(res.headers.location, `${url}/uploads/a.txt`)
+
+  const obj = await s3.getObject({
+    Bucket: 'my-bucket',
+    Key: 'uploads/a.txt'
+  }).promise()
+  t.equal(String(obj.Body), 'hello')
+  t.equal(obj.ContentType, 'text/plain')
+
+  t.equal(created.length, 1)
+  t.equal(created[0].key, 'uploads/a.txt')
+
+  t.end()
+})
+
+test('post object success status & redirect', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const url = `http://${harness.server.getHostPort()}/my-bucket`
+
+  const created = s3.createPresignedPost({
+    Bucket: 'my-bucket',
+    Fields: { key: 'created.txt' },
+    Conditions: [['eq', '$success_action_status', '201']],
+    Expires: 60
+  })
+  created.fields.success_action_status = '201'
+  const res201 = await postForm(harness, url, created.fields, {
+    filename: 'created.txt', content: 'abc'
+  })
+  t.equal(res201.statusCode, 201)
+  t.ok(res201.body.includes('<Key>created.txt</Key>'))
+  t.ok(res201.body.includes('<Bucket>my-bucket</Bucket>'))
+
+  const ok = s3.createPresignedPost({
+    Bucket: 'my-bucket',
+    Fields: { key: 'ok.txt' },
+    Conditions: [['eq', '$success_action_status', '200']],
+    Expires: 60
+  })
+  ok.fields.success_action_status = '200'
+  const res200 = await postForm(harness, url, ok.fields, {
+    filename: 'ok.txt', content: 'abc'
+  })
+  t.equal(res200.statusCode, 200)
+
+  const redirect = s3.createPresignedPost({
+    Bucket: 'my-bucket',
+    Fields: { key: 'redirect.txt' },
+    Conditions: [
+      ['starts-with', '$success_action_redirect', 'http://example.com/']
+    ],
+    Expires: 60
+  })
+  redirect.fields.success_action_redirect =
+    'http://example.com/done?from=form'
+  const res303 = await postForm(harness, url, redirect.fields, {
+    filename: 'redirect.txt', content: 'abc'
+  })
+  t.equal(res303.statusCode, 303)
+  t.equal(
+    res303.headers.location,
+    'http://example.com/done?from=form&bucket=my-bucket' +
+      '&key=redirect.txt&etag=%22900150983cd24fb0d6963f7d28e17f72%22'
+  )
+
+  const list = await s3.listObjectsV2({ Bucket: 'my-bucket' }).promise()
+  t.equal(list.KeyCount, 3)
+
+  t.end()
+})
+
+test('post object rejects forms violating the policy', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const url = `http://${harness.server.getHostPort()}/my-bucket`
+  const file = { filename: 'a.txt', content: 'hello world' }
+
+  const expired = s3.createPresignedPost({
+    Bucket: 'my-bucket',
+    Fields: { key: 'a.txt' },
+    Expires: -60
+  })
+  const expiredRes = await postForm(harness, url, expired.fields, file)
+  t.equal(expiredRes.statusCode, 403)
+  t.ok(expiredRes.body.includes('Policy expired.'))
+
+  const prefixed = s3.createPresignedPost({
+    Bucket: 'my-bucket',
+    Conditions: [['starts-with', '$key', 'uploads/']],
+    Expires: 60
+  })
+  const prefixRes = await postForm(harness, url, {
+    ...prefixed.fields, key: 'other/a.txt'
+  }, file)
+  t.equal(prefixRes.statusCode, 403)
+  t.ok(prefixRes.body.includes(
+    'Policy Condition failed: [&quot;starts-with&quot;, &quot;$key&quot;'
+  ))
+
+  const limited = s3.createPresignedPost({
+    Bucket: 'my-bucket',
+    Fields: { key: 'a.txt' },
+    Conditions: [['content-length-range', 0, 5]],
+    Expires: 60
+  })
+  const largeRes = await postForm(harness, url, limited.fields, file)
+  t.equal(largeRes.statusCode, 400)
+  t.ok(largeRes.body.includes('<Code>EntityTooLarge</Code>'))
+
+  const extra = s3.createPresignedPost({
+    Bucket: 'my-bucket',
+    Fields: { key: 'a.txt' },
+    Expires: 60
+  })
+  const extraRes = await postForm(harness, url, {
+    ...extra.fields, 'x-amz-meta-color': 'red'
+  }, file)
+  t.equal(extraRes.statusCode, 403)
+  t.ok(extraRes.body.includes('Extra input fields: x-amz-meta-color'))
+
+  const otherBucket = s3.createPresignedPost({
+    Bucket: 'other-bucket',
+    Fields: { key: 'a.txt' },
+    Expires: 60
+  })
+  const bucketRes = await postForm(harness, url, otherBucket.fields, file)
+  t.equal(bucketRes.statusCode, 403)
+
+  const list = await s3.listObjectsV2({ Bucket: 'my-bucket' }).promise()
+  t.equal(list.KeyCount, 0)
+
+  t.end()
+})
+
+test('post object without a policy', {
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  const url = `http://${harness.server.getHostPort()}/my-bucket`
+  const file = { filename: 'a.txt', content: 'hello' }
+
+  const denied = await postForm(harness, url, { key: 'a.txt' }, file)
+  t.equal(denied.statusCode, 403)
+  t.ok(denied.body.includes('<Code>AccessDenied</Code>'))
+
+  const missingKey = await postForm(harness, url, {}, file)
+  t.equal(missingKey.statusCode, 400)
+  t.ok(missingKey.body.includes('<Code>InvalidArgument</Code>'))
+  t.ok(missingKey.body.includes('field named &apos;key&apos;'))
+
+  const notForm = await harness.rawRequest('POST', url, {}, 'key=a.txt')
+  t.equal(notForm.statusCode, 412)
+  t.ok(notForm.body.includes('<Code>PreconditionFailed</Code>'))
+
+  await s3.putBucketAcl({
+    Bucket: 'my-bucket',
+    ACL: 'public-read-write'
+  }).promise()
+  const allowed = await postForm(harness, url, {
+    /* eslint-disable-next-line no-template-curly-in-string */
+    key: 'public/${filename}',
+    acl: 'public-read'
+  }, file)
+  t.equal(allowed.statusCode, 204)
+
+  const get = await harness.rawRequest('GET', `${url}/public/a.txt`)
+  t.equal(get.statusCode, 200)
+  t.equal(get.body, 'hello')
+
+  t.end()
+})
+
+/**
+ * @param {import('./test-harness.js')} harness
+ * @param {string} url
+ * @param {Record<string, string>} fields
+ * @param {FormFile} file
+ * @returns {Promise<RawResponse>}
+ */
+async function postForm (harness, url, fields, file) {
+  const boundary = '----FakeS3FormBoundary'
+  const parts = Object.keys(fields).map((name) => {
+    return `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${name}"\r\n\r\n` +
+      `${fields[name]}\r\n`
+  })
+  parts.push(
+    `--${boundary}\r\n` +
+    'Content-Disposition: form-data; name="file"; ' +
+      `filename="${file.filename}"\r\n` +
+    'Content-Type: application/octet-stream\r\n\r\n' +
+    `${file.content}\r\n`
+  )
+  parts.push(`--${boundary}--\r\n`)
+
+  return harness.rawRequest('POST', url, {
+    'Content-Type': `multipart/form-data; boundary=${boundary}`
+  }, parts.join(''))
+}
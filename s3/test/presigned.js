@@ -0,0 +1,69 @@
+// @ts-check
+'use strict'
+
+const { URL } = require('url')
+
+const { test } = require('./test-harness.js')
+
+test('presigned getObject and putObject URLs', async (harness, t) => {
+  const s3 = harness.getSigV4S3()
+
+  const putUrl = s3.getSignedUrl('putObject', {
+    Bucket: 'my-bucket', Key: 'foo/upload', Expires: 60
+  })
+  t.ok(putUrl.includes('X-Amz-Credential='))
+
+  const put = await harness.rawRequest('PUT', putUrl, {}, 'uploaded body')
+  t.equal(put.statusCode, 200)
+
+  const getUrl = s3.getSignedUrl('getObject', {
+    Bucket: 'my-bucket', Key: 'foo/upload', Expires: 60
+  })
+  const get = await harness.rawRequest('GET', getUrl)
+  t.equal(get.statusCode, 200)
+  t.equal(get.body, 'uploaded body')
+})
+
+test('presigned URL credential picks the profile', async (harness, t) => {
+  harness.server.populateBuckets('other-key', {
+    Owner: { DisplayName: 'other', ID: '2' },
+    Buckets: [{ Name: 'other-bucket' }]
+  })
+  harness.server.populateObjects('other-key', 'other-bucket', {
+    Contents: [{
+      Key: 'foo/cached',
+      LastModified: new Date().toISOString(),
+      ETag: 'abc',
+      Size: 10
+    }]
+  })
+
+  const s3 = harness.getSigV4S3('other-key')
+  const listUrl = s3.getSignedUrl('listObjectsV2', {
+    Bucket: 'other-bucket'
+  })
+
+  const list = await harness.rawRequest('GET', listUrl)
+  t.equal(list.statusCode, 200)
+  t.ok(list.body.includes('<Key>foo/cached</Key>'))
+})
+
+test('expired presigned URLs are rejected', async (harness, t) => {
+  await harness.uploadFile('foo/a', 'body')
+
+  const s3 = harness.getSigV4S3()
+  const getUrl = new URL(s3.getSignedUrl('getObject', {
+    Bucket: 'my-bucket', Key: 'foo/a', Expires: 60
+  }))
+  getUrl.searchParams.set('X-Amz-Date', '20200101T000000Z')
+
+  const get = await harness.rawRequest('GET', getUrl.toString())
+  t.equal(get.statusCode, 403)
+  t.ok(get.body.includes('<Code>AccessDenied</Code>'))
+  t.ok(get.body.includes('<Message>Request has expired</Message>'))
+
+  getUrl.searchParams.set('X-Amz-Date', 'yesterday')
+  const invalid = await harness.rawRequest('GET', getUrl.toString())
+  t.equal(invalid.statusCode, 400)
+  t.ok(invalid.body.includes('AuthorizationQueryParametersError'))
+})
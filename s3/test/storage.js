@@ -0,0 +1,206 @@
+// @ts-check
+'use strict'
+
+const os = require('os')
+const path = require('path')
+const fs = require('fs')
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+/** @returns {string} */
+function tmpStoragePath () {
+  return path.join(
+    os.tmpdir(), `test-fake-s3-storage-${process.pid}-${Date.now()}`
+  )
+}
+
+test('storagePath keeps objects across restarts', {
+  storagePath: tmpStoragePath()
+}, async (harness, t) => {
+  await harness.getS3().putObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/a',
+    Body: Buffer.from([0, 1, 2, 255]),
+    ContentType: 'application/x-binary',
+    Metadata: { owner: 'test' },
+    Tagging: 'team=data'
+  }).promise()
+  await harness.uploadFile('foo/b', 'will be deleted')
+  await harness.deleteFile('foo/b')
+
+  await harness.restart()
+
+  const s3 = harness.getS3()
+  const get = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.deepEqual(get.Body, Buffer.from([0, 1, 2, 255]))
+  t.equal(get.ContentType, 'application/x-binary')
+  t.deepEqual(get.Metadata, { owner: 'test' })
+  t.equal(get.TagCount, 1)
+
+  const files = harness.getFiles('my-bucket')
+  t.deepEqual(files.objects.map((o) => o.key), ['foo/a'])
+})
+
+test('storagePath keeps buckets and versions', {
+  storagePath: tmpStoragePath()
+}, async (harness, t) => {
+  const s3 = harness.getS3()
+  await s3.createBucket({ Bucket: 'new-bucket' }).promise()
+  await s3.putBucketVersioning({
+    Bucket: 'new-bucket',
+    VersioningConfiguration: { Status: 'Enabled' }
+  }).promise()
+
+  const put1 = await s3.putObject({
+    Bucket: 'new-bucket', Key: 'foo/a', Body: 'one'
+  }).promise()
+  await s3.putObject({
+    Bucket: 'new-bucket', Key: 'foo/a', Body: 'two'
+  }).promise()
+  await s3.deleteObject({ Bucket: 'new-bucket', Key: 'foo/a' }).promise()
+
+  await s3.createBucket({ Bucket: 'gone-bucket' }).promise()
+  await s3.deleteBucket({ Bucket: 'gone-bucket' }).promise()
+
+  await harness.restart()
+
+  const s3after = harness.getS3()
+  const buckets = await s3after.listBuckets().promise()
+  t.deepEqual((buckets.Buckets || []).map((b) => b.Name), [
+    'my-bucket', 'new-bucket'
+  ])
+
+  const versioning = await s3after.getBucketVersioning({
+    Bucket: 'new-bucket'
+  }).promise()
+  t.equal(versioning.Status, 'Enabled')
+
+  const versions = await s3after.listObjectVersions({
+    Bucket: 'new-bucket'
+  }).promise()
+  t.equal((versions.Versions || []).length, 2)
+  t.equal((versions.DeleteMarkers || []).length, 1)
+
+  const old = await s3after.getObject({
+    Bucket: 'new-bucket', Key: 'foo/a', VersionId: put1.VersionId
+  }).promise()
+  t.equal(String(old.Body), 'one')
+
+  try {
+    await s3after.getObject({ Bucket: 'new-bucket', Key: 'foo/a' }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchKey')
+  }
+})
+
+test('storagePath removes unused bodies', {
+  storagePath: tmpStoragePath()
+}, async (harness, t) => {
+  await harness.uploadFile('foo/a', 'one')
+  await harness.uploadFile('foo/a', 'two')
+
+  const storagePath = harness.server.storagePath || ''
+  const bodiesDir = path.join(storagePath, 'buckets', 'my-bucket', 'bodies')
+  t.equal(fs.readdirSync(bodiesDir).length, 2)
+
+  await harness.restart()
+  t.equal(fs.readdirSync(bodiesDir).length, 1)
+
+  const get = await harness.getS3().getObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.equal(String(get.Body), 'two')
+})
+
+test('storagePath keeps bucket notification configurations', {
+  storagePath: tmpStoragePath()
+}, async (harness, t) => {
+  const topicArn = 'arn:aws:sns:us-east-1:123456789012:uploads'
+  await harness.getS3().putBucketNotificationConfiguration({
+    Bucket: 'my-bucket',
+    NotificationConfiguration: {
+      TopicConfigurations: [{
+        Id: 'uploads',
+        TopicArn: topicArn,
+        Events: ['s3:ObjectCreated:*'],
+        Filter: {
+          Key: { FilterRules: [{ Name: 'prefix', Value: 'foo/' }] }
+        }
+      }]
+    }
+  }).promise()
+
+  await harness.restart()
+
+  const config = await harness.getS3().getBucketNotificationConfiguration({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.deepEqual(config.TopicConfigurations, [{
+    Id: 'uploads',
+    TopicArn: topicArn,
+    Events: ['s3:ObjectCreated:*'],
+    Filter: {
+      Key: { FilterRules: [{ Name: 'prefix', Value: 'foo/' }] }
+    }
+  }])
+})
+
+test('storagePath keeps the bucket region', {
+  storagePath: tmpStoragePath()
+}, async (harness, t) => {
+  await harness.getS3().createBucket({
+    Bucket: 'eu-bucket',
+    CreateBucketConfiguration: { LocationConstraint: 'eu-west-1' }
+  }).promise()
+
+  await harness.restart()
+
+  const head = await harness.getS3().headBucket({
+    Bucket: 'eu-bucket'
+  }).promise()
+  t.equal(
+    head.$response.httpResponse.headers['x-amz-bucket-region'], 'eu-west-1'
+  )
+})
+
+test('storagePath retries a failed write', {
+  storagePath: tmpStoragePath()
+}, async (harness, t) => {
+  await harness.uploadFile('foo/a', 'one')
+
+  const storagePath = harness.server.storagePath || ''
+  const keysDir = path.join(storagePath, 'buckets', 'my-bucket', 'keys')
+  fs.renameSync(keysDir, `${keysDir}.bak`)
+  fs.writeFileSync(keysDir, 'not a directory')
+
+  const s3 = harness.getS3()
+  try {
+    await s3.putObject({
+      Bucket: 'my-bucket', Key: 'foo/b', Body: 'two'
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.statusCode, 500)
+  }
+
+  fs.unlinkSync(keysDir)
+  fs.renameSync(`${keysDir}.bak`, keysDir)
+  await harness.server.flushStorage()
+  await harness.restart()
+
+  const get = await harness.getS3().getObject({
+    Bucket: 'my-bucket', Key: 'foo/b'
+  }).promise()
+  t.equal(String(get.Body), 'two')
+})
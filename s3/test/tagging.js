@@ -0,0 +1,189 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+test('putObject with Tagging header', async (harness, t) => {
+  const s3 = harness.getS3()
+  await s3.putObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/a',
+    Body: 'body',
+    Tagging: 'retention=short&team=data%20eng'
+  }).promise()
+
+  const get = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.equal(get.TagCount, 2)
+
+  const tagging = await s3.getObjectTagging({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.deepEqual(tagging.TagSet, [
+    { Key: 'retention', Value: 'short' },
+    { Key: 'team', Value: 'data eng' }
+  ])
+
+  const files = harness.getFiles('my-bucket')
+  t.deepEqual(files.objects[0].tags, {
+    retention: 'short', team: 'data eng'
+  })
+})
+
+test('put, get and delete objectTagging', async (harness, t) => {
+  const s3 = harness.getS3()
+  await harness.uploadFile('foo/a', 'body')
+
+  const untagged = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.equal(untagged.TagCount, undefined)
+
+  await s3.putObjectTagging({
+    Bucket: 'my-bucket',
+    Key: 'foo/a',
+    Tagging: { TagSet: [{ Key: 'retention', Value: 'long' }] }
+  }).promise()
+
+  const tagging = await s3.getObjectTagging({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.deepEqual(tagging.TagSet, [{ Key: 'retention', Value: 'long' }])
+
+  await s3.deleteObjectTagging({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+
+  const deleted = await s3.getObjectTagging({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.deepEqual(deleted.TagSet, [])
+
+  try {
+    await s3.getObjectTagging({
+      Bucket: 'my-bucket', Key: 'foo/missing'
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchKey')
+  }
+})
+
+test('copyObject copies or replaces tags', async (harness, t) => {
+  const s3 = harness.getS3()
+  await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'body', Tagging: 'a=1'
+  }).promise()
+
+  await s3.copyObject({
+    Bucket: 'my-bucket', Key: 'foo/b', CopySource: 'my-bucket/foo/a'
+  }).promise()
+  await s3.copyObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/c',
+    CopySource: 'my-bucket/foo/a',
+    TaggingDirective: 'REPLACE',
+    Tagging: 'b=2'
+  }).promise()
+
+  const copied = await s3.getObjectTagging({
+    Bucket: 'my-bucket', Key: 'foo/b'
+  }).promise()
+  t.deepEqual(copied.TagSet, [{ Key: 'a', Value: '1' }])
+
+  const replaced = await s3.getObjectTagging({
+    Bucket: 'my-bucket', Key: 'foo/c'
+  }).promise()
+  t.deepEqual(replaced.TagSet, [{ Key: 'b', Value: '2' }])
+})
+
+test('object tag limits are validated', async (harness, t) => {
+  const s3 = harness.getS3()
+  await harness.uploadFile('foo/a', 'body')
+
+  /** @type {{ Key: string, Value: string }[]} */
+  const tooMany = []
+  for (let i = 0; i < 11; i++) {
+    tooMany.push({ Key: `key${i}`, Value: 'value' })
+  }
+
+  const cases = [
+    { tags: tooMany, code: 'BadRequest' },
+    { tags: [{ Key: 'k'.repeat(129), Value: 'v' }], code: 'InvalidTag' },
+    { tags: [{ Key: 'k', Value: 'v'.repeat(257) }], code: 'InvalidTag' },
+    {
+      tags: [{ Key: 'k', Value: '1' }, { Key: 'k', Value: '2' }],
+      code: 'InvalidTag'
+    }
+  ]
+
+  for (const { tags, code } of cases) {
+    try {
+      await s3.putObjectTagging({
+        Bucket: 'my-bucket', Key: 'foo/a', Tagging: { TagSet: tags }
+      }).promise()
+      t.ok(false, 'not reached')
+    } catch (maybeErr) {
+      /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+      const err = /** @type {StatusError} */ (maybeErr)
+      t.equal(err.code, code)
+      t.equal(err.statusCode, 400)
+    }
+  }
+
+  try {
+    await s3.putObject({
+      Bucket: 'my-bucket',
+      Key: 'foo/b',
+      Body: 'body',
+      Tagging: tooMany.map((tag) => `${tag.Key}=${tag.Value}`).join('&')
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'BadRequest')
+  }
+})
+
+test('put, get and delete bucketTagging', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  try {
+    await s3.getBucketTagging({ Bucket: 'my-bucket' }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchTagSet')
+    t.equal(err.statusCode, 404)
+  }
+
+  await s3.putBucketTagging({
+    Bucket: 'my-bucket',
+    Tagging: { TagSet: [{ Key: 'env', Value: 'test' }] }
+  }).promise()
+
+  const tagging = await s3.getBucketTagging({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.deepEqual(tagging.TagSet, [{ Key: 'env', Value: 'test' }])
+
+  await s3.deleteBucketTagging({ Bucket: 'my-bucket' }).promise()
+
+  try {
+    await s3.getBucketTagging({ Bucket: 'my-bucket' }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchTagSet')
+  }
+})
@@ -4,6 +4,8 @@
 /** @type {import('assert')} */
 const assert = require('assert')
 const util = require('util')
+const http = require('http')
+const dns = require('dns')
 
 /** @type {import('uuid')} */
 const uuid = require('uuid')
@@ -16,12 +18,28 @@ const AWS = require('aws-sdk')
 
 const FakeS3 = require('../index.js')
 
+/**
+ * @typedef {{
+ *    message: string,
+ *    statusCode: number,
+ *    code: string
+ * }} StatusError
+ * @typedef {{
+ *    statusCode: number,
+ *    headers: import('http').IncomingHttpHeaders,
+ *    body: string
+ * }} RawResponse
+ */
+
 class TestHarness {
   /**
    * @param {{
    *    buckets?: string[],
    *    waitTimeout?: number,
-   *    port?: number
+   *    port?: number,
+   *    storagePath?: string,
+   *    placeholderBodies?: import('../index.js').PlaceholderRule[],
+   *    allowAnonymous?: boolean
    * }} options
    */
   constructor (options = {}) {
@@ -29,15 +47,29 @@ class TestHarness {
     this.buckets = options.buckets || ['my-bucket']
 
     const port = 'port' in options ? options.port : undefined
-    const opts = {
+    /**
+     * @type {{
+     *    prefix: string,
+     *    waitTimeout?: number,
+     *    buckets: string[],
+     *    port?: number,
+     *    storagePath?: string,
+     *    placeholderBodies?: import('../index.js').PlaceholderRule[],
+     *    allowAnonymous?: boolean
+     * }}
+     */
+    this.opts = {
       prefix: 'foo/',
       waitTimeout: options.waitTimeout,
       buckets: this.buckets,
-      port: port
+      port: port,
+      storagePath: options.storagePath,
+      placeholderBodies: options.placeholderBodies,
+      allowAnonymous: options.allowAnonymous
     }
 
     /** @type {FakeS3} */
-    this.server = new FakeS3(opts)
+    this.server = new FakeS3(this.opts)
 
     /** @type {import('aws-sdk').S3 | null} */
     this.s3 = null
@@ -102,6 +134,113 @@ class TestHarness {
     })
   }
 
+  /**
+   * Replaces the server with a new instance using the same
+   * options, like restarting the process would.
+   *
+   * @returns {Promise<void>}
+   */
+  async restart () {
+    await this.server.close()
+    this.server = new FakeS3(this.opts)
+    await this.bootstrap()
+  }
+
+  /**
+   * Returns a client that uses virtual-hosted-style requests like
+   * `my-bucket.localhost:port`. These hostnames do not resolve
+   * everywhere, so the client always connects to localhost.
+   *
+   * @returns {import('aws-sdk').S3}
+   */
+  getVirtualHostS3 () {
+    const agent = new http.Agent(/** @type {import('http').AgentOptions} */ ({
+      lookup: lookupLocalhost
+    }))
+
+    return new AWS.S3({
+      endpoint: `http://${this.server.getHostPort()}`,
+      sslEnabled: false,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: 'abc',
+      s3ForcePathStyle: false,
+      httpOptions: { agent }
+    })
+  }
+
+  /**
+   * Returns a client that signs with SigV4, which is what
+   * `getSignedUrl()` needs for query-string authentication.
+   *
+   * @param {string} [accessKeyId]
+   * @returns {import('aws-sdk').S3}
+   */
+  getSigV4S3 (accessKeyId) {
+    return new AWS.S3({
+      endpoint: `http://${this.server.getHostPort()}`,
+      sslEnabled: false,
+      accessKeyId: accessKeyId || this.accessKeyId,
+      secretAccessKey: 'abc',
+      s3ForcePathStyle: true,
+      signatureVersion: 'v4'
+    })
+  }
+
+  /**
+   * Sends a request the SDK of this repo cannot build, like an
+   * anonymous one. The `path` is either a path on the server or a
+   * full URL, like a presigned one.
+   *
+   * @param {string} method
+   * @param {string} path
+   * @param {Record<string, string>} [headers]
+   * @param {string} [body]
+   * @returns {Promise<RawResponse>}
+   */
+  async rawRequest (method, path, headers = {}, body = '') {
+    const target = path.startsWith('http:')
+      ? path
+      : `http://${this.server.getHostPort()}${path}`
+
+    return new Promise((resolve, reject) => {
+      const req = http.request(target, { method, headers }, (res) => {
+        /** @type {Buffer[]} */
+        const chunks = []
+        res.on('data', (/** @type {Buffer} */ chunk) => {
+          chunks.push(chunk)
+        })
+        res.on('end', () => {
+          resolve({
+            statusCode: res.statusCode || 0,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString('utf8')
+          })
+        })
+      })
+      req.on('error', reject)
+      req.end(body)
+    })
+  }
+
+  /**
+   * Like `rawRequest()` but as the harness access key, signatures
+   * are not verified.
+   *
+   * @param {string} method
+   * @param {string} path
+   * @param {Record<string, string>} [headers]
+   * @param {string} [body]
+   * @returns {Promise<RawResponse>}
+   */
+  async signedRawRequest (method, path, headers = {}, body = '') {
+    const authorization = 'AWS4-HMAC-SHA256 Credential=' +
+      `${this.accessKeyId}/20200101/us-east-1/s3/aws4_request, ` +
+      'SignedHeaders=host, Signature=0'
+    return this.rawRequest(
+      method, path, { ...headers, Authorization: authorization }, body
+    )
+  }
+
   /**
    * @param {string} bucket
    * @param {string} key
@@ -177,7 +316,12 @@ class TestHarness {
       await this.cacheServer.close()
     }
 
-    for (const cachePath of this.server.knownCaches) {
+    const cachePaths = [...this.server.knownCaches]
+    if (this.opts.storagePath) {
+      cachePaths.push(this.opts.storagePath)
+    }
+
+    for (const cachePath of cachePaths) {
       await util.promisify((
         /** @type {(err?: Error) => void} */ cb
       ) => {
@@ -189,3 +333,8 @@ class TestHarness {
 
 TestHarness.test = tapeHarness(tape, TestHarness)
 module.exports = TestHarness
+
+/** @type {import('net').LookupFunction} */
+const lookupLocalhost = (_hostname, options, callback) => {
+  dns.lookup('localhost', options, callback)
+}
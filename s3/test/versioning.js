@@ -0,0 +1,256 @@
+// @ts-check
+'use strict'
+
+/**
+ * @typedef {import('./test-harness.js').StatusError} StatusError
+ */
+
+const { test } = require('./test-harness.js')
+
+test('putBucketVersioning and getBucketVersioning', async (harness, t) => {
+  const s3 = harness.getS3()
+
+  const before = await s3.getBucketVersioning({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.equal(before.Status, undefined)
+
+  await s3.putBucketVersioning({
+    Bucket: 'my-bucket',
+    VersioningConfiguration: { Status: 'Enabled' }
+  }).promise()
+
+  const after = await s3.getBucketVersioning({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.equal(after.Status, 'Enabled')
+})
+
+test('versioned puts keep previous versions', async (harness, t) => {
+  const s3 = harness.getS3()
+  await s3.putBucketVersioning({
+    Bucket: 'my-bucket',
+    VersioningConfiguration: { Status: 'Enabled' }
+  }).promise()
+
+  const put1 = await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'one'
+  }).promise()
+  const put2 = await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'two'
+  }).promise()
+  t.ok(put1.VersionId)
+  t.ok(put2.VersionId)
+  t.notEqual(put1.VersionId, put2.VersionId)
+
+  const latest = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.equal(String(latest.Body), 'two')
+  t.equal(latest.VersionId, put2.VersionId)
+
+  const old = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'foo/a', VersionId: put1.VersionId
+  }).promise()
+  t.equal(String(old.Body), 'one')
+
+  const head = await s3.headObject({
+    Bucket: 'my-bucket', Key: 'foo/a', VersionId: put1.VersionId
+  }).promise()
+  t.equal(head.ContentLength, 3)
+  t.equal(head.VersionId, put1.VersionId)
+
+  try {
+    await s3.getObject({
+      Bucket: 'my-bucket', Key: 'foo/a', VersionId: 'missing'
+    }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchVersion')
+    t.equal(err.statusCode, 404)
+  }
+})
+
+test('deletes on a versioned bucket add delete markers', async (harness, t) => {
+  const s3 = harness.getS3()
+  await s3.putBucketVersioning({
+    Bucket: 'my-bucket',
+    VersioningConfiguration: { Status: 'Enabled' }
+  }).promise()
+
+  const put = await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'one'
+  }).promise()
+  const del = await s3.deleteObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.equal(del.DeleteMarker, true)
+  t.ok(del.VersionId)
+  t.equal(harness.getFiles('my-bucket').objects.length, 0)
+
+  try {
+    await s3.getObject({ Bucket: 'my-bucket', Key: 'foo/a' }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'NoSuchKey')
+  }
+
+  const versions = await s3.listObjectVersions({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.deepEqual((versions.Versions || []).map((v) => {
+    return [v.Key, v.VersionId, v.IsLatest]
+  }), [['foo/a', put.VersionId, false]])
+  t.deepEqual((versions.DeleteMarkers || []).map((v) => {
+    return [v.Key, v.VersionId, v.IsLatest]
+  }), [['foo/a', del.VersionId, true]])
+
+  // Removing the delete marker restores the previous version.
+  const restore = await s3.deleteObject({
+    Bucket: 'my-bucket', Key: 'foo/a', VersionId: del.VersionId
+  }).promise()
+  t.equal(restore.DeleteMarker, true)
+  t.equal(restore.VersionId, del.VersionId)
+
+  const get = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'foo/a'
+  }).promise()
+  t.equal(String(get.Body), 'one')
+  t.equal(harness.getFiles('my-bucket').objects.length, 1)
+
+  try {
+    await s3.deleteBucket({ Bucket: 'my-bucket' }).promise()
+    t.ok(false, 'not reached')
+  } catch (maybeErr) {
+    /* eslint-disable-next-line @typescript-eslint/no-unsafe-assignment */
+    const err = /** @type {StatusError} */ (maybeErr)
+    t.equal(err.code, 'BucketNotEmpty')
+  }
+})
+
+test('deleteObjects with versions', async (harness, t) => {
+  const s3 = harness.getS3()
+  await s3.putBucketVersioning({
+    Bucket: 'my-bucket',
+    VersioningConfiguration: { Status: 'Enabled' }
+  }).promise()
+
+  const put1 = await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'one'
+  }).promise()
+  await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'two'
+  }).promise()
+
+  const resp = await s3.deleteObjects({
+    Bucket: 'my-bucket',
+    Delete: {
+      Objects: [
+        { Key: 'foo/a', VersionId: put1.VersionId },
+        { Key: 'foo/b' }
+      ]
+    }
+  }).promise()
+  const deleted = resp.Deleted || []
+  t.equal(deleted.length, 2)
+  t.equal(deleted[0].VersionId, put1.VersionId)
+  t.equal(deleted[0].DeleteMarker, undefined)
+  t.equal(deleted[1].DeleteMarker, true)
+  t.ok(deleted[1].DeleteMarkerVersionId)
+
+  const versions = await s3.listObjectVersions({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.equal((versions.Versions || []).length, 1)
+  t.equal((versions.DeleteMarkers || []).length, 1)
+})
+
+test('copyObject from a specific version', async (harness, t) => {
+  const s3 = harness.getS3()
+  await s3.putBucketVersioning({
+    Bucket: 'my-bucket',
+    VersioningConfiguration: { Status: 'Enabled' }
+  }).promise()
+
+  const put1 = await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'one'
+  }).promise()
+  await s3.putObject({
+    Bucket: 'my-bucket', Key: 'foo/a', Body: 'two'
+  }).promise()
+
+  const copy = await s3.copyObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/b',
+    CopySource: `my-bucket/foo/a?versionId=${put1.VersionId || ''}`
+  }).promise()
+  t.equal(copy.CopySourceVersionId, put1.VersionId)
+  t.ok(copy.VersionId)
+
+  const get = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'foo/b'
+  }).promise()
+  t.equal(String(get.Body), 'one')
+})
+
+test('listObjectVersions paginates with markers', async (harness, t) => {
+  const s3 = harness.getS3()
+  await s3.putBucketVersioning({
+    Bucket: 'my-bucket',
+    VersioningConfiguration: { Status: 'Enabled' }
+  }).promise()
+
+  for (const key of ['foo/a', 'foo/a', 'foo/b', 'foo/c/1']) {
+    await harness.uploadFile(key, 'body')
+  }
+
+  const page1 = await s3.listObjectVersions({
+    Bucket: 'my-bucket',
+    Prefix: 'foo/',
+    Delimiter: '/',
+    MaxKeys: 1
+  }).promise()
+  t.equal(page1.IsTruncated, true)
+  t.equal(page1.NextKeyMarker, 'foo/a')
+  t.ok(page1.NextVersionIdMarker)
+
+  const page2 = await s3.listObjectVersions({
+    Bucket: 'my-bucket',
+    Prefix: 'foo/',
+    Delimiter: '/',
+    KeyMarker: page1.NextKeyMarker,
+    VersionIdMarker: page1.NextVersionIdMarker
+  }).promise()
+  t.equal(page2.IsTruncated, false)
+  t.deepEqual((page2.Versions || []).map((v) => [v.Key, v.IsLatest]), [
+    ['foo/a', false],
+    ['foo/b', true]
+  ])
+  t.deepEqual((page2.CommonPrefixes || []).map((p) => p.Prefix), [
+    'foo/c/'
+  ])
+})
+
+test('suspended versioning overwrites the null version', async (harness, t) => {
+  const s3 = harness.getS3()
+  await harness.uploadFile('foo/a', 'one')
+  await s3.putBucketVersioning({
+    Bucket: 'my-bucket',
+    VersioningConfiguration: { Status: 'Suspended' }
+  }).promise()
+  await harness.uploadFile('foo/a', 'two')
+
+  const versions = await s3.listObjectVersions({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.deepEqual((versions.Versions || []).map((v) => v.VersionId), ['null'])
+
+  const get = await s3.getObject({
+    Bucket: 'my-bucket', Key: 'foo/a', VersionId: 'null'
+  }).promise()
+  t.equal(String(get.Body), 'two')
+})
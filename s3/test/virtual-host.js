@@ -0,0 +1,76 @@
+// @ts-check
+'use strict'
+
+const { test } = require('./test-harness.js')
+
+test('virtual-hosted-style requests', async (harness, t) => {
+  const s3 = harness.getVirtualHostS3()
+
+  await s3.putObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my file',
+    Body: 'some text'
+  }).promise()
+
+  const files = harness.getFiles('my-bucket')
+  t.deepEqual(files.objects.map((o) => o.key), ['foo/my file'])
+
+  const get = await s3.getObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my file'
+  }).promise()
+  t.equal(String(get.Body), 'some text')
+
+  const head = await s3.headObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my file'
+  }).promise()
+  t.equal(head.ContentLength, 9)
+
+  const list = await s3.listObjectsV2({
+    Bucket: 'my-bucket'
+  }).promise()
+  t.equal(list.Name, 'my-bucket')
+  t.equal(list.KeyCount, 1)
+
+  await s3.deleteObject({
+    Bucket: 'my-bucket',
+    Key: 'foo/my file'
+  }).promise()
+  t.equal(harness.getFiles('my-bucket').objects.length, 0)
+})
+
+test('virtual-hosted-style bucket operations', async (harness, t) => {
+  const s3 = harness.getVirtualHostS3()
+
+  await s3.createBucket({ Bucket: 'new.bucket' }).promise()
+  await s3.headBucket({ Bucket: 'new.bucket' }).promise()
+
+  const pathStyle = await harness.getS3().listBuckets().promise()
+  t.deepEqual((pathStyle.Buckets || []).map((b) => b.Name), [
+    'my-bucket', 'new.bucket'
+  ])
+
+  await s3.deleteBucket({ Bucket: 'new.bucket' }).promise()
+
+  const buckets = await harness.getS3().listBuckets().promise()
+  t.deepEqual((buckets.Buckets || []).map((b) => b.Name), ['my-bucket'])
+})
+
+test('malformed key encodings', async (harness, t) => {
+  const get = await harness.signedRawRequest('GET', '/my-bucket/%E0')
+  t.equal(get.statusCode, 400)
+  t.ok(get.body.includes('<Code>InvalidURI</Code>'))
+
+  const put = await harness.signedRawRequest(
+    'PUT', '/my-bucket/foo%2', {}, 'body'
+  )
+  t.equal(put.statusCode, 400)
+  t.ok(put.body.includes('<Code>InvalidURI</Code>'))
+
+  const virtual = await harness.signedRawRequest('GET', '/%E0', {
+    Host: `my-bucket.${harness.server.requestHost}`
+  })
+  t.equal(virtual.statusCode, 400)
+  t.ok(virtual.body.includes('<Code>InvalidURI</Code>'))
+})